@@ -16,3 +16,8 @@ exports.CyclicPartitioner = require('./lib/partitioner').CyclicPartitioner;
 exports.RandomPartitioner = require('./lib/partitioner').RandomPartitioner;
 exports.KeyedPartitioner = require('./lib/partitioner').KeyedPartitioner;
 exports.CustomPartitioner = require('./lib/partitioner').CustomPartitioner;
+exports.AclResourceTypes = require('./lib/protocol').ACL_RESOURCE_TYPES;
+exports.AclResourcePatternTypes = require('./lib/protocol').ACL_RESOURCE_PATTERN_TYPES;
+exports.AclOperationTypes = require('./lib/protocol').ACL_OPERATION_TYPES;
+exports.AclPermissionTypes = require('./lib/protocol').ACL_PERMISSION_TYPES;
+exports.registerCodec = require('./lib/codec').registerCodec;
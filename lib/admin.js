@@ -42,6 +42,78 @@ Admin.prototype.describeGroups = function (consumerGroups, cb) {
   this.client.getDescribeGroups(consumerGroups, cb);
 };
 
+Admin.prototype.deleteGroups = function (groupIds, cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.deleteGroups(groupIds, cb));
+    return;
+  }
+  this.client.deleteGroups(groupIds, cb);
+};
+
+Admin.prototype.deleteGroupOffsets = function (groupId, topicPartitions, cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.deleteGroupOffsets(groupId, topicPartitions, cb));
+    return;
+  }
+  this.client.deleteGroupOffsets(groupId, topicPartitions, cb);
+};
+
+Admin.prototype.resetGroupOffsets = function (groupId, topics, strategy, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.resetGroupOffsets(groupId, topics, strategy, options, cb));
+    return;
+  }
+  this.client.resetGroupOffsets(groupId, topics, strategy, options, cb);
+};
+
+Admin.prototype.getGroupLag = function (groupId, topics, cb) {
+  if (typeof topics === 'function') {
+    cb = topics;
+    topics = null;
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.getGroupLag(groupId, topics, cb));
+    return;
+  }
+  this.client.getGroupLag(groupId, topics, cb);
+};
+
+Admin.prototype.describeCluster = function (cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.describeCluster(cb));
+    return;
+  }
+  this.client.describeCluster(cb);
+};
+
+Admin.prototype.listTopics = function (options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.listTopics(options, cb));
+    return;
+  }
+  this.client.listTopics(options, cb);
+};
+
+Admin.prototype.describeTopics = function (topics, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.describeTopics(topics, options, cb));
+    return;
+  }
+  this.client.describeTopics(topics, options, cb);
+};
+
 Admin.prototype.createTopics = function (topics, cb) {
   if (!this.ready) {
     this.once('ready', () => this.client.createTopics(topics, cb));
@@ -50,4 +122,92 @@ Admin.prototype.createTopics = function (topics, cb) {
   this.client.createTopics(topics, cb);
 };
 
+Admin.prototype.deleteTopics = function (topics, cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.deleteTopics(topics, cb));
+    return;
+  }
+  this.client.deleteTopics(topics, cb);
+};
+
+Admin.prototype.createPartitions = function (topicPartitions, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.createPartitions(topicPartitions, options, cb));
+    return;
+  }
+  this.client.createPartitions(topicPartitions, options, cb);
+};
+
+Admin.prototype.describeConfigs = function (resources, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.describeConfigs(resources, options, cb));
+    return;
+  }
+  this.client.describeConfigs(resources, options, cb);
+};
+
+Admin.prototype.alterConfigs = function (resources, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.alterConfigs(resources, options, cb));
+    return;
+  }
+  this.client.alterConfigs(resources, options, cb);
+};
+
+Admin.prototype.incrementalAlterConfigs = function (resources, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = {};
+  }
+  if (!this.ready) {
+    this.once('ready', () => this.incrementalAlterConfigs(resources, options, cb));
+    return;
+  }
+  this.client.incrementalAlterConfigs(resources, options, cb);
+};
+
+Admin.prototype.deleteRecords = function (offsets, cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.deleteRecords(offsets, cb));
+    return;
+  }
+  this.client.deleteRecords(offsets, cb);
+};
+
+Admin.prototype.describeAcls = function (filter, cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.describeAcls(filter, cb));
+    return;
+  }
+  this.client.describeAcls(filter, cb);
+};
+
+Admin.prototype.createAcls = function (acls, cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.createAcls(acls, cb));
+    return;
+  }
+  this.client.createAcls(acls, cb);
+};
+
+Admin.prototype.deleteAcls = function (filters, cb) {
+  if (!this.ready) {
+    this.once('ready', () => this.deleteAcls(filters, cb));
+    return;
+  }
+  this.client.deleteAcls(filters, cb);
+};
+
 module.exports = Admin;
@@ -4,6 +4,7 @@ var assert = require('assert');
 var util = require('util');
 var EventEmitter = require('events');
 var _ = require('lodash');
+var async = require('async');
 var protocol = require('./protocol');
 var Message = protocol.Message;
 var KeyedMessage = protocol.KeyedMessage;
@@ -14,6 +15,15 @@ var RandomPartitioner = partitioner.RandomPartitioner;
 var CyclicPartitioner = partitioner.CyclicPartitioner;
 var KeyedPartitioner = partitioner.KeyedPartitioner;
 var CustomPartitioner = partitioner.CustomPartitioner;
+var InvalidConfigError = require('./errors/InvalidConfigError');
+var BrokerNotAvailableError = require('./errors/BrokerNotAvailableError');
+var TimeoutError = require('./errors/TimeoutError');
+var ProduceError = require('./errors/ProduceError');
+var RecordAccumulator = require('./batch/RecordAccumulator');
+var KafkaClient = require('./kafkaClient');
+var messagesSize = require('./utils').messagesSize;
+var createPartitionError = require('./utils').createPartitionError;
+var logger = require('./logging')('kafka-node:BaseProducer');
 
 var PARTITIONER_TYPES = {
   default: 0,
@@ -33,9 +43,27 @@ var PARTITIONER_MAP = {
 
 var DEFAULTS = {
   requireAcks: 1,
-  ackTimeoutMs: 100
+  ackTimeoutMs: 100,
+  compressionMinBytes: 0,
+  retries: 0,
+  idempotentRetries: 5,
+  retryBackoffMs: 100,
+  deliveryTimeoutMs: 120000,
+  lingerMs: 0,
+  batchSizeBytes: 16384
 };
 
+// the broker did not append the batches or discards them when they are sent again with the same sequence numbers:
+// UnknownTopicOrPartition, LeaderNotAvailable, NotLeaderForPartition, RequestTimedOut, NotEnoughReplicas and
+// NotEnoughReplicasAfterAppend
+var RETRIABLE_ERROR_CODES = [3, 5, 6, 7, 19, 20];
+var OUT_OF_ORDER_SEQUENCE_NUMBER = 45;
+var DUPLICATE_SEQUENCE_NUMBER = 46;
+var UNKNOWN_PRODUCER_ID = 59;
+var NETWORK_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'EHOSTUNREACH', 'EPIPE'];
+// sequence numbers wrap around to 0 after the largest int32
+var MAX_SEQUENCE = 2147483647;
+
 /**
  * Provides common functionality for a kafka producer
  *
@@ -48,6 +76,23 @@ var DEFAULTS = {
  *
  * @param {Number} [options.ackTimeoutMs=100] The amount of time in milliseconds to wait for all acks before considered
  *      the message as errored
+ * @param {Number} [options.compressionLevel] The compression level passed to the codec, defaults to the codec's own
+ *      default
+ * @param {Number} [options.compressionMinBytes=0] Messages for a partition totalling fewer bytes than this are sent
+ *      uncompressed
+ * @param {Boolean} [options.idempotent=false] Writes every message exactly once per partition using a producer id and
+ *      sequence numbers (Kafka 0.11+ and KafkaClient only), requireAcks has to be -1. Requests are sent one at a time.
+ * @param {Number} [options.retries=0] The number of times the partitions which failed with a retriable error are sent
+ *      again after refreshing their metadata, 5 for idempotent producers. Requests are sent one at a time when retrying
+ *      so the messages of a partition are not reordered.
+ * @param {Number} [options.retryBackoffMs=100] The time in milliseconds to wait before retrying
+ * @param {Number} [options.deliveryTimeoutMs=120000] No retry is started once this many milliseconds passed since
+ *      the messages were sent
+ * @param {Number} [options.lingerMs=0] Time in milliseconds the messages of send calls are collected into one batch per
+ *      partition before they are sent, 0 sends every call on its own
+ * @param {Number} [options.batchSizeBytes=16384] A partition's batch is sent before lingerMs passed once its record
+ *      batch reaches this many bytes before compression, record headers and overhead included, or before a record
+ *      would take it over this size
  * @param {Number} [defaultPartitionType] The default partitioner type
  * @param {Object} [customPartitioner] a custom partitinoer to use of the form: function (partitions, key)
  * @constructor
@@ -61,6 +106,45 @@ function BaseProducer (client, options, defaultPartitionerType, customPartitione
 
   this.requireAcks = options.requireAcks === undefined ? DEFAULTS.requireAcks : options.requireAcks;
   this.ackTimeoutMs = options.ackTimeoutMs === undefined ? DEFAULTS.ackTimeoutMs : options.ackTimeoutMs;
+  this.compressionLevel = options.compressionLevel;
+  this.compressionMinBytes =
+    options.compressionMinBytes === undefined ? DEFAULTS.compressionMinBytes : options.compressionMinBytes;
+
+  this.idempotent = Boolean(options.idempotent);
+  // the TransactionManager of a transactional producer
+  this.transaction = null;
+  if (this.idempotent) {
+    if (!(client instanceof KafkaClient)) {
+      throw new InvalidConfigError('An idempotent producer requires a KafkaClient');
+    }
+    if (options.requireAcks !== undefined && options.requireAcks !== -1) {
+      throw new InvalidConfigError('An idempotent producer requires requireAcks to be -1');
+    }
+    this.requireAcks = -1;
+    this.producerIdentity = null;
+    this.sequences = Object.create(null);
+  }
+
+  this.retries =
+    options.retries === undefined ? (this.idempotent ? DEFAULTS.idempotentRetries : DEFAULTS.retries) : options.retries;
+  this.retryBackoffMs = options.retryBackoffMs === undefined ? DEFAULTS.retryBackoffMs : options.retryBackoffMs;
+  this.deliveryTimeoutMs =
+    options.deliveryTimeoutMs === undefined ? DEFAULTS.deliveryTimeoutMs : options.deliveryTimeoutMs;
+  this.sendQueue = null;
+  if (this.idempotent || this.retries > 0) {
+    // a request is only sent once the previous one completed so the batches of a partition arrive in sequence
+    this.sendQueue = async.queue((task, callback) => task(callback), 1);
+  }
+
+  this.lingerMs = options.lingerMs === undefined ? DEFAULTS.lingerMs : options.lingerMs;
+  this.batchSizeBytes = options.batchSizeBytes === undefined ? DEFAULTS.batchSizeBytes : options.batchSizeBytes;
+  this.accumulator = null;
+  if (this.lingerMs > 0) {
+    const batchOptions = { lingerMs: this.lingerMs, batchSizeBytes: this.batchSizeBytes };
+    this.accumulator = new RecordAccumulator(batchOptions, (requests, callback) =>
+      this.sendRequests(uncompressSmallRequests(requests, this.compressionMinBytes), callback)
+    );
+  }
 
   if (customPartitioner !== undefined && options.partitionerType !== PARTITIONER_TYPES.custom) {
     throw new Error('Partitioner Type must be custom if providing a customPartitioner.');
@@ -113,14 +197,258 @@ BaseProducer.prototype.connect = function () {
  * @param {BaseProducer~sendCallback} cb A function to call once the send has completed
  */
 BaseProducer.prototype.send = function (payloads, cb) {
-  var client = this.client;
-  var requireAcks = this.requireAcks;
-  var ackTimeoutMs = this.ackTimeoutMs;
+  if (this.accumulator != null) {
+    // compressionMinBytes applies to the whole batch of a partition
+    this.accumulator.append(this.buildRequests(payloads, this.client.topicMetadata), cb);
+    return;
+  }
+
+  this.sendRequests(this.buildPayloads(payloads, this.client.topicMetadata), cb);
+};
+
+BaseProducer.prototype.sendRequests = function (requests, cb) {
+  if (this.sendQueue != null) {
+    const deadline = Date.now() + this.deliveryTimeoutMs;
+    const send = this.idempotent ? this.sendIdempotent : this.sendWithRetries;
+    this.sendQueue.push(callback => send.call(this, requests, deadline, callback), cb);
+    return;
+  }
+
+  this.client.sendProduceRequest(requests, this.requireAcks, this.ackTimeoutMs, cb);
+};
+
+/**
+ * Sends the messages collected for lingerMs right away, the callback is called once they are acknowledged
+ *
+ * @param {Function} cb
+ */
+BaseProducer.prototype.flush = function (cb) {
+  if (this.accumulator == null) {
+    return cb();
+  }
+  this.accumulator.flush(cb);
+};
+
+/**
+ * Sends the requests with the producer id and the next sequence number of each partition, the partitions are sent
+ * again with the same sequence numbers after retriable errors
+ *
+ * @param {Array.<ProduceRequest>} requests
+ * @param {Number} deadline The time after which no retry is started
+ * @param {Function} callback
+ */
+BaseProducer.prototype.sendIdempotent = function (requests, deadline, callback) {
+  const transaction = this.transaction;
+  let recordCounts;
+
+  async.waterfall(
+    [
+      callback => (transaction != null ? transaction.addPartitions(requests, callback) : callback(null)),
+      callback => this.initProducerIdentity(callback),
+      (identity, callback) => {
+        recordCounts = requests.map(request => {
+          request.producerId = identity.producerId;
+          request.producerEpoch = identity.producerEpoch;
+          request.baseSequence = this.sequences[sequenceKey(request)] || 0;
+          return request.messages.length;
+        });
+
+        this.sendWithRetries(requests, deadline, callback);
+      }
+    ],
+    (error, result) => {
+      // the transaction has to be aborted, the transaction manager renews the producer id afterwards
+      if (error && transaction != null) {
+        return callback(transaction.fail(error));
+      }
+
+      // nothing was sent when getting the producer id failed
+      if (error && !(error instanceof ProduceError)) {
+        return callback(error);
+      }
+
+      if (error && error.errors.some(failure => requiresNewProducerId(failure.error))) {
+        this.resetProducerIdentity();
+        return callback(error);
+      }
+
+      // the batches of the failed partitions were not appended, their sequence numbers are sent again by the next batch
+      const failed = error ? error.errors.map(sequenceKey) : [];
+      requests.forEach((request, index) => {
+        if (!_.includes(failed, sequenceKey(request))) {
+          this.sequences[sequenceKey(request)] = (request.baseSequence + recordCounts[index]) % (MAX_SEQUENCE + 1);
+        }
+      });
+      callback(error, result);
+    }
+  );
+};
+
+/**
+ * Sends the requests of each partition leader, the partitions which failed with a retriable error are sent to their
+ * current leader again after refreshing their metadata. The final error is a ProduceError with the error of each
+ * failed partition.
+ *
+ * @param {Array.<ProduceRequest>} requests
+ * @param {Number} deadline The time after which no retry is started
+ * @param {Function} callback
+ */
+BaseProducer.prototype.sendWithRetries = function (requests, deadline, callback) {
+  const offsets = {};
+  const failures = [];
+  let pending = requests;
+  let attempts = 0;
+
+  async.doWhilst(
+    callback => {
+      this.sendToLeaders(pending, offsets, failed => {
+        const canRetry = attempts++ < this.retries && Date.now() + this.retryBackoffMs < deadline;
+        const retried = failed.filter(failure => canRetry && isRetriable(failure.error));
+        Array.prototype.push.apply(failures, _.difference(failed, retried));
+        pending = _.map(retried, 'request');
+
+        if (pending.length === 0) {
+          return callback(null);
+        }
+
+        const topics = _.uniq(_.map(pending, 'topic'));
+        logger.debug('retrying %d partitions of %j after %s', pending.length, topics, retried[0].error.message);
+        setTimeout(() => {
+          this.client.refreshMetadata(topics, error => {
+            if (error) {
+              logger.debug('refreshing the metadata before retrying failed', error);
+            }
+            callback(null);
+          });
+        }, this.retryBackoffMs);
+      });
+    },
+    () => pending.length > 0,
+    () => {
+      if (failures.length) {
+        const errors = failures.map(failure => ({
+          topic: failure.request.topic,
+          partition: failure.request.partition,
+          error: failure.error
+        }));
+        return callback(new ProduceError(errors, offsets));
+      }
+      callback(null, offsets);
+    }
+  );
+};
+
+/**
+ * Sends a produce request to the leader of each partition, the offsets of the acknowledged partitions are added to
+ * offsets and the callback gets the failed requests with their error
+ *
+ * @param {Array.<ProduceRequest>} requests
+ * @param {Object} offsets
+ * @param {Function} callback
+ */
+BaseProducer.prototype.sendToLeaders = function (requests, offsets, callback) {
+  const topicMetadata = this.client.topicMetadata;
+  const failed = [];
+  const requestsByLeader = _.groupBy(requests, request =>
+    _.get(topicMetadata, [request.topic, request.partition, 'leader'])
+  );
 
-  client.sendProduceRequest(this.buildPayloads(payloads, client.topicMetadata), requireAcks, ackTimeoutMs, cb);
+  async.each(
+    _.values(requestsByLeader),
+    (requests, callback) => {
+      // the client replaces the messages of old message formats with their compressed message, retries send the
+      // original requests again
+      const args = [requests.map(request => _.clone(request)), this.requireAcks, this.ackTimeoutMs];
+      if (this.transaction != null) {
+        args.push(this.transaction.transactionalId);
+      }
+
+      this.client.sendProduceRequest.apply(
+        this.client,
+        args.concat((error, result) => {
+          if (!error) {
+            _.merge(offsets, result);
+          } else if (error.partitionErrors) {
+            // the other partitions of the response were appended
+            _.merge(offsets, error.offsets);
+            error.partitionErrors.forEach(partitionError => {
+              if (partitionError.errorCode === DUPLICATE_SEQUENCE_NUMBER) {
+                // an earlier attempt appended the batch, its offset is unknown
+                offsets[partitionError.topic] = offsets[partitionError.topic] || {};
+                offsets[partitionError.topic][partitionError.partition] = -1;
+                return;
+              }
+              failed.push({
+                request: _.find(requests, _.pick(partitionError, ['topic', 'partition'])),
+                error: createPartitionError(partitionError)
+              });
+            });
+          } else {
+            requests.forEach(request => failed.push({ request: request, error: error }));
+          }
+          callback(null);
+        })
+      );
+    },
+    () => callback(failed)
+  );
 };
 
+BaseProducer.prototype.initProducerIdentity = function (callback) {
+  if (this.transaction != null) {
+    // the sequence numbers start over with every producer id or epoch of the transactional id
+    if (this.producerIdentity !== this.transaction.producerIdentity) {
+      this.producerIdentity = this.transaction.producerIdentity;
+      this.sequences = Object.create(null);
+    }
+    return callback(null, this.producerIdentity);
+  }
+
+  if (this.producerIdentity != null) {
+    return callback(null, this.producerIdentity);
+  }
+
+  this.client.initProducerId((error, identity) => {
+    if (error) {
+      return callback(error);
+    }
+    this.producerIdentity = identity;
+    callback(null, identity);
+  });
+};
+
+BaseProducer.prototype.resetProducerIdentity = function () {
+  this.producerIdentity = null;
+  this.sequences = Object.create(null);
+};
+
+function sequenceKey (request) {
+  return request.topic + ':' + request.partition;
+}
+
+function isRetriable (error) {
+  return (
+    error instanceof TimeoutError ||
+    error instanceof BrokerNotAvailableError ||
+    _.includes(NETWORK_ERROR_CODES, error.code) ||
+    _.includes(RETRIABLE_ERROR_CODES, error.errorCode)
+  );
+}
+
+// The broker lost or rejected the sequence numbers of the producer id, or a batch whose retries were exhausted may
+// have been appended: the next batch would be discarded as a duplicate when it reused its sequence numbers
+function requiresNewProducerId (error) {
+  return (
+    error.errorCode === OUT_OF_ORDER_SEQUENCE_NUMBER || error.errorCode === UNKNOWN_PRODUCER_ID || isRetriable(error)
+  );
+}
+
 BaseProducer.prototype.buildPayloads = function (payloads, topicMetadata) {
+  return uncompressSmallRequests(this.buildRequests(payloads, topicMetadata), this.compressionMinBytes);
+};
+
+// groups the payloads into a ProduceRequest per topic partition
+BaseProducer.prototype.buildRequests = function (payloads, topicMetadata) {
   const topicPartitionRequests = Object.create(null);
   payloads.forEach(p => {
     p.partition = p.hasOwnProperty('partition')
@@ -133,22 +461,40 @@ BaseProducer.prototype.buildPayloads = function (payloads, topicMetadata) {
       if (message instanceof KeyedMessage) {
         return message;
       }
-      return new Message(0, 0, p.key, message, p.timestamp || Date.now());
+      return new Message(0, 0, p.key, message, p.timestamp || Date.now(), p.headers);
     });
 
     let key = p.topic + p.partition;
     let request = topicPartitionRequests[key];
 
     if (request == null) {
-      topicPartitionRequests[key] = new ProduceRequest(p.topic, p.partition, messages, p.attributes);
+      topicPartitionRequests[key] = new ProduceRequest(
+        p.topic,
+        p.partition,
+        messages,
+        p.attributes,
+        this.compressionLevel
+      );
     } else {
       assert(request.attributes === p.attributes);
       Array.prototype.push.apply(request.messages, messages);
     }
   });
+
   return _.values(topicPartitionRequests);
 };
 
+function uncompressSmallRequests (requests, compressionMinBytes) {
+  if (compressionMinBytes > 0) {
+    requests.forEach(request => {
+      if (request.attributes && messagesSize(request.messages) < compressionMinBytes) {
+        request.attributes = 0;
+      }
+    });
+  }
+  return requests;
+}
+
 BaseProducer.prototype.createTopics = function (topics, async, cb) {
   if (!this.ready) {
     return cb(new Error('Producer not ready!'));
@@ -158,7 +504,8 @@ BaseProducer.prototype.createTopics = function (topics, async, cb) {
 };
 
 BaseProducer.prototype.close = function (cb) {
-  this.client.close(cb);
+  // the pending batches are sent before the connections are closed
+  this.flush(() => this.client.close(cb));
 };
 
 BaseProducer.PARTITIONER_TYPES = PARTITIONER_TYPES;
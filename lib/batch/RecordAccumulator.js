@@ -0,0 +1,242 @@
+'use strict';
+
+const _ = require('lodash');
+const protocol = require('../protocol');
+const ProduceRequest = protocol.ProduceRequest;
+const ProduceError = require('../errors/ProduceError');
+const createPartitionError = require('../utils').createPartitionError;
+
+/**
+ * Collects the messages of the producer's send calls into one batch per topic partition. The batches are sent once
+ * a batch reaches batchSizeBytes, before a record would take it over batchSizeBytes or lingerMs after the oldest
+ * pending message was added. The size of a batch is the size of its uncompressed record batch (magic 2): the batch
+ * header and each record with its headers.
+ *
+ * @param {Object} options
+ * @param {Number} options.lingerMs
+ * @param {Number} options.batchSizeBytes
+ * @param {Function} sendBatches sends an array of ProduceRequest, called with the requests and a callback
+ * @constructor
+ */
+function RecordAccumulator (options, sendBatches) {
+  this.lingerMs = options.lingerMs;
+  this.batchSizeBytes = options.batchSizeBytes;
+  this.sendBatches = sendBatches;
+
+  // pending batches by topic:partition
+  this.batches = Object.create(null);
+  this.lingerTimer = null;
+  this.inFlight = 0;
+  this.idleCallbacks = [];
+}
+
+/**
+ * Adds the messages of a send call, the callback gets the offset of the first message of the call in each partition.
+ * When some of its partitions failed the callback gets a ProduceError with their errors and the offsets of the others.
+ * A batch is sent before adding a record that would take it over batchSizeBytes, so the messages of a call may be
+ * spread over several batches of a partition. A record larger than batchSizeBytes is sent in a batch of its own.
+ *
+ * @param {Array.<ProduceRequest>} requests
+ * @param {Function} callback
+ */
+RecordAccumulator.prototype.append = function (requests, callback) {
+  if (requests.length === 0) {
+    return this.sendBatches(requests, callback);
+  }
+
+  // one pending for each batch holding messages of the call, and one until all of them were added
+  const sender = {
+    pending: 1,
+    error: null,
+    failures: [],
+    result: {},
+    callback: callback
+  };
+
+  const full = [];
+  requests.forEach(request => {
+    const key = request.topic + ':' + request.partition;
+    let batch = this.batches[key];
+
+    // a batch has a single compression codec, the messages with other attributes have to wait for the next one
+    if (batch != null && batch.attributes !== request.attributes) {
+      this.send([batch]);
+      batch = null;
+    }
+
+    if (batch == null) {
+      batch = this.batches[key] = createBatch(request);
+    }
+
+    let senderBatch = null;
+    const addSender = () => {
+      batch.senders.push({ sender: sender, position: batch.messages.length, first: senderBatch == null });
+      senderBatch = batch;
+      sender.pending++;
+    };
+
+    request.messages.forEach(message => {
+      if (batch.messages.length && batch.size + sizeOfRecordInBatch(batch, message) > this.batchSizeBytes) {
+        // the batches of a partition are sent one by one so their offsets are not mixed up in a produce response
+        this.send([batch]);
+        batch = this.batches[key] = createBatch(request);
+      }
+
+      if (senderBatch !== batch) {
+        addSender();
+      }
+      batch.size += sizeOfRecordInBatch(batch, message);
+      batch.messages.push(message);
+    });
+
+    if (senderBatch == null) {
+      addSender();
+    }
+
+    if (batch.size >= this.batchSizeBytes && !_.includes(full, batch)) {
+      full.push(batch);
+    }
+  });
+
+  if (full.length) {
+    this.send(full);
+  }
+
+  if (_.isEmpty(this.batches)) {
+    this.clearLingerTimer();
+  } else if (this.lingerTimer == null) {
+    this.lingerTimer = setTimeout(() => {
+      this.lingerTimer = null;
+      this.drain();
+    }, this.lingerMs);
+  }
+
+  releaseSender(sender);
+};
+
+/**
+ * Sends all the pending batches now
+ */
+RecordAccumulator.prototype.drain = function () {
+  this.clearLingerTimer();
+  const batches = _.values(this.batches);
+  if (batches.length) {
+    this.send(batches);
+  }
+};
+
+/**
+ * Sends all the pending batches and calls back once no batch is in flight
+ *
+ * @param {Function} callback
+ */
+RecordAccumulator.prototype.flush = function (callback) {
+  this.drain();
+  if (this.inFlight === 0) {
+    return callback();
+  }
+  this.idleCallbacks.push(callback);
+};
+
+RecordAccumulator.prototype.clearLingerTimer = function () {
+  clearTimeout(this.lingerTimer);
+  this.lingerTimer = null;
+};
+
+RecordAccumulator.prototype.send = function (batches) {
+  batches.forEach(batch => {
+    const key = batch.topic + ':' + batch.partition;
+    if (this.batches[key] === batch) {
+      delete this.batches[key];
+    }
+  });
+
+  const requests = batches.map(
+    batch => new ProduceRequest(batch.topic, batch.partition, batch.messages, batch.attributes, batch.compressionLevel)
+  );
+
+  this.inFlight++;
+  this.sendBatches(requests, (error, result) => {
+    // the partitions of a produce error failed on their own, the offsets are those of the partitions that were written
+    const failures = error ? partitionFailures(error) : null;
+    const offsets = failures ? error.offsets : result;
+
+    batches.forEach(batch => {
+      const baseOffset = _.get(offsets, [batch.topic, batch.partition]);
+      const failure = failures && _.find(failures, { topic: batch.topic, partition: batch.partition });
+      // the outcome of a partition is unknown when the error is not about the partitions
+      const batchError = (failure || typeof baseOffset === 'number') ? null : error;
+      batch.senders.forEach(entry => completeSender(entry, batchError, failure, batch, baseOffset));
+    });
+
+    if (--this.inFlight === 0) {
+      const idleCallbacks = this.idleCallbacks;
+      this.idleCallbacks = [];
+      idleCallbacks.forEach(callback => callback());
+    }
+  });
+};
+
+function partitionFailures (error) {
+  if (error instanceof ProduceError) {
+    return error.errors;
+  }
+  if (error.partitionErrors) {
+    return error.partitionErrors.map(partitionError => ({
+      topic: partitionError.topic,
+      partition: partitionError.partition,
+      error: createPartitionError(partitionError)
+    }));
+  }
+  return null;
+}
+
+function createBatch (request) {
+  return {
+    topic: request.topic,
+    partition: request.partition,
+    attributes: request.attributes,
+    compressionLevel: request.compressionLevel,
+    messages: [],
+    size: protocol.RECORD_BATCH_HEADER_SIZE,
+    senders: []
+  };
+}
+
+function sizeOfRecordInBatch (batch, message) {
+  const firstMessage = batch.messages[0] || message;
+  const timestampDelta = protocol.getRecordTimestamp(message) - protocol.getRecordTimestamp(firstMessage);
+  return protocol.sizeOfRecord(message, batch.messages.length, timestampDelta);
+}
+
+function completeSender (entry, error, failure, batch, baseOffset) {
+  const sender = entry.sender;
+  if (error) {
+    sender.error = sender.error || error;
+  } else if (failure) {
+    // each batch of the partition fails with its own error
+    if (!_.some(sender.failures, { topic: failure.topic, partition: failure.partition })) {
+      sender.failures.push(failure);
+    }
+  } else if (typeof baseOffset === 'number' && entry.first) {
+    sender.result[batch.topic] = sender.result[batch.topic] || {};
+    // -1 when the offset of the batch is unknown
+    sender.result[batch.topic][batch.partition] = baseOffset < 0 ? baseOffset : baseOffset + entry.position;
+  }
+
+  releaseSender(sender);
+}
+
+function releaseSender (sender) {
+  if (--sender.pending === 0) {
+    if (sender.error) {
+      sender.callback(sender.error);
+    } else if (sender.failures.length) {
+      sender.callback(new ProduceError(sender.failures, sender.result));
+    } else {
+      sender.callback(null, sender.result);
+    }
+  }
+}
+
+module.exports = RecordAccumulator;
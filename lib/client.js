@@ -20,6 +20,7 @@ var url = require('url');
 var logger = require('./logging')('kafka-node:Client');
 var validateConfig = require('./utils').validateConfig;
 var validateKafkaTopics = require('./utils').validateTopicNames;
+var decodeHeaders = require('./utils').decodeHeaders;
 var BufferList = require('bl');
 
 const MAX_INT32 = 2147483647;
@@ -219,6 +220,9 @@ Client.prototype._createMessageHandler = function (consumer) {
     if (type === 'message') {
       message.value = decodeValue(encoding, message.value);
       message.key = decodeValue(keyEncoding || encoding, message.key);
+      if (message.headers) {
+        message.headers = decodeHeaders(encoding, message.headers);
+      }
 
       consumer.emit('message', message);
     } else {
@@ -264,10 +268,19 @@ Client.prototype.sendProduceRequest = function (payloads, requireAcks, ackTimeou
     var attributes = payload.attributes;
     var codec = getCodec(attributes);
 
+    if (payload.messages.some(message => !_.isEmpty(message.headers))) {
+      return cb(new Error('Message headers are only supported by KafkaClient'));
+    }
+
     if (!codec) return cb();
 
+    if (codec.minProduceVersion) {
+      return cb(new Error('Compression attributes ' + attributes + ' are only supported by KafkaClient'));
+    }
+
+    var encode = codec.encodeMagicV0 || codec.encode;
     var innerSet = encodeMessageSet(payload.messages);
-    codec.encode(innerSet, function (err, message) {
+    encode(innerSet, { level: payload.compressionLevel }, function (err, message) {
       if (err) return cb(err);
       payload.messages = [new Message(0, attributes, '', message)];
       cb();
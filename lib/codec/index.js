@@ -2,20 +2,53 @@
 
 var zlib = require('zlib');
 var snappyCodec = require('./snappy');
+var lz4Codec = require('./lz4');
+var zstdCodec = require('./zstd');
+
+// the lowest three bits of the attributes hold the compression codec
+var COMPRESSION_CODEC_MASK = 7;
 
 var gzipCodec = {
-  encode: zlib.gzip,
+  encode: function (buffer, options, cb) {
+    if (typeof options === 'function') {
+      cb = options;
+      options = null;
+    }
+    var level = options && options.level;
+    zlib.gzip(buffer, level == null ? {} : { level: level }, cb);
+  },
   decode: zlib.gunzip
 };
 
 var codecs = [
   null,
   gzipCodec,
-  snappyCodec
+  snappyCodec,
+  lz4Codec,
+  zstdCodec
 ];
 
 function getCodec (attributes) {
-  return codecs[attributes & 3] || null;
+  return codecs[attributes & COMPRESSION_CODEC_MASK] || null;
+}
+
+/**
+ * Registers a codec for a compression attribute, replacing the built in codec if there is one
+ *
+ * @param {Number} attributes The compression attribute (1-7) the codec is used for
+ * @param {Object} codec An object with `encode(buffer, options, callback)` and `decode(buffer, callback)` functions,
+ *      `options.level` holds the producer's compressionLevel. An optional `minProduceVersion` rejects brokers that
+ *      do not support the codec
+ */
+function registerCodec (attributes, codec) {
+  if (!Number.isInteger(attributes) || attributes < 1 || attributes > COMPRESSION_CODEC_MASK) {
+    throw new Error('Codec attributes must be an integer between 1 and ' + COMPRESSION_CODEC_MASK);
+  }
+  if (codec == null || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error('Codec must provide encode and decode functions');
+  }
+  codecs[attributes] = codec;
 }
 
 module.exports = getCodec;
+module.exports.registerCodec = registerCodec;
@@ -0,0 +1,87 @@
+'use strict';
+
+var optional = require('optional');
+var lz4 = optional('lz4');
+
+var FRAME_DESCRIPTOR_OFFSET = 4;
+var FLG_CONTENT_SIZE = 8;
+var FLG_DICT_ID = 1;
+
+if (lz4 == null) {
+  // codecs run inside socket and async callbacks, the error is passed to the callback so it cannot crash the process
+  var unavailableCodec = function unavailableCodec () {
+    var cb = arguments[arguments.length - 1];
+    cb(new Error('LZ4 codec is not installed, install the lz4 module to use it'));
+  };
+  module.exports = {
+    encode: unavailableCodec,
+    encodeMagicV0: unavailableCodec,
+    decode: unavailableCodec
+  };
+} else {
+  exports.encode = encodeLZ4;
+  exports.encodeMagicV0 = encodeLegacyLZ4;
+  exports.decode = decodeLZ4;
+}
+
+// Same frame settings as the Java client: 64KB independent blocks and no content checksum, levels above 1 use
+// the high compression mode
+function encodeOptions (options) {
+  var level = options && options.level;
+  return {
+    blockMaxSize: 64 << 10,
+    streamChecksum: false,
+    highCompression: level > 1
+  };
+}
+
+function headerChecksumOffset (frame) {
+  var flg = frame[FRAME_DESCRIPTOR_OFFSET];
+  var offset = FRAME_DESCRIPTOR_OFFSET + 2;
+  if (flg & FLG_CONTENT_SIZE) offset += 8;
+  if (flg & FLG_DICT_ID) offset += 4;
+  return offset;
+}
+
+function encodeLZ4 (buffer, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = null;
+  }
+  var encoded;
+  try {
+    encoded = lz4.encode(buffer, encodeOptions(options));
+  } catch (error) {
+    return cb(error);
+  }
+  cb(null, encoded);
+}
+
+// Kafka brokers before 0.10 (and magic 0 messages, see KIP-57) compute the frame header checksum over the magic number
+// as well as the frame descriptor
+function encodeLegacyLZ4 (buffer, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = null;
+  }
+  encodeLZ4(buffer, options, function (error, encoded) {
+    if (error) return cb(error);
+    var offset = headerChecksumOffset(encoded);
+    encoded[offset] = lz4.utils.descriptorChecksum(encoded.slice(0, offset));
+    cb(null, encoded);
+  });
+}
+
+function decodeLZ4 (buffer, cb) {
+  var decoded;
+  try {
+    // rewrite the header checksum so frames written with the legacy (broken) checksum can be read
+    var frame = Buffer.from(buffer);
+    var offset = headerChecksumOffset(frame);
+    frame[offset] = lz4.utils.descriptorChecksum(frame.slice(FRAME_DESCRIPTOR_OFFSET, offset));
+    decoded = lz4.decode(frame);
+  } catch (error) {
+    return cb(error);
+  }
+  cb(null, decoded);
+}
@@ -17,10 +17,18 @@ if (snappy == null) {
   var SNAPPY_MAGIC_BYTES_LEN = SNAPPY_MAGIC_BYTES.length;
   var SNAPPY_MAGIC = Buffer.from(SNAPPY_MAGIC_BYTES).toString('hex');
 
-  exports.encode = snappy.compress;
+  exports.encode = encodeSnappy;
   exports.decode = decodeSnappy;
 }
 
+// snappy has no compression levels
+function encodeSnappy (buffer, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+  }
+  snappy.compress(buffer, cb);
+}
+
 function isChunked (buffer) {
   var prefix = buffer.toString('hex', 0, SNAPPY_MAGIC_BYTES_LEN);
   return prefix === SNAPPY_MAGIC;
@@ -0,0 +1,49 @@
+'use strict';
+
+var optional = require('optional');
+var zstd = optional('zstd-napi');
+
+// brokers only accept zstd compressed record batches from Produce v7 (Kafka 2.1) onwards
+var MIN_PRODUCE_VERSION = 7;
+
+if (zstd == null) {
+  // codecs run inside socket and async callbacks, the error is passed to the callback so it cannot crash the process
+  var unavailableCodec = function unavailableCodec () {
+    var cb = arguments[arguments.length - 1];
+    cb(new Error('Zstd codec is not installed, install the zstd-napi module to use it'));
+  };
+  module.exports = {
+    encode: unavailableCodec,
+    decode: unavailableCodec,
+    minProduceVersion: MIN_PRODUCE_VERSION
+  };
+} else {
+  exports.encode = encodeZstd;
+  exports.decode = decodeZstd;
+  exports.minProduceVersion = MIN_PRODUCE_VERSION;
+}
+
+function encodeZstd (buffer, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = null;
+  }
+  var level = options && options.level;
+  var encoded;
+  try {
+    encoded = zstd.compress(buffer, level == null ? {} : { compressionLevel: level });
+  } catch (error) {
+    return cb(error);
+  }
+  cb(null, encoded);
+}
+
+function decodeZstd (buffer, cb) {
+  var decoded;
+  try {
+    decoded = zstd.decompress(buffer);
+  } catch (error) {
+    return cb(error);
+  }
+  cb(null, decoded);
+}
@@ -15,6 +15,7 @@ var DEFAULTS = {
   fetchMaxWaitMs: 100,
   fetchMinBytes: 1,
   fetchMaxBytes: 1024 * 1024,
+  isolationLevel: 'read_uncommitted',
   fromOffset: false,
   encoding: 'utf8'
 };
@@ -37,6 +38,7 @@ function Consumer (client, topics, options) {
   this.fetchCount = 0;
   this.client = client;
   this.options = _.defaults((options || {}), DEFAULTS);
+  utils.validateIsolationLevel(this.options.isolationLevel);
   this.ready = false;
   this.paused = this.options.paused;
   this.id = nextId();
@@ -10,6 +10,7 @@ const Offset = require('./offset');
 const _ = require('lodash');
 const async = require('async');
 const validateConfig = require('./utils').validateConfig;
+const validateIsolationLevel = require('./utils').validateIsolationLevel;
 const ConsumerGroupRecovery = require('./consumerGroupRecovery');
 const Heartbeat = require('./consumerGroupHeartbeat');
 const createTopicPartitionList = require('./utils').createTopicPartitionList;
@@ -37,6 +38,7 @@ const DEFAULTS = {
   maxNumSegments: 1000,
   fetchMinBytes: 1,
   fetchMaxBytes: 1024 * 1024,
+  isolationLevel: 'read_uncommitted',
   maxTickMessages: 1000,
   fromOffset: 'latest',
   outOfRangeOffset: 'earliest',
@@ -80,6 +82,8 @@ function ConsumerGroup (memberOptions, topics) {
     );
   }
 
+  validateIsolationLevel(this.options.isolationLevel);
+
   if (memberOptions.kafkaHost) {
     memberOptions.clientId = memberOptions.id;
     this.client = new KafkaClient(memberOptions);
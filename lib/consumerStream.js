@@ -5,6 +5,9 @@ var Readable = require('stream').Readable;
 var logger = require('./logging')('kafka-node:ConsumerStream');
 
 var CommitStream = require('./commitStream');
+var utils = require('./utils');
+var decodeHeaders = utils.decodeHeaders;
+var KafkaClient = require('./kafkaClient');
 
 var protocol = require('./protocol');
 
@@ -19,6 +22,7 @@ var DEFAULTS = {
   fetchMinBytes: 1,
   fetchMaxBytes: 1024 * 1024,
   bufferRefetchThreshold: 10,
+  isolationLevel: 'read_uncommitted',
   fromOffset: false,
   encoding: 'utf8'
 };
@@ -36,6 +40,7 @@ var ConsumerStream = function (client, topics, options) {
   this.fetchCount = 0;
   this.client = client;
   this.options = _.defaults(options || {}, DEFAULTS);
+  utils.validateIsolationLevel(this.options.isolationLevel);
   this.ready = false;
   this.payloads = this.buildPayloads(topics);
   this.connect();
@@ -98,20 +103,44 @@ ConsumerStream.prototype.fetch = function () {
   var self = this;
   if (self.ready && !self.fetchInFlight) {
     self.fetchInFlight = true;
-    var encoder = protocol.encodeFetchRequest(self.fetchMaxWaitMs, self.fetchMinBytes);
-    var decoder = protocol.decodeFetchResponse(self.decodeCallback.bind(self), self.maxTickMessages);
-    self.client.send(self.payloads, encoder, decoder, function (err) {
+    var onFetched = function (err) {
       if (err) {
         Array.prototype.unshift.call(arguments, 'error');
         self.emit.apply(self, arguments);
       }
+      // No response was decoded when the request failed or was not sent because the long polling socket is waiting
+      // for another fetch of the client, the next fetch waits as long as the other one can take.
+      var fetchSkipped = self.fetchInFlight;
+      self.fetchInFlight = false;
       // If the buffer is below the configured threshold attempt a fetch.
       if (self.messageBuffer.length < self.options.bufferRefetchThreshold) {
-        setImmediate(function () {
-          self.fetch();
-        });
+        if (fetchSkipped) {
+          setTimeout(function () {
+            self.fetch();
+          }, self.options.fetchMaxWaitMs);
+        } else {
+          setImmediate(function () {
+            self.fetch();
+          });
+        }
       }
-    });
+    };
+
+    if (self.client instanceof KafkaClient) {
+      var options = {
+        fetchMaxWaitMs: self.options.fetchMaxWaitMs,
+        fetchMinBytes: self.options.fetchMinBytes,
+        fetchMaxResponseBytes: self.options.fetchMaxResponseBytes,
+        isolationLevel: self.options.isolationLevel,
+        maxTickMessages: self.maxTickMessages
+      };
+      self.client.sendFetchRequestWithHandler(self.payloads, options, self.decodeCallback.bind(self), onFetched);
+      return;
+    }
+
+    var encoder = protocol.encodeFetchRequest(self.fetchMaxWaitMs, self.fetchMinBytes);
+    var decoder = protocol.decodeFetchResponse(self.decodeCallback.bind(self), self.maxTickMessages);
+    self.client.send(self.payloads, encoder, decoder, onFetched);
   }
 };
 
@@ -136,6 +165,9 @@ ConsumerStream.prototype.decodeCallback = function (err, type, message) {
     if (encoding !== 'buffer' && message.value) {
       message.value = message.value.toString(encoding);
     }
+    if (message.headers) {
+      message.headers = decodeHeaders(encoding, message.headers);
+    }
     this.handleMessage(message);
   } else {
     // If we had neither error nor message, this is the end of a fetch,
@@ -0,0 +1,26 @@
+var util = require('util');
+
+/**
+ * A fetched record batch failed its CRC check or its records could not be decoded. The consumer does not move past
+ * a batch failing the CRC check, it is fetched and reported again until the offset of the partition is set to
+ * nextOffset
+ *
+ * @param {String} message
+ * @param {Object} vars `{ topic, partition, offset, nextOffset }` offset is the base offset of the batch and
+ *      nextOffset the offset after its last record
+ *
+ * @constructor
+ */
+var CorruptRecordBatchError = function (message, vars) {
+  Error.captureStackTrace(this, this);
+  this.message = message + ' on topic ' + vars.topic + ' partition ' + vars.partition + ' at offset ' + vars.offset;
+  this.topic = vars.topic;
+  this.partition = vars.partition;
+  this.offset = vars.offset;
+  this.nextOffset = vars.nextOffset;
+};
+
+util.inherits(CorruptRecordBatchError, Error);
+CorruptRecordBatchError.prototype.name = 'CorruptRecordBatchError';
+
+module.exports = CorruptRecordBatchError;
@@ -0,0 +1,28 @@
+var util = require('util');
+
+/**
+ * The messages of one or more partitions could not be sent, the retries or the delivery timeout were exhausted or
+ * the error was not retriable
+ *
+ * @param {Array.<{topic: String, partition: Number, error: Error}>} errors The last error of each failed partition
+ * @param {Object} offsets The offsets of the partitions the messages were sent to, by topic and partition
+ *
+ * @constructor
+ */
+var ProduceError = function (errors, offsets) {
+  Error.captureStackTrace(this, this);
+  this.errors = errors;
+  this.offsets = offsets;
+  this.message =
+    'Failed to send to ' +
+    errors
+      .map(function (error) {
+        return error.topic + ':' + error.partition + ' (' + error.error.message + ')';
+      })
+      .join(', ');
+};
+
+util.inherits(ProduceError, Error);
+ProduceError.prototype.name = 'ProduceError';
+
+module.exports = ProduceError;
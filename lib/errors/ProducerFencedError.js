@@ -0,0 +1,18 @@
+var util = require('util');
+
+/**
+ * Another producer with the same transactionalId was initialized, this producer can not be used anymore
+ *
+ * @param {String} message The error returned by the broker
+ *
+ * @constructor
+ */
+var ProducerFencedError = function (message) {
+  Error.captureStackTrace(this, this);
+  this.message = message;
+};
+
+util.inherits(ProducerFencedError, Error);
+ProducerFencedError.prototype.name = 'ProducerFencedError';
+
+module.exports = ProducerFencedError;
@@ -0,0 +1,20 @@
+var util = require('util');
+
+/**
+ * The SASL handshake or authentication with a broker failed
+ *
+ * @param {String} message A message describing why the authentication failed
+ * @param {Number} [errorCode] The kafka error code returned by the broker
+ *
+ * @constructor
+ */
+var SaslAuthenticationError = function (message, errorCode) {
+  Error.captureStackTrace(this, this);
+  this.message = message;
+  this.errorCode = errorCode;
+};
+
+util.inherits(SaslAuthenticationError, Error);
+SaslAuthenticationError.prototype.name = 'SaslAuthenticationError';
+
+module.exports = SaslAuthenticationError;
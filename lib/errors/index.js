@@ -6,6 +6,10 @@ module.exports = {
   FailedToRebalanceConsumerError: require('./FailedToRebalanceConsumerError'),
   InvalidConfigError: require('./InvalidConfigError'),
   ClientIsClosing: require('./ClientIsClosing'),
+  SaslAuthenticationError: require('./SaslAuthenticationError'),
+  ProducerFencedError: require('./ProducerFencedError'),
+  ProduceError: require('./ProduceError'),
+  CorruptRecordBatchError: require('./CorruptRecordBatchError'),
   ConsumerGroupErrors: [
     require('./GroupCoordinatorNotAvailableError'),
     require('./GroupLoadInProgressError'),
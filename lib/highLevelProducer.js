@@ -2,14 +2,123 @@
 
 var util = require('util');
 var BaseProducer = require('./baseProducer');
+var TransactionManager = require('./transactionManager');
+var InvalidConfigError = require('./errors/InvalidConfigError');
 
-/** @inheritdoc */
+/**
+ * @inheritdoc
+ * @param {String} [options.transactionalId] Enables transactions (Kafka 0.11+), the producer is idempotent
+ * @param {Number} [options.transactionTimeoutMs=60000] The time the coordinator waits for a transaction to complete
+ *      before aborting it
+ */
 function HighLevelProducer (client, options, customPartitioner) {
+  options = options || {};
+  var transactional = options.transactionalId != null;
+
+  if (transactional) {
+    if (options.idempotent === false) {
+      throw new InvalidConfigError('A transactional producer has to be idempotent');
+    }
+    options = Object.assign({}, options, { idempotent: true });
+  }
+
   BaseProducer.call(this, client, options, BaseProducer.PARTITIONER_TYPES.cyclic, customPartitioner);
+
+  if (transactional) {
+    this.transaction = new TransactionManager(client, {
+      transactionalId: options.transactionalId,
+      transactionTimeoutMs: options.transactionTimeoutMs,
+      retries: this.retries
+    });
+  }
 }
 
 util.inherits(HighLevelProducer, BaseProducer);
 
+/**
+ * Gets the producer id of the transactional id, this fences the previous producers with the same transactional id
+ * and aborts their ongoing transaction. Has to be called once before the first transaction.
+ *
+ * @param {Function} cb
+ */
+HighLevelProducer.prototype.initTransactions = function (cb) {
+  if (this.transaction == null) {
+    return cb(notTransactionalError());
+  }
+  this.transaction.initTransactions(cb);
+};
+
+/**
+ * Starts a transaction, the messages sent until the transaction is committed or aborted are part of it
+ */
+HighLevelProducer.prototype.beginTransaction = function () {
+  if (this.transaction == null) {
+    throw notTransactionalError();
+  }
+  this.transaction.beginTransaction();
+};
+
+/**
+ * Commits the offsets of a consumer group with the ongoing transaction, the consumed messages and the messages
+ * produced from them are committed or aborted together. The offsets are the ones of the next messages to consume.
+ *
+ * @param {Array.<{topic: String, partition: Number, offset: Number, metadata: String}>} offsets
+ * @param {ConsumerGroup} consumerGroup
+ * @param {Function} cb
+ */
+HighLevelProducer.prototype.sendOffsetsToTransaction = function (offsets, consumerGroup, cb) {
+  if (this.transaction == null) {
+    return cb(notTransactionalError());
+  }
+  if (consumerGroup.generationId == null || !consumerGroup.memberId) {
+    return cb(new Error('Not member of group'));
+  }
+
+  var group = {
+    groupId: consumerGroup.options.groupId,
+    generationId: consumerGroup.generationId,
+    memberId: consumerGroup.memberId
+  };
+  this.queueTransactionRequest(callback => this.transaction.sendOffsets(offsets, group, callback), cb);
+};
+
+/**
+ * Commits the ongoing transaction once the messages sent before are acknowledged
+ *
+ * @param {Function} cb
+ */
+HighLevelProducer.prototype.commitTransaction = function (cb) {
+  if (this.transaction == null) {
+    return cb(notTransactionalError());
+  }
+  this.queueTransactionRequest(callback => this.transaction.commitTransaction(callback), cb);
+};
+
+/**
+ * Aborts the ongoing transaction once the messages sent before are acknowledged or failed, a transaction has to be
+ * aborted after a send failed
+ *
+ * @param {Function} cb
+ */
+HighLevelProducer.prototype.abortTransaction = function (cb) {
+  if (this.transaction == null) {
+    return cb(notTransactionalError());
+  }
+  this.queueTransactionRequest(callback => this.transaction.abortTransaction(callback), cb);
+};
+
+// the transaction requests are sent after the produce requests of the messages sent before, including lingering ones
+HighLevelProducer.prototype.queueTransactionRequest = function (task, cb) {
+  if (this.accumulator != null) {
+    this.accumulator.drain();
+  }
+  this.sendQueue.push(task, cb);
+};
+
+function notTransactionalError () {
+  return new InvalidConfigError('Transactions require the transactionalId option');
+}
+
 HighLevelProducer.PARTITIONER_TYPES = BaseProducer.PARTITIONER_TYPES;
 
 module.exports = HighLevelProducer;
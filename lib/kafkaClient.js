@@ -22,6 +22,7 @@ const baseProtocolVersions = protocolVersions.baseSupport;
 const apiMap = protocolVersions.apiMap;
 const NestedError = require('nested-error-stacks');
 const getCodec = require('./codec');
+const sasl = require('./sasl');
 
 const DEFAULTS = {
   kafkaHost: 'localhost:9092',
@@ -59,6 +60,10 @@ const KafkaClient = function (options) {
     validateConfig('clientId', this.options.clientId);
   }
 
+  if (this.options.sasl) {
+    sasl.validateOptions(this.options.sasl);
+  }
+
   this.clientId = this.options.clientId || 'kafka-node-client';
   this.noAckBatchOptions = this.options.noAckBatchOptions;
   this.brokers = {};
@@ -70,8 +75,10 @@ const KafkaClient = function (options) {
    * @type {Map<any, Map<any, any>>}
    */
   this.cbqueue = new Map();
+  this.drainCallbacks = new Map();
   this.brokerMetadata = {};
   this.clusterMetadata = {};
+  this.clusterId = null;
   this.ready = false;
 
   this.initialHosts = parseHostList(this.options.kafkaHost);
@@ -385,14 +392,26 @@ KafkaClient.prototype.setBrokerMetadata = function (brokerMetadata) {
   this.brokerMetadata = brokerMetadata;
   this.brokerMetadataLastUpdate = Date.now();
 
-  if (!_.isEmpty(oldBrokerMetadata) && !_.isEqual(oldBrokerMetadata, brokerMetadata)) {
+  const brokersChanged = !_.isEqual(brokerAddresses(oldBrokerMetadata), brokerAddresses(brokerMetadata));
+  if (!_.isEmpty(oldBrokerMetadata) && brokersChanged) {
     setImmediate(() => this.emit('brokersChanged'));
   }
 };
 
+// only metadata v1+ has the rack of the brokers, it must not be mistaken for a change of the brokers
+function brokerAddresses (brokerMetadata) {
+  return _.mapValues(brokerMetadata, broker => _.pick(broker, ['nodeId', 'host', 'port']));
+}
+
 KafkaClient.prototype.setClusterMetadata = function (clusterMetadata) {
   assert(clusterMetadata, 'clusterMetadata is empty');
   this.clusterMetadata = clusterMetadata;
+
+  // metadata v2+ has the cluster id
+  if (clusterMetadata.clusterId != null && clusterMetadata.clusterId !== this.clusterId) {
+    logger.debug(`connected to cluster ${clusterMetadata.clusterId}`);
+    this.clusterId = clusterMetadata.clusterId;
+  }
 };
 
 KafkaClient.prototype.setControllerId = function (controllerId) {
@@ -587,6 +606,301 @@ KafkaClient.prototype.getDescribeGroups = function (groups, callback) {
   );
 };
 
+/**
+ * Deletes consumer groups without active members (Kafka 1.1+), each group is deleted by its coordinator.
+ * @param {Array} groupIds
+ * @param {Function} callback Function to call with `{ groupId, error }` for each group in the given order, the error is
+ *      `NonEmptyGroup` when the group has active members and `GroupIdNotFound` when it does not exist.
+ */
+KafkaClient.prototype.deleteGroups = function (groupIds, callback) {
+  async.groupByLimit(
+    groupIds,
+    this.options.maxAsyncRequests,
+    (groupId, callback) => {
+      this.sendGroupCoordinatorRequest(groupId, (error, coordinator) => {
+        callback(error || null, coordinator ? coordinator.coordinatorId : undefined);
+      });
+    },
+    (error, groupsByCoordinator) => {
+      if (error) {
+        return callback(error);
+      }
+
+      async.mapValuesLimit(
+        groupsByCoordinator,
+        this.options.maxAsyncRequests,
+        (groupIds, coordinatorId, callback) => {
+          this.sendRequestToBroker(coordinatorId, 'deleteGroups', [groupIds], callback);
+        },
+        (error, results) => {
+          if (error) {
+            return callback(error);
+          }
+
+          const resultsByGroup = _.keyBy(_.flatten(_.values(results)), 'groupId');
+          callback(null, groupIds.map(groupId => resultsByGroup[groupId]));
+        }
+      );
+    }
+  );
+};
+
+/**
+ * Deletes the committed offsets of partitions for a consumer group (Kafka 2.4+).
+ * @param {String} groupId
+ * @param {Array} topicPartitions Array of `{ topic, partitions }` where partitions is an array of partition ids.
+ * @param {Function} callback Function to call with `{ topic, partition, error }` for each partition, the error is
+ *      `GroupSubscribedToTopic` when active members of the group consume the topic.
+ */
+KafkaClient.prototype.deleteGroupOffsets = function (groupId, topicPartitions, callback) {
+  this.sendGroupCoordinatorRequest(groupId, (error, coordinator) => {
+    if (error) {
+      return callback(error);
+    }
+    this.sendRequestToBroker(coordinator.coordinatorId, 'offsetDelete', [groupId, topicPartitions], callback);
+  });
+};
+
+// the numeric field of the strategy each reset strategy requires
+const RESET_STRATEGIES = {
+  'to-earliest': null,
+  'to-latest': null,
+  'to-timestamp': 'timestamp',
+  'to-explicit-offset': 'offset',
+  'shift-by-N': 'shift'
+};
+
+// the option names of kafka-consumer-groups.sh
+const RESET_STRATEGY_ALIASES = {
+  'to-offset': 'to-explicit-offset',
+  'shift-by': 'shift-by-N'
+};
+
+/**
+ * Resets the committed offsets of a consumer group, the group must not have active members.
+ * @param {String} groupId
+ * @param {Array} topics names of the topics whose partitions are reset
+ * @param {Object} strategy `{ type }` where type is `to-earliest`, `to-latest`, `to-timestamp` with a `timestamp`,
+ *      `to-explicit-offset` (or `to-offset`) with an `offset` or `shift-by-N` (or `shift-by`) with a positive or
+ *      negative `shift` from the committed offsets. Offsets out of range are moved to the earliest or latest offset.
+ * @param {Object} [options] `dryRun` returns the planned offsets without committing them.
+ * @param {Function} callback Function to call with the offsets of the group `{ topic: { partition: offset } }`.
+ */
+KafkaClient.prototype.resetGroupOffsets = function (groupId, topics, strategy, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const type = strategy && (RESET_STRATEGY_ALIASES[strategy.type] || strategy.type);
+  if (!_.has(RESET_STRATEGIES, type)) {
+    return callback(new Error(`Unknown offset reset strategy: ${strategy && strategy.type}`));
+  }
+
+  const field = RESET_STRATEGIES[type];
+  const value = field && (strategy[field] instanceof Date ? strategy[field].getTime() : strategy[field]);
+  if (field && !Number.isInteger(value)) {
+    return callback(new Error(`Offset reset strategy ${strategy.type} requires an integer ${field}`));
+  }
+  strategy = Object.assign({}, strategy, { type: type });
+
+  let coordinatorId, partitions;
+
+  async.waterfall(
+    [
+      callback => this.getDescribeGroups([groupId], callback),
+      (groups, callback) => {
+        const group = groups[groupId];
+        if (group.error) {
+          return callback(group.error);
+        }
+        if (!_.isEmpty(group.members)) {
+          return callback(
+            new Error(`Consumer group ${groupId} has active members, stop them before resetting its offsets`)
+          );
+        }
+        coordinatorId = group.brokerId;
+        this.describeTopics(topics, callback);
+      },
+      (descriptions, callback) => {
+        const missingTopics = _.map(descriptions.filter(description => description.error), 'topic');
+        if (missingTopics.length) {
+          return callback(new errors.TopicsNotExistError(missingTopics));
+        }
+        partitions = _.flatMap(descriptions, description =>
+          description.partitions.map(partition => ({ topic: description.topic, partition: partition.partition }))
+        );
+        fetchResetBounds(this, groupId, coordinatorId, partitions, strategy, callback);
+      },
+      (bounds, callback) => {
+        let offsets;
+        try {
+          offsets = partitions.reduce((offsets, p) => {
+            _.setWith(offsets, [p.topic, p.partition], planResetOffset(strategy, p, bounds), Object);
+            return offsets;
+          }, {});
+        } catch (error) {
+          return callback(error);
+        }
+
+        if (options && options.dryRun) {
+          return callback(null, offsets);
+        }
+
+        const payloads = partitions.map(p => ({
+          topic: p.topic,
+          partition: p.partition,
+          offset: offsets[p.topic][p.partition],
+          metadata: ''
+        }));
+        // generation -1 and no member id commit the offsets of a group without active members
+        this.sendRequestToBroker(coordinatorId, 'offsetCommit', [groupId, -1, '', payloads], (error, result) => {
+          if (error) {
+            return callback(error);
+          }
+          const commitError = _.find(_.flatMap(result, _.values));
+          callback(commitError || null, offsets);
+        });
+      }
+    ],
+    callback
+  );
+};
+
+function fetchResetBounds (client, groupId, coordinatorId, partitions, strategy, callback) {
+  const offsetPayloads = time =>
+    partitions.map(p => ({ topic: p.topic, partition: p.partition, time: time, maxNum: 1 }));
+
+  async.parallel(
+    {
+      earliest: callback => client.sendOffsetRequest(offsetPayloads(-2), callback),
+      latest: callback => client.sendOffsetRequest(offsetPayloads(-1), callback),
+      committed: callback => {
+        if (strategy.type !== 'shift-by-N') {
+          return callback(null, {});
+        }
+        const payloads = _.mapValues(_.groupBy(partitions, 'topic'), partitions => _.map(partitions, 'partition'));
+        client.sendRequestToBroker(coordinatorId, 'offsetFetch', [groupId, payloads], callback);
+      },
+      byTime: callback => {
+        if (strategy.type !== 'to-timestamp') {
+          return callback(null, {});
+        }
+        const timestamp = strategy.timestamp instanceof Date ? strategy.timestamp.getTime() : strategy.timestamp;
+        client.sendTimestampOffsetRequest(offsetPayloads(timestamp), callback);
+      }
+    },
+    callback
+  );
+}
+
+function planResetOffset (strategy, p, bounds) {
+  const earliest = bounds.earliest[p.topic][p.partition][0];
+  const latest = bounds.latest[p.topic][p.partition][0];
+  let offset;
+
+  switch (strategy.type) {
+    case 'to-earliest':
+      return earliest;
+    case 'to-latest':
+      return latest;
+    case 'to-timestamp':
+      // -1 when there is no message after the timestamp
+      offset = bounds.byTime[p.topic][p.partition].offset;
+      return offset === -1 ? latest : offset;
+    case 'to-explicit-offset':
+      offset = strategy.offset;
+      break;
+    case 'shift-by-N':
+      offset = _.get(bounds.committed, [p.topic, p.partition], -1);
+      if (offset === -1) {
+        throw new Error(`Consumer group has no committed offset to shift for ${p.topic} partition ${p.partition}`);
+      }
+      offset += strategy.shift;
+      break;
+  }
+
+  return Math.min(Math.max(offset, earliest), latest);
+}
+
+/**
+ * Computes the lag of the partitions a consumer group has committed offsets for (Kafka 0.10.2+).
+ * @param {String} groupId
+ * @param {Array} [topics] only report the lag of these topics
+ * @param {Function} callback Function to call with `{ groupId, totalLag, partitions }` where partitions are sorted and
+ *      have `{ topic, partition, offset, highWatermark, lag, member }`, member is the
+ *      `{ memberId, clientId, clientHost }` the partition is assigned to or null.
+ */
+KafkaClient.prototype.getGroupLag = function (groupId, topics, callback) {
+  if (typeof topics === 'function') {
+    callback = topics;
+    topics = null;
+  }
+
+  let group;
+
+  async.waterfall(
+    [
+      callback => this.getDescribeGroups([groupId], callback),
+      (groups, callback) => {
+        group = groups[groupId];
+        if (group.error) {
+          return callback(group.error);
+        }
+        // a null topic list returns all the committed offsets of the group
+        this.sendRequestToBroker(group.brokerId, 'offsetFetch', [groupId, null], callback);
+      },
+      (committed, callback) => {
+        const committedTopics = _.keys(committed).filter(topic => topics == null || _.includes(topics, topic));
+        // the group can still have offsets of deleted topics
+        this.describeTopics(committedTopics, (error, descriptions) => {
+          if (error) {
+            return callback(error);
+          }
+          const existingTopics = _.map(descriptions.filter(description => description.error == null), 'topic');
+          const partitions = _.flatMap(existingTopics, topic =>
+            _.map(committed[topic], (offset, partition) => ({ topic, partition: Number(partition), offset }))
+          ).filter(p => p.offset !== -1);
+          callback(null, partitions);
+        });
+      },
+      (partitions, callback) => {
+        if (partitions.length === 0) {
+          return callback(null, partitions, {});
+        }
+
+        const payloads = partitions.map(p => ({ topic: p.topic, partition: p.partition, time: -1, maxNum: 1 }));
+        this.sendOffsetRequest(payloads, (error, highWatermarks) => callback(error, partitions, highWatermarks));
+      },
+      (partitions, highWatermarks, callback) => {
+        const members = {};
+        _.forEach(group.members, member => {
+          _.forEach(_.get(member, 'memberAssignment.partitions'), (assigned, topic) => {
+            _.forEach(assigned, partition => {
+              _.setWith(members, [topic, partition], _.pick(member, ['memberId', 'clientId', 'clientHost']), Object);
+            });
+          });
+        });
+
+        const lags = _.sortBy(partitions, ['topic', 'partition']).map(p => {
+          const highWatermark = highWatermarks[p.topic][p.partition][0];
+          return {
+            topic: p.topic,
+            partition: p.partition,
+            offset: p.offset,
+            highWatermark: highWatermark,
+            lag: Math.max(highWatermark - p.offset, 0),
+            member: _.get(members, [p.topic, p.partition], null)
+          };
+        });
+
+        callback(null, { groupId: groupId, totalLag: _.sumBy(lags, 'lag'), partitions: lags });
+      }
+    ],
+    callback
+  );
+};
+
 KafkaClient.prototype.close = function (callback) {
   if (this.currentConnect) {
     this.currentConnect.stop();
@@ -628,7 +942,7 @@ KafkaClient.prototype.initializeBroker = function (broker, callback) {
   }
 
   if (this.options.versions.disabled) {
-    callback(null);
+    this.authenticateBroker(broker, null, callback);
     return;
   }
 
@@ -650,12 +964,77 @@ KafkaClient.prototype.initializeBroker = function (broker, callback) {
       return callback(new Error(`getApiVersions response was empty for broker: ${broker}`));
     }
 
-    logger.debug('setting api support to %j', versions);
-    broker.apiSupport = versions;
+    this.authenticateBroker(broker, versions, error => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      logger.debug('setting api support to %j', versions);
+      broker.apiSupport = versions;
+      callback(null);
+    });
+  });
+};
+
+KafkaClient.prototype.authenticateBroker = function (broker, apiSupport, callback) {
+  if (!this.options.sasl) {
+    callback(null);
+    return;
+  }
+
+  sasl.authenticate(this, broker, apiSupport, (error, sessionLifetimeMs) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    this.scheduleReauthentication(broker, apiSupport, sessionLifetimeMs);
     callback(null);
   });
 };
 
+// Brokers close connections once the SASL session expires (KIP-368), like the java client the broker is
+// authenticated again after 85-95% of the session lifetime, once the requests in flight on the socket are answered.
+// Requests wait for the broker to be ready again meanwhile.
+KafkaClient.prototype.scheduleReauthentication = function (broker, apiSupport, sessionLifetimeMs) {
+  const socket = broker.socket;
+  clearTimeout(socket.reauthenticationTimer);
+
+  if (!sessionLifetimeMs) {
+    return;
+  }
+
+  const delay = Math.floor(sessionLifetimeMs * (0.85 + Math.random() * 0.1));
+  socket.reauthenticationTimer = setTimeout(() => {
+    if (this.closing || !broker.isConnected()) {
+      return;
+    }
+
+    logger.debug(`re-authenticating ${socket.addr} before the session expires`);
+    broker.apiSupport = null;
+    this.waitForInFlightRequests(socket, () => {
+      if (this.closing || !broker.isConnected()) {
+        return;
+      }
+
+      this.authenticateBroker(broker, apiSupport, error => {
+        if (error) {
+          // the reconnect authenticates again and makes the broker ready, or fails the waiting requests
+          logger.error('error re-authenticating broker', error);
+          socket.error = error;
+          socket.end();
+          return;
+        }
+
+        broker.apiSupport = apiSupport;
+        this.emit(broker.getReadyEventName());
+      });
+    });
+  }, delay);
+  socket.reauthenticationTimer.unref();
+};
+
 KafkaClient.prototype.createBroker = function (host, port, longpolling) {
   var self = this;
   if (this.closing) {
@@ -687,6 +1066,9 @@ KafkaClient.prototype.createBroker = function (host, port, longpolling) {
       self.initializeBroker(brokerWrapper, function (error) {
         if (error) {
           logger.error('error initialize broker after reconnect', error);
+          if (error instanceof errors.SaslAuthenticationError) {
+            closeUnauthenticated(error);
+          }
         } else {
           const readyEventName = brokerWrapper.getReadyEventName();
           self.emit(readyEventName);
@@ -697,6 +1079,9 @@ KafkaClient.prototype.createBroker = function (host, port, longpolling) {
       self.initializeBroker(brokerWrapper, function (error) {
         if (error) {
           logger.error('error initialize broker after connect', error);
+          if (error instanceof errors.SaslAuthenticationError) {
+            closeUnauthenticated(error);
+          }
         } else {
           const readyEventName = brokerWrapper.getReadyEventName();
           self.emit(readyEventName);
@@ -712,6 +1097,7 @@ KafkaClient.prototype.createBroker = function (host, port, longpolling) {
     }
   });
   socket.on('close', function () {
+    clearTimeout(socket.reauthenticationTimer);
     self.emit('close');
     logger.debug(`Socket Closed ${brokerKey}`);
     if (!self.closing || socket.error) {
@@ -742,6 +1128,13 @@ KafkaClient.prototype.createBroker = function (host, port, longpolling) {
 
   const brokerWrapper = new BrokerWrapper(socket, this.noAckBatchOptions, this.options.idleConnection);
 
+  // the broker never becomes ready without authentication, closing the socket fails the queued requests and reconnects
+  function closeUnauthenticated (error) {
+    socket.error = error;
+    socket.end();
+    self.emit(brokerWrapper.getReadyEventName(), error);
+  }
+
   function retry () {
     if (socket.retrying || socket.closing || self.closing) return;
     socket.retrying = true;
@@ -760,6 +1153,61 @@ KafkaClient.prototype.createBroker = function (host, port, longpolling) {
   return brokerWrapper;
 };
 
+// Calls back once every request sent on the socket got its response, timed out or failed with the socket
+KafkaClient.prototype.waitForInFlightRequests = function (socket, callback) {
+  if (!this.cbqueue.has(socket.socketId)) {
+    callback();
+    return;
+  }
+
+  const waiting = this.drainCallbacks.get(socket.socketId) || [];
+  waiting.push(callback);
+  this.drainCallbacks.set(socket.socketId, waiting);
+};
+
+KafkaClient.prototype.notifyDrained = function (socketId) {
+  const waiting = this.drainCallbacks.get(socketId);
+  if (!waiting || this.cbqueue.has(socketId)) {
+    return;
+  }
+
+  this.drainCallbacks.delete(socketId);
+  waiting.forEach(callback => callback());
+};
+
+// request timeouts unqueue by socket id
+KafkaClient.prototype.unqueueCallback = function (socket, id) {
+  const socketId = _.isObject(socket) ? socket.socketId : socket;
+  const handlers = Client.prototype.unqueueCallback.call(this, { socketId }, id);
+  this.notifyDrained(socketId);
+  return handlers;
+};
+
+// During a SASL exchange without SaslAuthenticate the broker answers with raw frames that have no correlation id
+KafkaClient.prototype.handleReceivedData = function (socket) {
+  if (!socket.saslFrameCallback) {
+    return Client.prototype.handleReceivedData.call(this, socket);
+  }
+
+  const buffer = socket.buffer;
+  if (buffer.length < 4) {
+    return;
+  }
+
+  const size = buffer.readUInt32BE(0) + 4;
+  if (buffer.length < size) {
+    return;
+  }
+
+  const frame = buffer.slice(4, size);
+  buffer.consume(size);
+  socket.saslFrameCallback(null, frame);
+
+  if (buffer.length) {
+    setImmediate(() => this.handleReceivedData(socket));
+  }
+};
+
 KafkaClient.prototype.deleteDisconnected = function (broker) {
   if (!broker.isConnected()) {
     const brokers = this.getBrokers(broker.socket.longpolling);
@@ -773,6 +1221,10 @@ KafkaClient.prototype.clearCallbackQueue = function (socket, error) {
   const socketId = socket.socketId;
   const longpolling = socket.longpolling;
 
+  if (socket.saslFrameCallback) {
+    socket.saslFrameCallback(error || new errors.BrokerNotAvailableError('Broker not available'));
+  }
+
   const queue = this.cbqueue.get(socketId);
   if (!queue) {
     return;
@@ -791,6 +1243,7 @@ KafkaClient.prototype.clearCallbackQueue = function (socket, error) {
     });
   }
   this.cbqueue.delete(socketId);
+  this.notifyDrained(socketId);
   if (this.closing) {
     this.close();
   }
@@ -847,6 +1300,112 @@ KafkaClient.prototype.loadMetadataForTopics = function (topics, callback) {
   });
 };
 
+/**
+ * Describes the cluster using the metadata of any broker.
+ * @param {Function} callback Function to call with `{ clusterId, controllerId, brokers }` where brokers are sorted and
+ *      have `{ nodeId, host, port, rack }`, the cluster id requires Kafka 0.10.1+ and is null for older brokers.
+ */
+KafkaClient.prototype.describeCluster = function (callback) {
+  this.sendRequestToBroker(undefined, 'metadata', [null, false], (error, result) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const clusterMetadata = result[1].clusterMetadata || {};
+    callback(null, {
+      clusterId: clusterMetadata.clusterId || null,
+      controllerId: clusterMetadata.controllerId == null ? null : clusterMetadata.controllerId,
+      brokers: _.sortBy(result[0], 'nodeId').map(broker => ({
+        nodeId: broker.nodeId,
+        host: broker.host,
+        port: broker.port,
+        rack: broker.rack || null
+      }))
+    });
+  });
+};
+
+/**
+ * Lists the names of the topics in the cluster, sorted.
+ * @param {Object} [options] `includeInternal` also lists internal topics like `__consumer_offsets`.
+ * @param {Function} callback Function to call with the topic names.
+ */
+KafkaClient.prototype.listTopics = function (options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  this.sendRequestToBroker(undefined, 'metadata', [null, false], (error, result) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const includeInternal = Boolean(options && options.includeInternal);
+    const topics = _.keys(_.pickBy(result[1].topicDetails, details => includeInternal || !details.isInternal));
+    callback(null, topics.sort());
+  });
+};
+
+/**
+ * Describes topics without creating them when they do not exist, the metadata of all topics is fetched from brokers
+ * older than metadata v4.
+ * @param {Array} topics names of the topics to describe
+ * @param {Object} [options] `includeConfigs` adds the config entries of each topic (Kafka 0.11+).
+ * @param {Function} callback Function to call with `{ topic, error, isInternal, partitions, configs }` for each topic,
+ *      partitions are sorted and have `{ partition, leader, replicas, isr, offlineReplicas, error }`.
+ */
+KafkaClient.prototype.describeTopics = function (topics, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  if (_.isEmpty(topics)) {
+    return callback(null, []);
+  }
+
+  async.waterfall([
+    callback => this.getSupportedVersionForLeader(undefined, 'metadata', callback),
+    (version, callback) => {
+      // allowAutoTopicCreation is sent from metadata v4, older brokers would create the topics so all are fetched
+      const requestedTopics = version >= 4 ? topics : null;
+      this.sendRequestToBroker(undefined, 'metadata', [requestedTopics, false], callback);
+    }
+  ], (error, result) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const descriptions = topics.map(topic => {
+      const details = result[1].topicDetails[topic] || { isInternal: false, error: 'UnknownTopicOrPartition' };
+      return {
+        topic: topic,
+        error: details.error,
+        isInternal: details.isInternal,
+        partitions: _.sortBy(details.partitions, 'partition')
+      };
+    });
+
+    const existingTopics = descriptions.filter(description => description.error == null);
+    if (!options || !options.includeConfigs || existingTopics.length === 0) {
+      return callback(null, descriptions);
+    }
+
+    const resources = existingTopics.map(description => ({ type: 'topic', name: description.topic }));
+    this.describeConfigs(resources, (error, configs) => {
+      if (error) {
+        return callback(error);
+      }
+
+      existingTopics.forEach((description, index) => {
+        description.configs = configs[index].configEntries;
+      });
+      callback(null, descriptions);
+    });
+  });
+};
+
 /**
  * Creates one or more topics.
  * @param {Array} topics Array of topics with partition and replication factor to create.
@@ -864,6 +1423,268 @@ KafkaClient.prototype.createTopics = function (topics, callback) {
   this.sendControllerRequest(encoder, decoder, [topics, this.options.requestTimeout], callback);
 };
 
+/**
+ * Deletes one or more topics.
+ * @param {Array} topics Array of topic names to delete.
+ * @param {Function} callback Function to call with the topics that could not be deleted once operation is completed.
+ */
+KafkaClient.prototype.deleteTopics = function (topics, callback) {
+  const encoder = protocol.encodeDeleteTopicsRequest;
+  const decoder = protocol.decodeDeleteTopicsResponse;
+
+  this.sendControllerRequest(encoder, decoder, [topics, this.options.requestTimeout], (error, result) => {
+    if (error) {
+      return callback(error);
+    }
+
+    // the controller only answers once the deletion reached all brokers so the refreshed metadata is up to date
+    const deletedTopics = _.difference(topics, _.map(result, 'topic'));
+    this.removeTopicMetadata(deletedTopics, () => {
+      this.refreshBrokerMetadata();
+      callback(null, result);
+    });
+  });
+};
+
+/**
+ * Adds partitions to existing topics.
+ * @param {Array} topicPartitions Array of `{ topic, count, assignment }` where count is the new total number of
+ *      partitions and the optional assignment lists the replica broker ids of each new partition.
+ * @param {Object} [options] `validateOnly` checks the request without creating the partitions.
+ * @param {Function} callback Function to call with the topics whose partitions could not be created.
+ */
+KafkaClient.prototype.createPartitions = function (topicPartitions, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const encoder = protocol.encodeCreatePartitionsRequest;
+  const decoder = protocol.decodeCreatePartitionsResponse;
+  const validateOnly = Boolean(options && options.validateOnly);
+  const args = [topicPartitions, this.options.requestTimeout, validateOnly];
+
+  this.sendControllerRequest(encoder, decoder, args, (error, result) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const updatedTopics = _.difference(_.map(topicPartitions, 'topic'), _.map(result, 'topic'));
+    if (validateOnly || updatedTopics.length === 0) {
+      return callback(null, result);
+    }
+
+    // producers partition using the topic metadata so it has to include the new partitions
+    this.refreshMetadata(updatedTopics, error => {
+      callback(error, result);
+    });
+  });
+};
+
+/**
+ * Describes the configs of topics and brokers.
+ * @param {Array} resources Array of `{ type, name, configNames }` where type is `topic` or `broker`, name the topic
+ *      name or broker id and the optional configNames limits the returned configs.
+ * @param {Object} [options] `includeSynonyms` returns the configs overridden by each config (Kafka 1.1+).
+ * @param {Function} callback Function to call with the configs of each resource.
+ */
+KafkaClient.prototype.describeConfigs = function (resources, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const encodeResource = resource => ({ configNames: resource.configNames });
+  const args = [Boolean(options && options.includeSynonyms)];
+
+  sendConfigRequests(this, 'describeConfigs', resources, encodeResource, args, callback);
+};
+
+/**
+ * Replaces the configs of topics and brokers, configs which are not given are reset to their default.
+ * @param {Array} resources Array of `{ type, name, configEntries }` where configEntries is an array of
+ *      `{ name, value }`.
+ * @param {Object} [options] `validateOnly` checks the request without changing the configs.
+ * @param {Function} callback Function to call with the result of each resource.
+ */
+KafkaClient.prototype.alterConfigs = function (resources, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const encodeResource = resource => ({ configEntries: resource.configEntries });
+  const args = [Boolean(options && options.validateOnly)];
+
+  sendConfigRequests(this, 'alterConfigs', resources, encodeResource, args, callback);
+};
+
+/**
+ * Changes individual configs of topics and brokers (Kafka 2.3+).
+ * @param {Array} resources Array of `{ type, name, configEntries }` where configEntries is an array of
+ *      `{ name, value, operation }` and operation is one of `set`, `delete`, `append` or `subtract`.
+ * @param {Object} [options] `validateOnly` checks the request without changing the configs.
+ * @param {Function} callback Function to call with the result of each resource.
+ */
+KafkaClient.prototype.incrementalAlterConfigs = function (resources, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  const encodeResource = resource => ({
+    configEntries: _.map(resource.configEntries, configEntry => {
+      const operation = protocol.CONFIG_OPERATIONS[configEntry.operation || 'set'];
+      if (operation == null) {
+        throw new Error(`Unknown config operation: ${configEntry.operation}`);
+      }
+      return { name: configEntry.name, value: configEntry.value, operation: operation };
+    })
+  });
+  const args = [Boolean(options && options.validateOnly)];
+
+  sendConfigRequests(this, 'incrementalAlterConfigs', resources, encodeResource, args, callback);
+};
+
+// Broker configs are only known to the broker itself, topic configs can be handled by any broker
+function sendConfigRequests (client, requestType, resources, encodeResource, args, callback) {
+  let encodedResources;
+  try {
+    encodedResources = resources.map(resource => {
+      const type = protocol.CONFIG_RESOURCE_TYPES[resource.type];
+      if (type == null) {
+        throw new Error(`Unknown config resource type: ${resource.type}`);
+      }
+      return Object.assign({ type: type, name: String(resource.name) }, encodeResource(resource));
+    });
+  } catch (error) {
+    return callback(error);
+  }
+
+  const resourcesByBroker = _.groupBy(encodedResources, resource =>
+    resource.type === protocol.CONFIG_RESOURCE_TYPES.broker && resource.name !== '' ? resource.name : 'any'
+  );
+
+  async.mapValuesLimit(
+    resourcesByBroker,
+    client.options.maxAsyncRequests,
+    (resources, brokerId, callback) => {
+      const leader = brokerId === 'any' ? undefined : brokerId;
+      client.sendRequestToBroker(leader, requestType, [resources].concat(args), callback);
+    },
+    (error, results) => {
+      if (error) {
+        return callback(error);
+      }
+
+      // results are returned in the order of the given resources
+      const resultsByKey = _.keyBy(
+        _.flatten(_.values(results)),
+        result => `${result.resourceType}:${result.resourceName}`
+      );
+      callback(null, resources.map(resource => resultsByKey[`${resource.type}:${resource.name}`]));
+    }
+  );
+}
+
+/**
+ * Describes the ACLs matching a filter, requires an authorizer on the brokers.
+ * @param {Object} filter `{ resourceType, resourceName, resourcePatternType, principal, host, operation,
+ *      permissionType }`, missing fields match any value.
+ * @param {Function} callback Function to call with the matching resources and their ACLs.
+ */
+KafkaClient.prototype.describeAcls = function (filter, callback) {
+  this.sendRequestToBroker(undefined, 'describeAcls', [aclFilter(filter)], callback);
+};
+
+/**
+ * Creates ACLs, the resource pattern type defaults to literal and the host to `*`.
+ * @param {Array} acls Array of `{ resourceType, resourceName, resourcePatternType, principal, host, operation,
+ *      permissionType }`.
+ * @param {Function} callback Function to call with the result of each ACL.
+ */
+KafkaClient.prototype.createAcls = function (acls, callback) {
+  const creations = acls.map(acl =>
+    Object.assign(
+      {
+        resourcePatternType: protocol.ACL_RESOURCE_PATTERN_TYPES.LITERAL,
+        host: '*'
+      },
+      _.omitBy(acl, _.isNil)
+    )
+  );
+  this.sendRequestToBroker(undefined, 'createAcls', [creations], callback);
+};
+
+/**
+ * Deletes the ACLs matching the filters.
+ * @param {Array} filters Array of filters like the one of `describeAcls`.
+ * @param {Function} callback Function to call with the deleted ACLs of each filter.
+ */
+KafkaClient.prototype.deleteAcls = function (filters, callback) {
+  this.sendRequestToBroker(undefined, 'deleteAcls', [filters.map(aclFilter)], callback);
+};
+
+function aclFilter (filter) {
+  return Object.assign(
+    {
+      resourceType: protocol.ACL_RESOURCE_TYPES.ANY,
+      resourceName: null,
+      resourcePatternType: protocol.ACL_RESOURCE_PATTERN_TYPES.ANY,
+      principal: null,
+      host: null,
+      operation: protocol.ACL_OPERATION_TYPES.ANY,
+      permissionType: protocol.ACL_PERMISSION_TYPES.ANY
+    },
+    _.omitBy(filter, _.isNil)
+  );
+}
+
+/**
+ * Sends a request to a broker using the highest version of the request type supported by both sides.
+ * @param {Number} [brokerId] the broker to send the request to, any connected broker when undefined
+ * @param {String} requestType a key of REQUEST_TYPE
+ * @param {Array} args the arguments of the encoder after the client and correlation id
+ * @param {Function} callback Function to call with the decoded response.
+ */
+KafkaClient.prototype.sendRequestToBroker = function (brokerId, requestType, args, callback) {
+  const broker = this.brokerForLeader(brokerId);
+  if (!broker || !broker.isConnected()) {
+    return callback(new errors.BrokerNotAvailableError(`Broker not available (${requestType})`));
+  }
+
+  const send = () => {
+    const error = checkRequestTypeSupport(broker, requestType);
+    if (error) {
+      return callback(error);
+    }
+
+    const coder = getSupportedForRequestType(broker, requestType);
+    const correlationId = this.nextId();
+    let request;
+    try {
+      request = coder.encoder.apply(null, [this.clientId, correlationId].concat(args));
+    } catch (error) {
+      return callback(error);
+    }
+
+    this.queueCallback(broker.socket, correlationId, [coder.decoder, callback]);
+    broker.write(request);
+  };
+
+  if (broker.isReady()) {
+    return send();
+  }
+
+  logger.debug('missing apiSupport waiting until broker is ready...');
+  this.waitUntilReady(broker, error => {
+    if (error) {
+      return callback(error);
+    }
+    send();
+  });
+};
+
 KafkaClient.prototype.topicExists = function (topics, callback) {
   this.loadMetadataForTopics([], (error, response) => {
     if (error) {
@@ -879,22 +1700,62 @@ KafkaClient.prototype.topicExists = function (topics, callback) {
 };
 
 const encodeMessageSet = protocol.encodeMessageSet;
+const encodeRecords = protocol.encodeRecords;
 const Message = protocol.Message;
 
-function compress (payloads, callback) {
+function compress (client, payloads, callback) {
   async.each(payloads, buildRequest, callback);
 
   function buildRequest (payload, cb) {
     const attributes = payload.attributes;
     const codec = getCodec(attributes);
+    const hasHeaders = payload.messages.some(message => !_.isEmpty(message.headers));
+    const idempotent = payload.producerId != null;
 
-    if (!codec) return cb(null);
+    if (!codec && !hasHeaders && !idempotent) return cb(null);
 
-    const innerSet = encodeMessageSet(payload.messages, 1);
-    codec.encode(innerSet, function (err, message) {
-      if (err) return cb(err);
-      payload.messages = [new Message(0, attributes, payload.key, message)];
-      cb(null);
+    const leader = client.leaderByPartition(payload.topic, payload.partition);
+    client.getSupportedVersionForLeader(leader, 'produce', function (error, version) {
+      if (error) return cb(error);
+
+      if (hasHeaders && version < 3) {
+        return cb(new Error('Message headers require a broker supporting produce v3 (Kafka 0.11+)'));
+      }
+
+      // the message formats before record batches have no producer id and sequence numbers
+      if (idempotent && version < 3) {
+        return cb(new Error('Idempotent producers require a broker supporting produce v3 (Kafka 0.11+)'));
+      }
+
+      if (!codec) return cb(null);
+
+      if (version < (codec.minProduceVersion || 0)) {
+        return cb(
+          new Error(
+            'Compression attributes ' + attributes + ' require a broker supporting produce v' + codec.minProduceVersion
+          )
+        );
+      }
+
+      const encodeOptions = { level: payload.compressionLevel };
+
+      // record batches (produce v3+) compress only the records inside the batch
+      if (version >= 3) {
+        return codec.encode(encodeRecords(payload.messages), encodeOptions, function (err, records) {
+          if (err) return cb(err);
+          payload.compressedRecords = records;
+          cb(null);
+        });
+      }
+
+      // produce v0 and v1 wrap the compressed set in a magic 0 message
+      const encode = version < 2 && codec.encodeMagicV0 ? codec.encodeMagicV0 : codec.encode;
+      const innerSet = encodeMessageSet(payload.messages, 1);
+      encode(innerSet, encodeOptions, function (err, message) {
+        if (err) return cb(err);
+        payload.messages = [new Message(0, attributes, payload.key, message)];
+        cb(null);
+      });
     });
   }
 }
@@ -910,14 +1771,22 @@ function getSupportedForRequestType (broker, requestType) {
   };
 }
 
+function checkRequestTypeSupport (broker, requestType) {
+  const support = broker.apiSupport[requestType];
+  if (support == null || support.usable === false) {
+    return new Error(`${requestType} is not supported by the broker ${broker.socket.addr}`);
+  }
+  return null;
+}
+
 KafkaClient.prototype.waitUntilReady = function (broker, callback) {
   let timeoutId = null;
 
-  function onReady () {
+  function onReady (error) {
     logger.debug('broker is now ready');
     clearTimeout(timeoutId);
     timeoutId = null;
-    callback(null);
+    callback(error || null);
   }
 
   const timeout = this.options.requestTimeout;
@@ -931,6 +1800,40 @@ KafkaClient.prototype.waitUntilReady = function (broker, callback) {
   this.once(readyEventName, onReady);
 };
 
+/**
+ * Resolves the API version used for the request type by the broker leading the partition, waiting for the broker
+ * to be ready if needed.
+ * @param {Number} leader the broker id
+ * @param {String} requestType a key of REQUEST_TYPE
+ * @param {Function} callback called with the usable version
+ */
+KafkaClient.prototype.getSupportedVersionForLeader = function (leader, requestType, callback) {
+  const broker = this.brokerForLeader(leader);
+  if (!broker) {
+    return callback(new errors.BrokerNotAvailableError('Broker not available (getSupportedVersionForLeader)'));
+  }
+
+  const getVersion = () => {
+    const error = checkRequestTypeSupport(broker, requestType);
+    if (error) {
+      return callback(error);
+    }
+    callback(null, broker.apiSupport[requestType].usable);
+  };
+
+  if (broker.isReady()) {
+    return getVersion();
+  }
+
+  logger.debug('missing apiSupport waiting until broker is ready...');
+  this.waitUntilReady(broker, error => {
+    if (error) {
+      return callback(error);
+    }
+    getVersion();
+  });
+};
+
 KafkaClient.prototype.sendRequest = function (request, callback) {
   const payloads = this.payloadsByLeader(request.data.payloads);
   const longpolling = request.longpolling;
@@ -1086,10 +1989,32 @@ KafkaClient.prototype.sendFetchRequest = function (
   maxTickMessages,
   callback
 ) {
+  const options = {
+    fetchMaxWaitMs: fetchMaxWaitMs,
+    fetchMinBytes: fetchMinBytes,
+    fetchMaxResponseBytes: consumer.options.fetchMaxResponseBytes,
+    isolationLevel: consumer.options.isolationLevel,
+    maxTickMessages: maxTickMessages
+  };
+  this.sendFetchRequestWithHandler(payloads, options, this._createMessageHandler(consumer), callback);
+};
+
+/**
+ * Sends a fetch request using the highest version supported by the leaders, decoded messages are passed to the
+ * messageHandler as `(error, 'message', message)` followed by `(null, 'done', offsets)`
+ *
+ * @param {Array} payloads
+ * @param {Object} options fetchMaxWaitMs, fetchMinBytes, fetchMaxResponseBytes, isolationLevel and maxTickMessages
+ * @param {Function} messageHandler
+ * @param {Function} [callback]
+ */
+KafkaClient.prototype.sendFetchRequestWithHandler = function (payloads, options, messageHandler, callback) {
   if (callback == null) {
     callback = _.noop;
   }
 
+  const isolationLevel = protocol.ISOLATION_LEVEL[options.isolationLevel || 'read_uncommitted'];
+
   async.series(
     [
       callback => {
@@ -1101,8 +2026,8 @@ KafkaClient.prototype.sendFetchRequest = function (
           longpolling: true,
           data: {
             payloads: payloads,
-            args: [fetchMaxWaitMs, fetchMinBytes],
-            decoderArgs: [this._createMessageHandler(consumer), maxTickMessages]
+            args: [options.fetchMaxWaitMs, options.fetchMinBytes, options.fetchMaxResponseBytes, isolationLevel],
+            decoderArgs: [messageHandler, options.maxTickMessages]
           }
         };
 
@@ -1113,26 +2038,135 @@ KafkaClient.prototype.sendFetchRequest = function (
   );
 };
 
-KafkaClient.prototype.sendProduceRequest = function (payloads, requireAcks, ackTimeoutMs, callback) {
+/**
+ * Sends a request to the leaders of the partitions in its payloads, once every leader is known to support the
+ * request type.
+ * @param {Object} request `{ type, data }` as taken by sendRequest, `data.payloads` holds topic and partition
+ * @param {Function} [checkVersion] called with the usable version of each leader, returns an error to reject it
+ * @param {Function} callback called with the decoded response of each leader by leader id
+ */
+KafkaClient.prototype.sendRequestToLeaders = function (request, checkVersion, callback) {
+  const payloads = request.data.payloads;
+
+  async.series(
+    [
+      callback => {
+        this.verifyPayloadsHasLeaders(payloads, callback);
+      },
+      callback => {
+        const leaders = _.uniq(payloads.map(p => this.leaderByPartition(p.topic, p.partition)));
+        async.each(
+          leaders,
+          (leader, callback) => {
+            this.getSupportedVersionForLeader(leader, request.type, (error, version) => {
+              callback(error || (checkVersion && checkVersion(version)) || null);
+            });
+          },
+          callback
+        );
+      },
+      callback => {
+        this.sendRequest(request, callback);
+      }
+    ],
+    (error, result) => {
+      if (error) {
+        return callback(error);
+      }
+      callback(null, _.last(result));
+    }
+  );
+};
+
+/**
+ * Looks up the earliest offset whose timestamp is at or after the given time (ListOffsets v1+)
+ *
+ * @param {Array} payloads topic, partition and time (timestamp in ms or -1 latest, -2 earliest)
+ * @param {Function} callback called with {topic: {partition: {offset, timestamp}}}
+ */
+KafkaClient.prototype.sendTimestampOffsetRequest = function (payloads, callback) {
+  const checkVersion = version => {
+    if (version < 1) {
+      return new Error('Offsets by timestamp require a broker supporting ListOffsets v1 (Kafka 0.10.1+)');
+    }
+  };
+
+  this.sendRequestToLeaders({ type: 'offset', data: { payloads: payloads } }, checkVersion, (error, responses) => {
+    if (error) {
+      return callback(error);
+    }
+    callback(null, _.reduce(responses, (accu, value) => _.merge(accu, value), {}));
+  });
+};
+
+/**
+ * Deletes the records of partitions before the given offsets, each partition is handled by its leader.
+ * @param {Object} offsets `{ topic: { partition: offset } }`, an offset of -1 deletes all the records of the partition.
+ * @param {Function} callback Function to call with the result of each partition
+ *    `[{ topic, partition, lowWatermark, error }]`, the new low watermark is null for the partitions that failed.
+ */
+KafkaClient.prototype.deleteRecords = function (offsets, callback) {
+  const payloads = _.flatMap(offsets, (partitions, topic) =>
+    _.map(partitions, (offset, partition) => ({ topic: topic, partition: Number(partition), offset: offset }))
+  );
+
+  const request = {
+    type: 'deleteRecords',
+    data: {
+      payloads: payloads,
+      args: [this.options.requestTimeout]
+    }
+  };
+
+  this.sendRequestToLeaders(request, null, (error, responses) => {
+    if (error) {
+      return callback(error);
+    }
+    callback(null, _.flatten(_.values(responses)));
+  });
+};
+
+/**
+ * Obtains a producer id and epoch for an idempotent producer (Kafka 0.11+).
+ * @param {Function} callback Function to call with `{ producerId, producerEpoch }`.
+ */
+KafkaClient.prototype.initProducerId = function (callback) {
+  // the transaction timeout is only used by transactional producers
+  this.sendRequestToBroker(undefined, 'initProducerId', [null, 0], callback);
+};
+
+/**
+ * Sends messages to the leaders of their partitions.
+ * @param {Array} payloads ProduceRequest of each partition
+ * @param {Number} requireAcks
+ * @param {Number} ackTimeoutMs
+ * @param {String} [transactionalId] writes the messages as part of the ongoing transaction of this id (Kafka 0.11+)
+ * @param {Function} callback Function to call with the offsets `{ topic: { partition: offset } }`.
+ */
+KafkaClient.prototype.sendProduceRequest = function (payloads, requireAcks, ackTimeoutMs, transactionalId, callback) {
+  if (typeof transactionalId === 'function') {
+    callback = transactionalId;
+    transactionalId = null;
+  }
   if (this.closing) {
     callback(new errors.ClientIsClosing());
     return;
   }
   async.series(
     [
-      function (callback) {
-        logger.debug('compressing messages if needed');
-        compress(payloads, callback);
-      },
       callback => {
         this.verifyPayloadsHasLeaders(payloads, callback);
       },
+      callback => {
+        logger.debug('compressing messages if needed');
+        compress(this, payloads, callback);
+      },
       callback => {
         const request = {
           type: 'produce',
           data: {
             payloads: payloads,
-            args: [requireAcks, ackTimeoutMs],
+            args: [requireAcks, ackTimeoutMs, transactionalId],
             requireAcks: requireAcks
           }
         };
@@ -3,6 +3,7 @@
 var util = require('util');
 var async = require('async');
 var EventEmitter = require('events');
+var KafkaClient = require('./kafkaClient');
 
 function Offset (client) {
   EventEmitter.call(this);
@@ -64,6 +65,60 @@ Offset.prototype.fetchEarliestOffsets = function (topics, cb) {
   fetchOffsets(this, topics, cb, -2);
 };
 
+/**
+ * Fetches the first offset of each partition whose timestamp is at or after the given time, the results are
+ * `{ topic: { partition: { offset, timestamp } } }` (offset and timestamp are -1 when there is no such message)
+ *
+ * Requires a KafkaClient and Kafka 0.10.1+
+ *
+ * @param {Array.<String>} topics
+ * @param {Date|Number} timestamp
+ * @param {Function} cb
+ */
+Offset.prototype.fetchOffsetsByTime = function (topics, timestamp, cb) {
+  if (!(this.client instanceof KafkaClient)) {
+    return cb(new Error('fetchOffsetsByTime requires a KafkaClient'));
+  }
+
+  if (!this.ready) {
+    this.once('ready', () => this.fetchOffsetsByTime(topics, timestamp, cb));
+    return;
+  }
+
+  var time = timestamp instanceof Date ? timestamp.getTime() : timestamp;
+
+  async.waterfall([
+    callback => {
+      this.client.loadMetadataForTopics(topics, callback);
+    },
+    (topicsMetaData, callback) => {
+      var payloads = buildPartitionPayloads(topicsMetaData, time);
+
+      if (payloads.length === 0) {
+        return callback(new Error('Topic(s) does not exist'));
+      }
+
+      this.client.sendTimestampOffsetRequest(payloads, callback);
+    }
+  ], cb);
+};
+
+function buildPartitionPayloads (topicsMetaData, time) {
+  var payloads = [];
+  var metaDatas = topicsMetaData[1].metadata;
+  Object.keys(metaDatas).forEach(function (topicName) {
+    var topic = metaDatas[topicName];
+    Object.keys(topic).forEach(function (partition) {
+      payloads.push({
+        topic: topicName,
+        partition: partition,
+        time: time
+      });
+    });
+  });
+  return payloads;
+}
+
 // private helper
 function fetchOffsets (offset, topics, cb, when) {
   if (!offset.ready) {
@@ -79,18 +134,7 @@ function fetchOffsets (offset, topics, cb, when) {
       offset.client.loadMetadataForTopics(topics, callback);
     },
     (topicsMetaData, callback) => {
-      var payloads = [];
-      var metaDatas = topicsMetaData[1].metadata;
-      Object.keys(metaDatas).forEach(function (topicName) {
-        var topic = metaDatas[topicName];
-        Object.keys(topic).forEach(function (partition) {
-          payloads.push({
-            topic: topicName,
-            partition: partition,
-            time: when
-          });
-        });
-      });
+      var payloads = buildPartitionPayloads(topicsMetaData, when);
 
       if (payloads.length === 0) {
         return callback(new Error('Topic(s) does not exist'));
@@ -0,0 +1,30 @@
+'use strict';
+
+// CRC32C (Castagnoli) used by the v2 record batch format, reversed polynomial 0x82F63B78
+var TABLE = (function () {
+  var table = new Int32Array(256);
+  for (var i = 0; i < 256; i++) {
+    var crc = i;
+    for (var j = 0; j < 8; j++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0x82f63b78 : crc >>> 1;
+    }
+    table[i] = crc;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC32C checksum of the buffer
+ *
+ * @param {Buffer} buffer
+ * @returns {Number} unsigned 32 bit checksum
+ */
+function crc32c (buffer) {
+  var crc = -1;
+  for (var i = 0; i < buffer.length; i++) {
+    crc = TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+module.exports = crc32c;
@@ -4,18 +4,39 @@ var Binary = require('binary');
 var Buffermaker = require('buffermaker');
 var _ = require('lodash');
 var crc32 = require('buffer-crc32');
+var crc32c = require('./crc32c');
+var varint = require('./varint');
 var protocol = require('./protocol_struct');
 var getCodec = require('../codec');
 var REQUEST_TYPE = protocol.REQUEST_TYPE;
 var ERROR_CODE = protocol.ERROR_CODE;
 var GROUP_ERROR = protocol.GROUP_ERROR;
+var COORDINATOR_TYPES = protocol.COORDINATOR_TYPES;
 var PartitionMetadata = protocol.PartitionMetadata;
 const API_KEY_TO_NAME = _.invert(REQUEST_TYPE);
 const MessageSizeTooLarge = require('../errors/MessageSizeTooLargeError');
+const CorruptRecordBatchError = require('../errors/CorruptRecordBatchError');
 
 var API_VERSION = 0;
 var REPLICA_ID = -1;
 var GROUPS_PROTOCOL_TYPE = 'consumer';
+var DEFAULT_FETCH_MAX_BYTES = 50 * 1024 * 1024;
+var ISOLATION_LEVEL_READ_UNCOMMITTED = 0;
+var FETCH_SESSION_ID_NONE = 0;
+var FETCH_SESSION_EPOCH_FINAL = -1;
+
+// record batch (magic 2) layout
+var MAGIC_BYTE_OFFSET = 16;
+var RECORD_BATCH_MAGIC = 2;
+var RECORD_BATCH_LOG_OVERHEAD = 12;
+var RECORD_BATCH_CRC_OFFSET = 21;
+var RECORD_BATCH_HEADER_SIZE = 61;
+var RECORD_BATCH_COMPRESSION_MASK = 7;
+var RECORD_BATCH_TIMESTAMP_TYPE_FLAG = 8;
+var RECORD_BATCH_TRANSACTIONAL_FLAG = 16;
+var RECORD_BATCH_CONTROL_FLAG = 32;
+var CONTROL_TYPE_ABORT = 0;
+var NO_TIMESTAMP = -1;
 
 function groupByTopic (payloads) {
   return payloads.reduce(function (out, p) {
@@ -56,6 +77,54 @@ function encodeFetchRequestV2 (maxWaitMs, minBytes) {
   };
 }
 
+function encodeFetchRequestV3 (maxWaitMs, minBytes, maxBytes) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 3, maxBytes);
+  };
+}
+
+function encodeFetchRequestV4 (maxWaitMs, minBytes, maxBytes, isolationLevel) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 4, maxBytes, isolationLevel);
+  };
+}
+
+function encodeFetchRequestV5 (maxWaitMs, minBytes, maxBytes, isolationLevel) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 5, maxBytes, isolationLevel);
+  };
+}
+
+function encodeFetchRequestV6 (maxWaitMs, minBytes, maxBytes, isolationLevel) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 6, maxBytes, isolationLevel);
+  };
+}
+
+function encodeFetchRequestV7 (maxWaitMs, minBytes, maxBytes, isolationLevel) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 7, maxBytes, isolationLevel);
+  };
+}
+
+function encodeFetchRequestV8 (maxWaitMs, minBytes, maxBytes, isolationLevel) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 8, maxBytes, isolationLevel);
+  };
+}
+
+function encodeFetchRequestV9 (maxWaitMs, minBytes, maxBytes, isolationLevel) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 9, maxBytes, isolationLevel);
+  };
+}
+
+function encodeFetchRequestV10 (maxWaitMs, minBytes, maxBytes, isolationLevel) {
+  return function encodeFetchRequest (clientId, correlationId, payloads) {
+    return _encodeFetchRequest(clientId, correlationId, payloads, maxWaitMs, minBytes, 10, maxBytes, isolationLevel);
+  };
+}
+
 function decodeTopics (decodePartitions) {
   return function (end, vars) {
     if (--vars.topicNum === 0) end();
@@ -69,12 +138,36 @@ function decodeTopics (decodePartitions) {
   };
 }
 
-function _encodeFetchRequest (clientId, correlationId, payloads, maxWaitMs, minBytes, version) {
+function _encodeFetchRequest (
+  clientId,
+  correlationId,
+  payloads,
+  maxWaitMs,
+  minBytes,
+  version,
+  maxBytes,
+  isolationLevel
+) {
   payloads = groupByTopic(payloads);
   var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.fetch, version);
   var topics = Object.keys(payloads);
 
-  request.Int32BE(REPLICA_ID).Int32BE(maxWaitMs).Int32BE(minBytes).Int32BE(topics.length);
+  request.Int32BE(REPLICA_ID).Int32BE(maxWaitMs).Int32BE(minBytes);
+
+  if (version >= 3) {
+    request.Int32BE(maxBytes == null ? DEFAULT_FETCH_MAX_BYTES : maxBytes);
+  }
+
+  if (version >= 4) {
+    request.Int8(isolationLevel == null ? ISOLATION_LEVEL_READ_UNCOMMITTED : isolationLevel);
+  }
+
+  if (version >= 7) {
+    // no incremental fetch session (KIP-227), every request is a full fetch
+    request.Int32BE(FETCH_SESSION_ID_NONE).Int32BE(FETCH_SESSION_EPOCH_FINAL);
+  }
+
+  request.Int32BE(topics.length);
 
   topics.forEach(function (topic) {
     request.Int16BE(topic.length).string(topic);
@@ -84,10 +177,22 @@ function _encodeFetchRequest (clientId, correlationId, payloads, maxWaitMs, minB
     });
     request.Int32BE(partitions.length);
     partitions.forEach(function (p) {
-      request.Int32BE(p.partition).Int64BE(p.offset).Int32BE(p.maxBytes);
+      request.Int32BE(p.partition);
+      if (version >= 9) {
+        request.Int32BE(-1); // current leader epoch, the leader does not check it
+      }
+      request.Int64BE(p.offset);
+      if (version >= 5) {
+        request.Int64BE(-1); // logStartOffset is only used by followers
+      }
+      request.Int32BE(p.maxBytes);
     });
   });
 
+  if (version >= 7) {
+    request.Int32BE(0); // forgotten topics
+  }
+
   return encodeRequestWithLength(request.make());
 }
 
@@ -103,6 +208,24 @@ function decodeFetchResponseV1 (cb, maxTickMessages) {
   };
 }
 
+function decodeFetchResponseV4 (cb, maxTickMessages) {
+  return function (resp) {
+    return _decodeFetchResponse(resp, cb, maxTickMessages, 4);
+  };
+}
+
+function decodeFetchResponseV5 (cb, maxTickMessages) {
+  return function (resp) {
+    return _decodeFetchResponse(resp, cb, maxTickMessages, 5);
+  };
+}
+
+function decodeFetchResponseV7 (cb, maxTickMessages) {
+  return function (resp) {
+    return _decodeFetchResponse(resp, cb, maxTickMessages, 7);
+  };
+}
+
 function createGroupError (errorCode) {
   if (errorCode == null || errorCode === 0) {
     return null;
@@ -127,6 +250,16 @@ function _decodeFetchResponse (resp, cb, maxTickMessages, version) {
       if (version >= 1) {
         this.word32bs('throttleTime');
       }
+      if (version >= 7) {
+        this.word16bs('errorCode')
+          .word32bs('sessionId')
+          .tap(function (vars) {
+            if (vars.errorCode !== 0 && cb) {
+              // eslint-disable-next-line standard/no-callback-literal
+              cb({ message: ERROR_CODE[vars.errorCode] });
+            }
+          });
+      }
     })
     .word32bs('topicNum')
     .loop(decodeTopics(decodePartitions));
@@ -137,6 +270,21 @@ function _decodeFetchResponse (resp, cb, maxTickMessages, version) {
     this.word32bs('partition')
       .word16bs('errorCode')
       .word64bs('highWaterOffset')
+      .tap(function (vars) {
+        if (version < 4) {
+          return;
+        }
+
+        vars.abortedTransactions = [];
+        this.word64bs('lastStableOffset')
+          .tap(function () {
+            if (version >= 5) {
+              this.word64bs('logStartOffset');
+            }
+          })
+          .word32bs('abortedTransactionsNum')
+          .loop(decodeAbortedTransactions);
+      })
       .word32bs('messageSetSize')
       .tap(function (vars) {
         this.buffer('messageSet', vars.messageSetSize);
@@ -150,7 +298,8 @@ function _decodeFetchResponse (resp, cb, maxTickMessages, version) {
           vars.messageSet,
           cb,
           maxTickMessages,
-          vars.highWaterOffset
+          vars.highWaterOffset,
+          vars.abortedTransactions
         );
         if (messageSet.length) {
           var offset = messageSet[messageSet.length - 1];
@@ -159,14 +308,52 @@ function _decodeFetchResponse (resp, cb, maxTickMessages, version) {
         }
       });
   }
+
+  function decodeAbortedTransactions (end, vars) {
+    // a null array (-1) is returned when there are no aborted transactions
+    if (vars.abortedTransactionsNum-- <= 0) return end();
+    this.word64bs('producerId')
+      .word64bs('firstOffset')
+      .tap(function (vars) {
+        vars.abortedTransactions.push({ producerId: vars.producerId, firstOffset: vars.firstOffset });
+      });
+  }
   cb && cb(null, 'done', topics);
 }
 
-function decodeMessageSet (topic, partition, messageSet, cb, maxTickMessages, highWaterOffset) {
+function decodeMessageSet (topic, partition, messageSet, cb, maxTickMessages, highWaterOffset, abortedTransactions) {
   var set = [];
+  var isAborted = createAbortedTransactionFilter(abortedTransactions);
   var messageCount = 0;
   const messageSetSize = messageSet.length;
   while (messageSet.length > 0) {
+    if (messageSet.length > MAGIC_BYTE_OFFSET && messageSet.readInt8(MAGIC_BYTE_OFFSET) === RECORD_BATCH_MAGIC) {
+      var batchSize = RECORD_BATCH_LOG_OVERHEAD + messageSet.readInt32BE(8);
+      if (batchSize > messageSet.length) {
+        // partial batch at the end of the fetch, it will be fetched again by the next request
+        if (!set.length && batchSize > messageSetSize && cb) {
+          cb(
+            new MessageSizeTooLarge({
+              topic: topic,
+              offset: readInt64BE(messageSet, 0),
+              partition: partition
+            })
+          );
+        }
+        break;
+      }
+      var batch = decodeRecordBatch(topic, partition, messageSet.slice(0, batchSize), cb, highWaterOffset, isAborted);
+      if (batch == null) {
+        // corrupt batch, the offset is not moved past it
+        break;
+      }
+      messageCount += batch.recordCount;
+      set.push(batch.lastOffset);
+      if (maxTickMessages && messageCount > maxTickMessages) break;
+      messageSet = messageSet.slice(batchSize);
+      continue;
+    }
+
     var cur = 8 + 4 + 4 + 1 + 1 + 4 + 4;
     Binary.parse(messageSet)
       .word64bs('offset')
@@ -248,6 +435,369 @@ function decodeMessageSet (topic, partition, messageSet, cb, maxTickMessages, hi
   return set;
 }
 
+/*
+ * Aborted transactions are only returned for read_committed fetches. A transactional batch is aborted when its
+ * producer has an aborted transaction starting at or before the batch and the abort marker (a control batch) has
+ * not been read yet.
+ */
+function createAbortedTransactionFilter (abortedTransactions) {
+  var pending = _.sortBy(abortedTransactions, 'firstOffset');
+  var abortedProducers = {};
+
+  return function isAborted (batch, lastOffset) {
+    while (pending.length && pending[0].firstOffset <= lastOffset) {
+      abortedProducers[pending.shift().producerId] = true;
+    }
+
+    if (!abortedProducers[batch.producerId]) {
+      return false;
+    }
+
+    if (batch.attributes & RECORD_BATCH_CONTROL_FLAG) {
+      if (batch.controlType === CONTROL_TYPE_ABORT) {
+        delete abortedProducers[batch.producerId];
+      }
+      return false;
+    }
+
+    return Boolean(batch.attributes & RECORD_BATCH_TRANSACTIONAL_FLAG);
+  };
+}
+
+function readInt64BE (buffer, offset) {
+  return buffer.readInt32BE(offset) * 4294967296 + buffer.readUInt32BE(offset + 4);
+}
+
+/*
+RecordBatch => BaseOffset Length PartitionLeaderEpoch Magic CRC Attributes LastOffsetDelta FirstTimestamp
+               MaxTimestamp ProducerId ProducerEpoch BaseSequence [Record]
+  BaseOffset => int64
+  Length => int32
+  PartitionLeaderEpoch => int32
+  Magic => int8 (2)
+  CRC => uint32 (CRC32C of everything from Attributes to the end of the batch)
+  Attributes => int16
+  LastOffsetDelta => int32
+  FirstTimestamp => int64
+  MaxTimestamp => int64
+  ProducerId => int64
+  ProducerEpoch => int16
+  BaseSequence => int32
+  Records => int32 count followed by the (possibly compressed) records
+*/
+
+function decodeRecordBatch (topic, partition, batch, cb, highWaterOffset, isAborted) {
+  var vars = Binary.parse(batch)
+    .word64bs('baseOffset')
+    .word32bs('batchLength')
+    .word32bs('partitionLeaderEpoch')
+    .word8bs('magic')
+    .word32bu('crc')
+    .word16bs('attributes')
+    .word32bs('lastOffsetDelta')
+    .word64bs('firstTimestamp')
+    .word64bs('maxTimestamp')
+    .word64bs('producerId')
+    .word16bs('producerEpoch')
+    .word32bs('baseSequence')
+    .word32bs('recordCount').vars;
+
+  var result = {
+    lastOffset: vars.baseOffset + vars.lastOffsetDelta,
+    recordCount: vars.recordCount
+  };
+
+  // the consumer stays at a corrupt batch, the error tells the offset to skip to
+  if (crc32c(batch.slice(RECORD_BATCH_CRC_OFFSET)) !== vars.crc) {
+    cb && cb(createRecordBatchError('Record batch failed the CRC check'));
+    return null;
+  }
+
+  if (vars.attributes & RECORD_BATCH_CONTROL_FLAG) {
+    // the key of a control record holds its version (int16) and type (int16)
+    var control;
+    try {
+      control = decodeRecords(batch.slice(RECORD_BATCH_HEADER_SIZE), 1)[0];
+    } catch (error) {
+      cb && cb(createRecordBatchError('Control record could not be decoded: ' + error.message));
+      return result;
+    }
+    vars.controlType = control && control.key && control.key.length >= 4 ? control.key.readInt16BE(2) : null;
+  }
+
+  var aborted = isAborted != null && isAborted(vars, result.lastOffset);
+
+  // control batches (transaction markers) and aborted transactions are never returned to the user
+  if (!cb || aborted || vars.attributes & RECORD_BATCH_CONTROL_FLAG) {
+    return result;
+  }
+
+  var records = batch.slice(RECORD_BATCH_HEADER_SIZE);
+  var codec = getCodec(vars.attributes & RECORD_BATCH_COMPRESSION_MASK);
+
+  if (!codec) {
+    emitRecords(records);
+    return result;
+  }
+
+  codec.decode(records, function (error, decompressed) {
+    if (error) {
+      return cb(createRecordBatchError('Record batch could not be decompressed: ' + error.message));
+    }
+    emitRecords(decompressed);
+  });
+
+  return result;
+
+  function createRecordBatchError (message) {
+    return new CorruptRecordBatchError(message, {
+      topic: topic,
+      partition: partition,
+      offset: vars.baseOffset,
+      nextOffset: result.lastOffset + 1
+    });
+  }
+
+  // decoding runs in the socket and codec callbacks, malformed records are reported instead of thrown
+  function emitRecords (records) {
+    var decoded;
+    try {
+      decoded = decodeRecords(records, vars.recordCount);
+    } catch (error) {
+      return cb(createRecordBatchError('Records could not be decoded: ' + error.message));
+    }
+
+    decoded.forEach(function (record) {
+      const message = {
+        topic: topic,
+        value: record.value,
+        offset: vars.baseOffset + record.offsetDelta,
+        partition: partition,
+        highWaterOffset: highWaterOffset,
+        key: record.key,
+        headers: record.headers
+      };
+
+      const timestamp =
+        vars.attributes & RECORD_BATCH_TIMESTAMP_TYPE_FLAG
+          ? vars.maxTimestamp
+          : vars.firstTimestamp + record.timestampDelta;
+
+      if (vars.firstTimestamp !== NO_TIMESTAMP) {
+        message.timestamp = new Date(timestamp);
+      }
+
+      cb(null, 'message', message);
+    });
+  }
+}
+
+/*
+Record => Length Attributes TimestampDelta OffsetDelta Key Value [Header]
+  Length => varint
+  Attributes => int8
+  TimestampDelta => varlong
+  OffsetDelta => varint
+  Key => varint length followed by bytes (-1 is null)
+  Value => varint length followed by bytes (-1 is null)
+  Headers => varint count followed by headers
+*/
+
+function decodeRecords (buffer, recordCount) {
+  var records = [];
+  var offset = 0;
+
+  function readVarint () {
+    var result = varint.decodeVarint(buffer, offset);
+    offset += result.length;
+    return result.value;
+  }
+
+  function readBytes () {
+    var length = readVarint();
+    if (length === -1) {
+      return null;
+    }
+    var bytes = buffer.slice(offset, offset + length);
+    offset += length;
+    return bytes;
+  }
+
+  while (records.length < recordCount && offset < buffer.length) {
+    var length = readVarint();
+    var end = offset + length;
+    offset += 1; // attributes are unused
+    var record = {
+      timestampDelta: readVarint(),
+      offsetDelta: readVarint(),
+      key: readBytes(),
+      value: readBytes(),
+      headers: {}
+    };
+    var headersNum = readVarint();
+    for (var i = 0; i < headersNum; i++) {
+      var headerKey = readBytes();
+      if (headerKey == null) {
+        throw new Error('Record header key is null');
+      }
+      addHeader(record.headers, headerKey.toString(), readBytes());
+    }
+    records.push(record);
+    offset = end;
+  }
+  return records;
+}
+
+// repeated header keys are collected into an array of values
+function addHeader (headers, key, value) {
+  if (!headers.hasOwnProperty(key)) {
+    headers[key] = value;
+  } else if (Array.isArray(headers[key])) {
+    headers[key].push(value);
+  } else {
+    headers[key] = [headers[key], value];
+  }
+}
+
+/**
+ * Normalizes message headers to a list of key/value pairs
+ *
+ * @param {Object|Array} headers either an object (use an array of values to repeat a key) or an array of
+ *  {key, value} objects
+ * @returns {Array}
+ */
+function normalizeHeaders (headers) {
+  if (headers == null) {
+    return [];
+  }
+
+  if (Array.isArray(headers)) {
+    return headers;
+  }
+
+  return _.flatMap(Object.keys(headers), function (key) {
+    return [].concat(headers[key]).map(function (value) {
+      return { key: key, value: value };
+    });
+  });
+}
+
+/**
+ * Encodes messages as a record batch (magic 2)
+ *
+ * @param {Array} messages
+ * @param {Number} attributes only the compression and transactional bits are kept
+ * @param {Buffer} [compressedRecords] the records already compressed with the codec of the attributes
+ * @param {Object} [producer] `{ producerId, producerEpoch, baseSequence }` of an idempotent producer
+ * @returns {Buffer}
+ */
+function encodeRecordBatch (messages, attributes, compressedRecords, producer) {
+  var timestamps = messages.map(getRecordTimestamp);
+  var records = compressedRecords || encodeRecords(messages);
+  var idempotent = producer != null && producer.producerId != null;
+
+  var batch = new Buffermaker()
+    .Int16BE(attributes & (RECORD_BATCH_COMPRESSION_MASK | RECORD_BATCH_TRANSACTIONAL_FLAG))
+    .Int32BE(messages.length - 1)
+    .Int64BE(timestamps[0])
+    .Int64BE(_.max(timestamps))
+    .Int64BE(idempotent ? producer.producerId : -1)
+    .Int16BE(idempotent ? producer.producerEpoch : -1)
+    .Int32BE(idempotent ? producer.baseSequence : -1)
+    .Int32BE(messages.length)
+    .string(records)
+    .make();
+
+  return new Buffermaker()
+    .Int64BE(0)
+    .Int32BE(RECORD_BATCH_CRC_OFFSET - RECORD_BATCH_LOG_OVERHEAD + batch.length)
+    .Int32BE(-1) // partitionLeaderEpoch
+    .Int8(RECORD_BATCH_MAGIC)
+    .UInt32BE(crc32c(batch))
+    .string(batch)
+    .make();
+}
+
+function encodeRecords (messages) {
+  var firstTimestamp = getRecordTimestamp(messages[0]);
+  return Buffer.concat(
+    messages.map(function (message, index) {
+      return encodeRecord(message, index, getRecordTimestamp(message) - firstTimestamp);
+    })
+  );
+}
+
+function getRecordTimestamp (message) {
+  return message.timestamp == null ? NO_TIMESTAMP : +message.timestamp;
+}
+
+function encodeRecord (message, offsetDelta, timestampDelta) {
+  var record = new Buffermaker()
+    .Int8(0)
+    .string(varint.encodeVarint(timestampDelta))
+    .string(varint.encodeVarint(offsetDelta));
+
+  setVarintValueOnBuffer(record, message.key);
+  setVarintValueOnBuffer(record, message.value);
+
+  var headers = normalizeHeaders(message.headers);
+  record.string(varint.encodeVarint(headers.length));
+  headers.forEach(function (header) {
+    setVarintValueOnBuffer(record, String(header.key));
+    setVarintValueOnBuffer(record, header.value);
+  });
+
+  record = record.make();
+  return Buffer.concat([varint.encodeVarint(record.length), record]);
+}
+
+function setVarintValueOnBuffer (buffer, value) {
+  if (value != null) {
+    if (!Buffer.isBuffer(value)) {
+      if (typeof value !== 'string') value = value.toString();
+      value = Buffer.from(value);
+    }
+    buffer.string(varint.encodeVarint(value.length)).string(value);
+  } else {
+    buffer.string(varint.encodeVarint(-1));
+  }
+}
+
+/**
+ * The number of bytes encodeRecord writes for the message, headers and the varint fields included
+ *
+ * @param {Object} message
+ * @param {Number} offsetDelta
+ * @param {Number} timestampDelta
+ * @returns {Number}
+ */
+function sizeOfRecord (message, offsetDelta, timestampDelta) {
+  var size =
+    1 +
+    varint.sizeOfVarint(timestampDelta) +
+    varint.sizeOfVarint(offsetDelta) +
+    sizeOfVarintValue(message.key) +
+    sizeOfVarintValue(message.value);
+
+  var headers = normalizeHeaders(message.headers);
+  size += varint.sizeOfVarint(headers.length);
+  headers.forEach(function (header) {
+    size += sizeOfVarintValue(String(header.key)) + sizeOfVarintValue(header.value);
+  });
+
+  return varint.sizeOfVarint(size) + size;
+}
+
+function sizeOfVarintValue (value) {
+  if (value == null) {
+    return varint.sizeOfVarint(-1);
+  }
+  var length = Buffer.isBuffer(value)
+    ? value.length
+    : Buffer.byteLength(typeof value === 'string' ? value : value.toString());
+  return varint.sizeOfVarint(length) + length;
+}
+
 function encodeMetadataRequest (clientId, correlationId, topics) {
   return _encodeMetadataRequest(clientId, correlationId, topics, 0);
 }
@@ -264,7 +814,39 @@ function decodeMetadataV1Response (resp) {
   return _decodeMetadataResponse(resp, 1);
 }
 
-function _encodeMetadataRequest (clientId, correlationId, topics, version) {
+// v2 adds the cluster id
+function encodeMetadataV2Request (clientId, correlationId, topics) {
+  return _encodeMetadataRequest(clientId, correlationId, topics, 2);
+}
+
+function decodeMetadataV2Response (resp) {
+  return _decodeMetadataResponse(resp, 2);
+}
+
+// v3 adds the throttle time
+function encodeMetadataV3Request (clientId, correlationId, topics) {
+  return _encodeMetadataRequest(clientId, correlationId, topics, 3);
+}
+
+function decodeMetadataV3Response (resp) {
+  return _decodeMetadataResponse(resp, 3);
+}
+
+// v4 lets the client choose whether the broker auto creates the requested topics
+function encodeMetadataV4Request (clientId, correlationId, topics, allowAutoTopicCreation) {
+  return _encodeMetadataRequest(clientId, correlationId, topics, 4, allowAutoTopicCreation);
+}
+
+// v5 adds the offline replicas of each partition
+function encodeMetadataV5Request (clientId, correlationId, topics, allowAutoTopicCreation) {
+  return _encodeMetadataRequest(clientId, correlationId, topics, 5, allowAutoTopicCreation);
+}
+
+function decodeMetadataV5Response (resp) {
+  return _decodeMetadataResponse(resp, 5);
+}
+
+function _encodeMetadataRequest (clientId, correlationId, topics, version, allowAutoTopicCreation) {
   var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.metadata, version);
 
   // In version 0 an empty array will fetch all topics.
@@ -272,19 +854,23 @@ function _encodeMetadataRequest (clientId, correlationId, topics, version) {
   // This adds support for maintaining version 0 behaviour in client regardless of kafka version ([] = fetch all topics).
   if (version > 0 && ((Array.isArray(topics) && topics.length === 0) || topics === null)) {
     request.Int32BE(-1);
-    return encodeRequestWithLength(request.make());
-  }
+  } else {
+    // Handle case where null is provided but version requested was 0 (not supported).
+    // Can happen if the api versions requests fails and fallback api support is used.
+    if (version === 0 && topics === null) {
+      topics = [];
+    }
 
-  // Handle case where null is provided but version requested was 0 (not supported).
-  // Can happen if the api versions requests fails and fallback api support is used.
-  if (version === 0 && topics === null) {
-    topics = [];
+    request.Int32BE(topics.length);
+    topics.forEach(function (topic) {
+      request.Int16BE(topic.length).string(topic);
+    });
   }
 
-  request.Int32BE(topics.length);
-  topics.forEach(function (topic) {
-    request.Int16BE(topic.length).string(topic);
-  });
+  // older versions always auto create topics when the broker allows it
+  if (version >= 4) {
+    request.Int8(allowAutoTopicCreation === false ? 0 : 1);
+  }
   return encodeRequestWithLength(request.make());
 }
 
@@ -292,18 +878,30 @@ function _decodeMetadataResponse (resp, version) {
   var brokers = {};
   var out = {};
   var topics = {};
+  var topicDetails = {};
+  var clusterId = null;
   var controllerId = -1;
   var errors = [];
-  Binary.parse(resp)
+  var parser = Binary.parse(resp)
     .word32bs('size')
     .word32bs('correlationId')
+    .tap(function () {
+      if (version >= 3) {
+        this.word32bs('throttleTime');
+      }
+    })
     .word32bs('brokerNum')
-    .loop(decodeBrokers)
+    .loop(decodeBrokers);
+  if (version >= 2) {
+    readNullableString(parser, 'clusterId');
+  }
+  parser
     .tap(function (vars) {
       if (version < 1) {
         return;
       }
 
+      clusterId = vars.clusterId == null ? null : vars.clusterId;
       this.word32bs('controllerId');
       controllerId = vars.controllerId;
     })
@@ -334,6 +932,9 @@ function _decodeMetadataResponse (resp, version) {
       })
       .tap(function (vars) {
         brokers[vars.nodeId] = { nodeId: vars.nodeId, host: vars.host, port: vars.port };
+        if (version >= 1) {
+          brokers[vars.nodeId].rack = vars.rack || null;
+        }
       });
   }
 
@@ -344,6 +945,7 @@ function _decodeMetadataResponse (resp, version) {
       .tap(function (vars) {
         this.buffer('topic', vars.topic);
         vars.topic = vars.topic.toString();
+        vars.isInternal = 0;
 
         if (version < 1) {
           return;
@@ -353,6 +955,11 @@ function _decodeMetadataResponse (resp, version) {
       })
       .word32bs('partitionNum')
       .tap(function (vars) {
+        topicDetails[vars.topic] = {
+          isInternal: vars.isInternal === 1,
+          error: vars.topicError === 0 ? null : ERROR_CODE[vars.topicError],
+          partitions: []
+        };
         if (vars.topicError !== 0) {
           return errors.push(ERROR_CODE[vars.topicError]);
         }
@@ -375,6 +982,26 @@ function _decodeMetadataResponse (resp, version) {
       .tap(function (vars) {
         var buffer = this.buffer('isr', vars.isrNum * 4).vars.isr;
         this.vars.isr = bufferToArray(vars.isrNum, buffer);
+        vars.offlineReplicas = [];
+
+        if (version < 5) {
+          return;
+        }
+
+        this.word32bs('offlineReplicasNum');
+        buffer = this.buffer('offlineReplicas', this.vars.offlineReplicasNum * 4).vars.offlineReplicas;
+        this.vars.offlineReplicas = bufferToArray(this.vars.offlineReplicasNum, buffer);
+      })
+      .tap(function (vars) {
+        topicDetails[vars.topic].partitions.push({
+          partition: vars.partition,
+          leader: vars.leader,
+          replicas: vars.replicas,
+          isr: vars.isr,
+          offlineReplicas: vars.offlineReplicas,
+          error: vars.errorCode === 0 ? null : ERROR_CODE[vars.errorCode]
+        });
+
         if (vars.errorCode === 0 || vars.errorCode === 9) {
           topics[vars.topic][vars.partition] = new PartitionMetadata(
             vars.topic,
@@ -391,6 +1018,8 @@ function _decodeMetadataResponse (resp, version) {
 
   if (!_.isEmpty(errors)) out.error = errors;
   out.metadata = topics;
+  // unlike metadata, this includes the internal flag, topic errors and partitions without a leader
+  out.topicDetails = topicDetails;
 
   if (version > 0) {
     out.clusterMetadata = {
@@ -398,6 +1027,10 @@ function _decodeMetadataResponse (resp, version) {
     };
   }
 
+  if (version >= 2) {
+    out.clusterMetadata.clusterId = clusterId;
+  }
+
   return [brokers, out];
 }
 
@@ -442,24 +1075,1049 @@ function decodeCreateTopicResponse (resp) {
           return;
         }
 
-        // Errors that are not related to the actual topic(s) but the entire request
-        // (like timeout and sending the request to a non-controller)
-        if (vars.errorCode === 7 || vars.errorCode === 41) {
-          error = createGroupError(vars.errorCode);
-          return;
-        }
+        // Errors that are not related to the actual topic(s) but the entire request
+        // (like timeout and sending the request to a non-controller)
+        if (vars.errorCode === 7 || vars.errorCode === 41) {
+          error = createGroupError(vars.errorCode);
+          return;
+        }
+
+        this.buffer('errorMessage', vars.errorMessage);
+        vars.errorMessage = vars.errorMessage.toString();
+
+        topicErrorResponses.push({
+          topic: vars.topic,
+          error: vars.errorMessage
+        });
+      });
+  }
+
+  return error || topicErrorResponses;
+}
+
+function encodeCreatePartitionsRequest (clientId, correlationId, topicPartitions, timeoutMs, validateOnly) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.createPartitions);
+  request.Int32BE(topicPartitions.length);
+  topicPartitions.forEach(function (topicPartition) {
+    request.Int16BE(Buffer.byteLength(topicPartition.topic)).string(topicPartition.topic);
+    request.Int32BE(topicPartition.count);
+
+    // without an assignment the controller places the new partitions
+    var assignment = topicPartition.assignment;
+    if (assignment == null) {
+      request.Int32BE(-1);
+      return;
+    }
+
+    request.Int32BE(assignment.length);
+    assignment.forEach(function (brokerIds) {
+      request.Int32BE(brokerIds.length);
+      brokerIds.forEach(function (brokerId) {
+        request.Int32BE(brokerId);
+      });
+    });
+  });
+  request.Int32BE(timeoutMs);
+  request.Int8(validateOnly ? 1 : 0);
+
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeCreatePartitionsResponse (resp) {
+  var topicErrorResponses = [];
+  var error;
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('topicNum')
+    .loop(decodeTopics);
+
+  function decodeTopics (end, vars) {
+    if (vars.topicNum-- === 0) return end();
+
+    this.word16bs('topic')
+      .tap(function (vars) {
+        this.buffer('topic', vars.topic);
+        vars.topic = vars.topic.toString();
+      })
+      .word16bs('errorCode')
+      .word16bs('errorMessage')
+      .tap(function (vars) {
+        if (vars.errorCode === 0) {
+          return;
+        }
+
+        // Timeout and non-controller errors apply to the entire request
+        if (vars.errorCode === 7 || vars.errorCode === 41) {
+          error = createGroupError(vars.errorCode);
+          return;
+        }
+
+        if (vars.errorMessage === -1) {
+          vars.errorMessage = ERROR_CODE[vars.errorCode];
+        } else {
+          this.buffer('errorMessage', vars.errorMessage);
+          vars.errorMessage = vars.errorMessage.toString();
+        }
+
+        topicErrorResponses.push({
+          topic: vars.topic,
+          error: vars.errorMessage
+        });
+      });
+  }
+
+  return error || topicErrorResponses;
+}
+
+function encodeDeleteTopicsRequest (clientId, correlationId, topics, timeoutMs) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.deleteTopics);
+  request.Int32BE(topics.length);
+  topics.forEach(function (topic) {
+    request.Int16BE(Buffer.byteLength(topic)).string(topic);
+  });
+  request.Int32BE(timeoutMs);
+
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeDeleteTopicsResponse (resp) {
+  var topicErrorResponses = [];
+  var error;
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('topicNum')
+    .loop(decodeTopics);
+
+  function decodeTopics (end, vars) {
+    if (vars.topicNum-- === 0) return end();
+
+    this.word16bs('topic')
+      .tap(function (vars) {
+        this.buffer('topic', vars.topic);
+        vars.topic = vars.topic.toString();
+      })
+      .word16bs('errorCode')
+      .tap(function (vars) {
+        if (vars.errorCode === 0) {
+          return;
+        }
+
+        // Timeout and non-controller errors apply to the entire request
+        if (vars.errorCode === 7 || vars.errorCode === 41) {
+          error = createGroupError(vars.errorCode);
+          return;
+        }
+
+        topicErrorResponses.push({
+          topic: vars.topic,
+          error: ERROR_CODE[vars.errorCode]
+        });
+      });
+  }
+
+  return error || topicErrorResponses;
+}
+
+function encodeDeleteGroupsRequest (clientId, correlationId, groupIds) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.deleteGroups);
+  request.Int32BE(groupIds.length);
+  groupIds.forEach(function (groupId) {
+    request.Int16BE(Buffer.byteLength(groupId)).string(groupId);
+  });
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeDeleteGroupsResponse (resp) {
+  var results = [];
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('groupNum')
+    .loop(function (end, vars) {
+      if (vars.groupNum-- === 0) return end();
+
+      readString(this, 'groupId');
+      this.word16bs('errorCode').tap(function (vars) {
+        results.push({
+          groupId: vars.groupId,
+          error: vars.errorCode === 0 ? null : ERROR_CODE[vars.errorCode]
+        });
+      });
+    });
+
+  return results;
+}
+
+function encodeOffsetDeleteRequest (clientId, correlationId, groupId, topicPartitions) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.offsetDelete);
+  request.Int16BE(Buffer.byteLength(groupId)).string(groupId);
+  request.Int32BE(topicPartitions.length);
+  topicPartitions.forEach(function (topicPartition) {
+    request.Int16BE(Buffer.byteLength(topicPartition.topic)).string(topicPartition.topic);
+    request.Int32BE(topicPartition.partitions.length);
+    topicPartition.partitions.forEach(function (partition) {
+      request.Int32BE(partition);
+    });
+  });
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeOffsetDeleteResponse (resp) {
+  var results = [];
+  var error;
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word16bs('errorCode')
+    .tap(function (vars) {
+      // group errors like GroupIdNotFound apply to all the partitions
+      error = createGroupError(vars.errorCode);
+    })
+    .word32bs('throttleTime')
+    .word32bs('topicNum')
+    .loop(function (end, vars) {
+      if (vars.topicNum-- === 0) return end();
+
+      readString(this, 'topic');
+      this.word32bs('partitionNum').loop(function (end, vars) {
+        if (vars.partitionNum-- === 0) return end();
+
+        this.word32bs('partition')
+          .word16bs('partitionErrorCode')
+          .tap(function (vars) {
+            results.push({
+              topic: vars.topic,
+              partition: vars.partition,
+              error: vars.partitionErrorCode === 0 ? null : ERROR_CODE[vars.partitionErrorCode]
+            });
+          });
+      });
+    });
+
+  return error || results;
+}
+
+function encodeInitProducerIdRequest (clientId, correlationId, transactionalId, transactionTimeoutMs) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.initProducerId);
+  encodeNullableString(request, transactionalId);
+  request.Int32BE(transactionTimeoutMs);
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeInitProducerIdResponse (resp) {
+  var vars = Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word16bs('errorCode')
+    .word64bs('producerId')
+    .word16bs('producerEpoch').vars;
+
+  if (vars.errorCode !== 0) {
+    return createGroupError(vars.errorCode);
+  }
+
+  return { producerId: vars.producerId, producerEpoch: vars.producerEpoch };
+}
+
+function encodeAddPartitionsToTxnRequest (clientId, correlationId, transactionalId, producer, topicPartitions) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.addPartitionsToTxn);
+  request
+    .Int16BE(Buffer.byteLength(transactionalId))
+    .string(transactionalId)
+    .Int64BE(producer.producerId)
+    .Int16BE(producer.producerEpoch)
+    .Int32BE(topicPartitions.length);
+  topicPartitions.forEach(function (topicPartition) {
+    request.Int16BE(Buffer.byteLength(topicPartition.topic)).string(topicPartition.topic);
+    request.Int32BE(topicPartition.partitions.length);
+    topicPartition.partitions.forEach(function (partition) {
+      request.Int32BE(partition);
+    });
+  });
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeAddPartitionsToTxnResponse (resp) {
+  var error = null;
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('topicNum')
+    .loop(function (end, vars) {
+      if (vars.topicNum-- === 0) return end();
+
+      readString(this, 'topic');
+      this.word32bs('partitionNum').loop(function (end, vars) {
+        if (vars.partitionNum-- === 0) return end();
+
+        this.word32bs('partition')
+          .word16bs('errorCode')
+          .tap(function (vars) {
+            // the other partitions of a failed request are OperationNotAttempted, the cause is more useful
+            if (vars.errorCode !== 0 && (error == null || ERROR_CODE[error.errorCode] === 'OperationNotAttempted')) {
+              error = createGroupError(vars.errorCode);
+            }
+          });
+      });
+    });
+
+  return error;
+}
+
+function encodeEndTxnRequest (clientId, correlationId, transactionalId, producer, committed) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.endTxn);
+  request
+    .Int16BE(Buffer.byteLength(transactionalId))
+    .string(transactionalId)
+    .Int64BE(producer.producerId)
+    .Int16BE(producer.producerEpoch)
+    .Int8(committed ? 1 : 0);
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeEndTxnResponse (resp) {
+  var vars = Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word16bs('errorCode').vars;
+
+  return createGroupError(vars.errorCode);
+}
+
+function encodeAddOffsetsToTxnRequest (clientId, correlationId, transactionalId, producer, groupId) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.addOffsetsToTxn);
+  request
+    .Int16BE(Buffer.byteLength(transactionalId))
+    .string(transactionalId)
+    .Int64BE(producer.producerId)
+    .Int16BE(producer.producerEpoch)
+    .Int16BE(Buffer.byteLength(groupId))
+    .string(groupId);
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeAddOffsetsToTxnResponse (resp) {
+  var vars = Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word16bs('errorCode').vars;
+
+  return createGroupError(vars.errorCode);
+}
+
+/**
+ * Commits the offsets of a consumer group as part of a transaction, the offsets are `{ topic, partition, offset,
+ * metadata }` objects. The generation and member id of the group are only sent from v3 on.
+ */
+function encodeTxnOffsetCommitRequest (clientId, correlationId, transactionalId, groupId, producer, member, offsets) {
+  return _encodeTxnOffsetCommitRequest(clientId, correlationId, transactionalId, groupId, producer, offsets, 0);
+}
+
+function encodeTxnOffsetCommitV1Request (clientId, correlationId, transactionalId, groupId, producer, member, offsets) {
+  return _encodeTxnOffsetCommitRequest(clientId, correlationId, transactionalId, groupId, producer, offsets, 1);
+}
+
+function encodeTxnOffsetCommitV2Request (clientId, correlationId, transactionalId, groupId, producer, member, offsets) {
+  return _encodeTxnOffsetCommitRequest(clientId, correlationId, transactionalId, groupId, producer, offsets, 2);
+}
+
+function _encodeTxnOffsetCommitRequest (clientId, correlationId, transactionalId, groupId, producer, offsets, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.txnOffsetCommit, version);
+  request
+    .Int16BE(Buffer.byteLength(transactionalId))
+    .string(transactionalId)
+    .Int16BE(Buffer.byteLength(groupId))
+    .string(groupId)
+    .Int64BE(producer.producerId)
+    .Int16BE(producer.producerEpoch);
+
+  var topics = _.groupBy(offsets, 'topic');
+  request.Int32BE(Object.keys(topics).length);
+  _.forOwn(topics, function (partitions, topic) {
+    request
+      .Int16BE(Buffer.byteLength(topic))
+      .string(topic)
+      .Int32BE(partitions.length);
+    partitions.forEach(function (p) {
+      request.Int32BE(p.partition).Int64BE(p.offset);
+      if (version >= 2) {
+        // the leader epoch is unknown
+        request.Int32BE(-1);
+      }
+      encodeNullableString(request, p.metadata);
+    });
+  });
+  return encodeRequestWithLength(request.make());
+}
+
+function encodeTxnOffsetCommitV3Request (clientId, correlationId, transactionalId, groupId, producer, member, offsets) {
+  var request = encodeFlexibleRequestHeader(clientId, correlationId, REQUEST_TYPE.txnOffsetCommit, 3);
+  encodeCompactString(request, transactionalId);
+  encodeCompactString(request, groupId);
+  request
+    .Int64BE(producer.producerId)
+    .Int16BE(producer.producerEpoch)
+    .Int32BE(member.generationId);
+  encodeCompactString(request, member.memberId);
+  // the group instance id of static members
+  encodeCompactString(request, null);
+
+  var topics = _.groupBy(offsets, 'topic');
+  encodeCompactArrayLength(request, Object.keys(topics).length);
+  _.forOwn(topics, function (partitions, topic) {
+    encodeCompactString(request, topic);
+    encodeCompactArrayLength(request, partitions.length);
+    partitions.forEach(function (p) {
+      request
+        .Int32BE(p.partition)
+        .Int64BE(p.offset)
+        .Int32BE(-1);
+      encodeCompactString(request, p.metadata);
+      encodeEmptyTaggedFields(request);
+    });
+    encodeEmptyTaggedFields(request);
+  });
+  encodeEmptyTaggedFields(request);
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeTxnOffsetCommitResponse (resp) {
+  var error = null;
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('topicNum')
+    .loop(function (end, vars) {
+      if (vars.topicNum-- === 0) return end();
+
+      readString(this, 'topic');
+      this.word32bs('partitionNum').loop(function (end, vars) {
+        if (vars.partitionNum-- === 0) return end();
+
+        this.word32bs('partition')
+          .word16bs('errorCode')
+          .tap(function (vars) {
+            error = error || createGroupError(vars.errorCode);
+          });
+      });
+    });
+
+  return error;
+}
+
+function decodeTxnOffsetCommitV3Response (resp) {
+  var reader = createFlexibleResponseReader(resp);
+  var error = null;
+
+  reader.skipTaggedFields(); // response header
+  reader.readInt32(); // throttle time
+  var topicNum = reader.readCompactArrayLength();
+  for (var i = 0; i < topicNum; i++) {
+    reader.readCompactString();
+    var partitionNum = reader.readCompactArrayLength();
+    for (var j = 0; j < partitionNum; j++) {
+      reader.readInt32();
+      error = error || createGroupError(reader.readInt16());
+      reader.skipTaggedFields();
+    }
+    reader.skipTaggedFields();
+  }
+
+  return error;
+}
+
+/*
+Flexible versions (KIP-482) use compact strings and arrays, whose length is an unsigned varint of the length + 1
+(0 is null), and end the request header and each structure with tagged fields.
+*/
+
+function encodeFlexibleRequestHeader (clientId, correlationId, apiKey, apiVersion) {
+  // the client id of the v2 request header is not a compact string
+  var request = encodeRequestHeader(clientId, correlationId, apiKey, apiVersion);
+  encodeEmptyTaggedFields(request);
+  return request;
+}
+
+function encodeCompactString (request, value) {
+  if (value == null) {
+    return request.string(varint.encodeUnsignedVarint(0));
+  }
+  return request.string(varint.encodeUnsignedVarint(Buffer.byteLength(value) + 1)).string(value);
+}
+
+function encodeCompactArrayLength (request, length) {
+  return request.string(varint.encodeUnsignedVarint(length + 1));
+}
+
+function encodeEmptyTaggedFields (request) {
+  return request.string(varint.encodeUnsignedVarint(0));
+}
+
+function createFlexibleResponseReader (buffer) {
+  // skips the size and correlation id
+  var offset = 8;
+
+  function readUnsignedVarint () {
+    var result = varint.decodeUnsignedVarint(buffer, offset);
+    offset += result.length;
+    return result.value;
+  }
+
+  return {
+    readInt16: function () {
+      offset += 2;
+      return buffer.readInt16BE(offset - 2);
+    },
+    readInt32: function () {
+      offset += 4;
+      return buffer.readInt32BE(offset - 4);
+    },
+    readCompactString: function () {
+      var length = readUnsignedVarint() - 1;
+      if (length === -1) {
+        return null;
+      }
+      offset += length;
+      return buffer.toString('utf8', offset - length, offset);
+    },
+    readCompactArrayLength: function () {
+      return Math.max(readUnsignedVarint() - 1, 0);
+    },
+    skipTaggedFields: function () {
+      var fieldNum = readUnsignedVarint();
+      for (var i = 0; i < fieldNum; i++) {
+        readUnsignedVarint(); // tag
+        offset += readUnsignedVarint();
+      }
+    }
+  };
+}
+
+function encodeDeleteRecordsRequest (timeoutMs) {
+  return function encodeDeleteRecordsRequest (clientId, correlationId, payloads) {
+    return _encodeDeleteRecordsRequest(clientId, correlationId, payloads, timeoutMs, 0);
+  };
+}
+
+// v1 only allows the broker to throttle the response
+function encodeDeleteRecordsV1Request (timeoutMs) {
+  return function encodeDeleteRecordsRequest (clientId, correlationId, payloads) {
+    return _encodeDeleteRecordsRequest(clientId, correlationId, payloads, timeoutMs, 1);
+  };
+}
+
+function _encodeDeleteRecordsRequest (clientId, correlationId, payloads, timeoutMs, version) {
+  payloads = groupByTopic(payloads);
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.deleteRecords, version);
+  var topics = Object.keys(payloads);
+
+  request.Int32BE(topics.length);
+  topics.forEach(function (topic) {
+    request.Int16BE(Buffer.byteLength(topic)).string(topic);
+
+    var partitions = _.values(payloads[topic]);
+    request.Int32BE(partitions.length);
+    partitions.forEach(function (p) {
+      // an offset of -1 deletes all the records up to the high watermark
+      request.Int32BE(p.partition).Int64BE(p.offset);
+    });
+  });
+  request.Int32BE(timeoutMs);
+
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeDeleteRecordsResponse (resp) {
+  var results = [];
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('topicNum')
+    .loop(decodeTopics(decodePartitions));
+
+  function decodePartitions (end, vars) {
+    if (--vars.partitionNum === 0) end();
+    this.word32bs('partition')
+      .buffer('lowWatermark', 8)
+      .word16bs('errorCode')
+      .tap(function (vars) {
+        // the partitions fail independently, the low watermark is -1 for failed partitions
+        results.push({
+          topic: vars.topic,
+          partition: vars.partition,
+          lowWatermark: vars.errorCode ? null : readInt64BE(vars.lowWatermark, 0),
+          error: vars.errorCode ? ERROR_CODE[vars.errorCode] : null
+        });
+      });
+  }
+  return results;
+}
+
+// Config resource types, sources and operations are exchanged as int8 codes, names are used in the results
+var CONFIG_RESOURCE_TYPE_NAMES = _.invert(protocol.CONFIG_RESOURCE_TYPES);
+var CONFIG_SOURCE_NAMES = _.invert(protocol.CONFIG_SOURCES);
+
+function encodeNullableString (request, value) {
+  if (value == null) {
+    return request.Int16BE(-1);
+  }
+  return request.Int16BE(Buffer.byteLength(value)).string(value);
+}
+
+function readNullableString (parser, name) {
+  parser.word16bs(name).tap(function (vars) {
+    if (vars[name] === -1) {
+      vars[name] = null;
+      return;
+    }
+    this.buffer(name, vars[name]);
+    vars[name] = vars[name].toString();
+  });
+}
+
+function readString (parser, name) {
+  parser.word16bs(name).tap(function (vars) {
+    this.buffer(name, vars[name]);
+    vars[name] = vars[name].toString();
+  });
+}
+
+function encodeDescribeConfigsRequest (clientId, correlationId, resources) {
+  return _encodeDescribeConfigsRequest(clientId, correlationId, resources, false, 0);
+}
+
+function encodeDescribeConfigsV1Request (clientId, correlationId, resources, includeSynonyms) {
+  return _encodeDescribeConfigsRequest(clientId, correlationId, resources, includeSynonyms, 1);
+}
+
+function encodeDescribeConfigsV2Request (clientId, correlationId, resources, includeSynonyms) {
+  return _encodeDescribeConfigsRequest(clientId, correlationId, resources, includeSynonyms, 2);
+}
+
+function _encodeDescribeConfigsRequest (clientId, correlationId, resources, includeSynonyms, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.describeConfigs, version);
+  request.Int32BE(resources.length);
+  resources.forEach(function (resource) {
+    request.Int8(resource.type);
+    request.Int16BE(Buffer.byteLength(resource.name)).string(resource.name);
+
+    // null describes all the configs of the resource
+    if (resource.configNames == null) {
+      request.Int32BE(-1);
+      return;
+    }
+
+    request.Int32BE(resource.configNames.length);
+    resource.configNames.forEach(function (configName) {
+      request.Int16BE(Buffer.byteLength(configName)).string(configName);
+    });
+  });
+
+  if (version >= 1) {
+    request.Int8(includeSynonyms ? 1 : 0);
+  }
+
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeDescribeConfigsResponse (resp) {
+  return _decodeDescribeConfigsResponse(resp, 0);
+}
+
+function decodeDescribeConfigsV1Response (resp) {
+  return _decodeDescribeConfigsResponse(resp, 1);
+}
+
+function _decodeDescribeConfigsResponse (resp, version) {
+  var resources = [];
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('resourceNum')
+    .loop(decodeResources);
+
+  function decodeResources (end, vars) {
+    if (vars.resourceNum-- === 0) return end();
+
+    var resource = { configEntries: [] };
+
+    this.word16bs('errorCode');
+    readNullableString(this, 'errorMessage');
+    this.word8bs('resourceType');
+    readString(this, 'resourceName');
+    this.word32bs('configNum')
+      .tap(function (vars) {
+        resource.resourceType = CONFIG_RESOURCE_TYPE_NAMES[vars.resourceType] || vars.resourceType;
+        resource.resourceName = vars.resourceName;
+        resource.error = vars.errorCode === 0 ? null : vars.errorMessage || ERROR_CODE[vars.errorCode];
+      })
+      .loop(decodeConfigEntries);
+
+    resources.push(resource);
+
+    function decodeConfigEntries (end, vars) {
+      if (vars.configNum-- <= 0) return end();
+
+      readString(this, 'configName');
+      readNullableString(this, 'configValue');
+      this.word8bs('readOnly');
+
+      if (version >= 1) {
+        this.word8bs('configSource');
+      } else {
+        this.word8bs('isDefault');
+      }
+
+      this.word8bs('isSensitive').tap(function (vars) {
+        var configSource = vars.configSource;
+        if (version === 0) {
+          configSource = vars.isDefault ? protocol.CONFIG_SOURCES.default : protocol.CONFIG_SOURCES.unknown;
+        }
+
+        resource.configEntries.push({
+          configName: vars.configName,
+          // sensitive values are never returned by the broker
+          configValue: vars.configValue,
+          readOnly: Boolean(vars.readOnly),
+          isDefault: configSource === protocol.CONFIG_SOURCES.default,
+          isSensitive: Boolean(vars.isSensitive),
+          configSource: CONFIG_SOURCE_NAMES[configSource] || 'unknown',
+          synonyms: []
+        });
+      });
+
+      if (version >= 1) {
+        this.word32bs('synonymNum').loop(function (end, vars) {
+          if (vars.synonymNum-- <= 0) return end();
+
+          readString(this, 'synonymName');
+          readNullableString(this, 'synonymValue');
+          this.word8bs('synonymSource').tap(function (vars) {
+            _.last(resource.configEntries).synonyms.push({
+              configName: vars.synonymName,
+              configValue: vars.synonymValue,
+              configSource: CONFIG_SOURCE_NAMES[vars.synonymSource] || 'unknown'
+            });
+          });
+        });
+      }
+    }
+  }
+
+  return resources;
+}
+
+function encodeAlterConfigsRequest (clientId, correlationId, resources, validateOnly) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.alterConfigs);
+  request.Int32BE(resources.length);
+  resources.forEach(function (resource) {
+    request.Int8(resource.type);
+    request.Int16BE(Buffer.byteLength(resource.name)).string(resource.name);
+    request.Int32BE(resource.configEntries.length);
+    resource.configEntries.forEach(function (configEntry) {
+      request.Int16BE(Buffer.byteLength(configEntry.name)).string(configEntry.name);
+      encodeNullableString(request, configEntry.value);
+    });
+  });
+  request.Int8(validateOnly ? 1 : 0);
+
+  return encodeRequestWithLength(request.make());
+}
+
+function encodeIncrementalAlterConfigsRequest (clientId, correlationId, resources, validateOnly) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.incrementalAlterConfigs);
+  request.Int32BE(resources.length);
+  resources.forEach(function (resource) {
+    request.Int8(resource.type);
+    request.Int16BE(Buffer.byteLength(resource.name)).string(resource.name);
+    request.Int32BE(resource.configEntries.length);
+    resource.configEntries.forEach(function (configEntry) {
+      request.Int16BE(Buffer.byteLength(configEntry.name)).string(configEntry.name);
+      request.Int8(configEntry.operation);
+      encodeNullableString(request, configEntry.value);
+    });
+  });
+  request.Int8(validateOnly ? 1 : 0);
+
+  return encodeRequestWithLength(request.make());
+}
+
+// AlterConfigs and IncrementalAlterConfigs share the response format
+function decodeAlterConfigsResponse (resp) {
+  var resources = [];
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('resourceNum')
+    .loop(function (end, vars) {
+      if (vars.resourceNum-- === 0) return end();
+
+      this.word16bs('errorCode');
+      readNullableString(this, 'errorMessage');
+      this.word8bs('resourceType');
+      readString(this, 'resourceName');
+      this.tap(function (vars) {
+        resources.push({
+          resourceType: CONFIG_RESOURCE_TYPE_NAMES[vars.resourceType] || vars.resourceType,
+          resourceName: vars.resourceName,
+          error: vars.errorCode === 0 ? null : vars.errorMessage || ERROR_CODE[vars.errorCode]
+        });
+      });
+    });
+
+  return resources;
+}
+
+function encodeDescribeAclsRequest (clientId, correlationId, filter) {
+  return _encodeDescribeAclsRequest(clientId, correlationId, filter, 0);
+}
+
+// v1 adds the resource pattern type (Kafka 2.0)
+function encodeDescribeAclsV1Request (clientId, correlationId, filter) {
+  return _encodeDescribeAclsRequest(clientId, correlationId, filter, 1);
+}
+
+function _encodeDescribeAclsRequest (clientId, correlationId, filter, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.describeAcls, version);
+  encodeAclFilter(request, filter, version);
+  return encodeRequestWithLength(request.make());
+}
+
+function encodeAclFilter (request, filter, version) {
+  request.Int8(filter.resourceType);
+  encodeNullableString(request, filter.resourceName);
+  encodeResourcePatternType(request, filter.resourcePatternType, version, [
+    protocol.ACL_RESOURCE_PATTERN_TYPES.ANY,
+    protocol.ACL_RESOURCE_PATTERN_TYPES.LITERAL
+  ]);
+  encodeNullableString(request, filter.principal);
+  encodeNullableString(request, filter.host);
+  request.Int8(filter.operation);
+  request.Int8(filter.permissionType);
+}
+
+// brokers before Kafka 2.0 only know literal resource names
+function encodeResourcePatternType (request, resourcePatternType, version, legacyPatternTypes) {
+  if (version >= 1) {
+    request.Int8(resourcePatternType);
+  } else if (!_.includes(legacyPatternTypes, resourcePatternType)) {
+    throw new Error(
+      'Resource pattern type ' + resourcePatternType + ' requires a broker supporting ACLs v1 (Kafka 2.0+)'
+    );
+  }
+}
+
+function decodeDescribeAclsResponse (resp) {
+  return _decodeDescribeAclsResponse(resp, 0);
+}
+
+function decodeDescribeAclsV1Response (resp) {
+  return _decodeDescribeAclsResponse(resp, 1);
+}
+
+function _decodeDescribeAclsResponse (resp, version) {
+  var resources = [];
+  var error;
+
+  var parser = Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word16bs('errorCode');
+  readNullableString(parser, 'errorMessage');
+  parser
+    .tap(function (vars) {
+      if (vars.errorCode !== 0) {
+        error = new Error(vars.errorMessage || ERROR_CODE[vars.errorCode]);
+        error.errorCode = vars.errorCode;
+      }
+    })
+    .word32bs('resourceNum')
+    .loop(function (end, vars) {
+      if (error || vars.resourceNum-- <= 0) return end();
+
+      var resource = { acls: [] };
+      this.word8bs('resourceType');
+      readString(this, 'resourceName');
+      readResourcePatternType(this, version);
+      this.tap(function (vars) {
+        resource.resourceType = vars.resourceType;
+        resource.resourceName = vars.resourceName;
+        resource.resourcePatternType = vars.resourcePatternType;
+      })
+        .word32bs('aclNum')
+        .loop(function (end, vars) {
+          if (vars.aclNum-- <= 0) return end();
+
+          readString(this, 'principal');
+          readString(this, 'host');
+          this.word8bs('operation')
+            .word8bs('permissionType')
+            .tap(function (vars) {
+              resource.acls.push({
+                principal: vars.principal,
+                host: vars.host,
+                operation: vars.operation,
+                permissionType: vars.permissionType
+              });
+            });
+        });
+      resources.push(resource);
+    });
+
+  return error || resources;
+}
+
+function readResourcePatternType (parser, version) {
+  if (version >= 1) {
+    parser.word8bs('resourcePatternType');
+  } else {
+    parser.tap(function (vars) {
+      vars.resourcePatternType = protocol.ACL_RESOURCE_PATTERN_TYPES.LITERAL;
+    });
+  }
+}
+
+function encodeCreateAclsRequest (clientId, correlationId, creations) {
+  return _encodeCreateAclsRequest(clientId, correlationId, creations, 0);
+}
+
+function encodeCreateAclsV1Request (clientId, correlationId, creations) {
+  return _encodeCreateAclsRequest(clientId, correlationId, creations, 1);
+}
+
+function _encodeCreateAclsRequest (clientId, correlationId, creations, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.createAcls, version);
+  request.Int32BE(creations.length);
+  creations.forEach(function (acl) {
+    request.Int8(acl.resourceType);
+    request.Int16BE(Buffer.byteLength(acl.resourceName)).string(acl.resourceName);
+    encodeResourcePatternType(request, acl.resourcePatternType, version, [protocol.ACL_RESOURCE_PATTERN_TYPES.LITERAL]);
+    request.Int16BE(Buffer.byteLength(acl.principal)).string(acl.principal);
+    request.Int16BE(Buffer.byteLength(acl.host)).string(acl.host);
+    request.Int8(acl.operation);
+    request.Int8(acl.permissionType);
+  });
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeCreateAclsResponse (resp) {
+  var creations = [];
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('creationNum')
+    .loop(function (end, vars) {
+      if (vars.creationNum-- <= 0) return end();
+
+      this.word16bs('errorCode');
+      readNullableString(this, 'errorMessage');
+      this.tap(function (vars) {
+        creations.push({ error: aclError(vars) });
+      });
+    });
+
+  return creations;
+}
+
+function encodeDeleteAclsRequest (clientId, correlationId, filters) {
+  return _encodeDeleteAclsRequest(clientId, correlationId, filters, 0);
+}
+
+function encodeDeleteAclsV1Request (clientId, correlationId, filters) {
+  return _encodeDeleteAclsRequest(clientId, correlationId, filters, 1);
+}
+
+function _encodeDeleteAclsRequest (clientId, correlationId, filters, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.deleteAcls, version);
+  request.Int32BE(filters.length);
+  filters.forEach(function (filter) {
+    encodeAclFilter(request, filter, version);
+  });
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeDeleteAclsResponse (resp) {
+  return _decodeDeleteAclsResponse(resp, 0);
+}
 
-        this.buffer('errorMessage', vars.errorMessage);
-        vars.errorMessage = vars.errorMessage.toString();
+function decodeDeleteAclsV1Response (resp) {
+  return _decodeDeleteAclsResponse(resp, 1);
+}
 
-        topicErrorResponses.push({
-          topic: vars.topic,
-          error: vars.errorMessage
+function _decodeDeleteAclsResponse (resp, version) {
+  var filterResponses = [];
+
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word32bs('filterNum')
+    .loop(function (end, vars) {
+      if (vars.filterNum-- <= 0) return end();
+
+      var filterResponse = { matchingAcls: [] };
+      this.word16bs('errorCode');
+      readNullableString(this, 'errorMessage');
+      this.tap(function (vars) {
+        filterResponse.error = aclError(vars);
+      })
+        .word32bs('aclNum')
+        .loop(function (end, vars) {
+          if (vars.aclNum-- <= 0) return end();
+
+          this.word16bs('aclErrorCode');
+          readNullableString(this, 'aclErrorMessage');
+          this.word8bs('resourceType');
+          readString(this, 'resourceName');
+          readResourcePatternType(this, version);
+          readString(this, 'principal');
+          readString(this, 'host');
+          this.word8bs('operation')
+            .word8bs('permissionType')
+            .tap(function (vars) {
+              filterResponse.matchingAcls.push({
+                error: aclError({ errorCode: vars.aclErrorCode, errorMessage: vars.aclErrorMessage }),
+                resourceType: vars.resourceType,
+                resourceName: vars.resourceName,
+                resourcePatternType: vars.resourcePatternType,
+                principal: vars.principal,
+                host: vars.host,
+                operation: vars.operation,
+                permissionType: vars.permissionType
+              });
+            });
         });
-      });
-  }
+      filterResponses.push(filterResponse);
+    });
 
-  return error || topicErrorResponses;
+  return filterResponses;
+}
+
+function aclError (vars) {
+  return vars.errorCode === 0 ? null : vars.errorMessage || ERROR_CODE[vars.errorCode];
 }
 
 function bufferToArray (num, buffer) {
@@ -580,10 +2238,53 @@ function encodeProduceV2Request (requireAcks, ackTimeoutMs) {
   };
 }
 
-function _encodeProduceRequest (clientId, correlationId, payloads, requireAcks, ackTimeoutMs, apiVersion) {
+function encodeProduceV3Request (requireAcks, ackTimeoutMs, transactionalId) {
+  return function (clientId, correlationId, payloads) {
+    return _encodeProduceRequest(clientId, correlationId, payloads, requireAcks, ackTimeoutMs, 3, transactionalId);
+  };
+}
+
+function encodeProduceV4Request (requireAcks, ackTimeoutMs, transactionalId) {
+  return function (clientId, correlationId, payloads) {
+    return _encodeProduceRequest(clientId, correlationId, payloads, requireAcks, ackTimeoutMs, 4, transactionalId);
+  };
+}
+
+function encodeProduceV5Request (requireAcks, ackTimeoutMs, transactionalId) {
+  return function (clientId, correlationId, payloads) {
+    return _encodeProduceRequest(clientId, correlationId, payloads, requireAcks, ackTimeoutMs, 5, transactionalId);
+  };
+}
+
+function encodeProduceV6Request (requireAcks, ackTimeoutMs, transactionalId) {
+  return function (clientId, correlationId, payloads) {
+    return _encodeProduceRequest(clientId, correlationId, payloads, requireAcks, ackTimeoutMs, 6, transactionalId);
+  };
+}
+
+function encodeProduceV7Request (requireAcks, ackTimeoutMs, transactionalId) {
+  return function (clientId, correlationId, payloads) {
+    return _encodeProduceRequest(clientId, correlationId, payloads, requireAcks, ackTimeoutMs, 7, transactionalId);
+  };
+}
+
+function _encodeProduceRequest (
+  clientId,
+  correlationId,
+  payloads,
+  requireAcks,
+  ackTimeoutMs,
+  apiVersion,
+  transactionalId
+) {
   payloads = groupByTopic(payloads);
   var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.produce, apiVersion);
   var topics = Object.keys(payloads);
+
+  if (apiVersion >= 3) {
+    encodeNullableString(request, transactionalId);
+  }
+
   request.Int16BE(requireAcks).Int32BE(ackTimeoutMs).Int32BE(topics.length);
 
   topics.forEach(function (topic) {
@@ -594,7 +2295,14 @@ function _encodeProduceRequest (clientId, correlationId, payloads, requireAcks,
     });
     request.Int32BE(reqs.length);
     reqs.forEach(function (p) {
-      var messageSet = encodeMessageSet(p.messages, apiVersion === 2 ? 1 : 0);
+      var attributes = p.compressedRecords ? p.attributes & RECORD_BATCH_COMPRESSION_MASK : 0;
+      if (transactionalId != null) {
+        attributes |= RECORD_BATCH_TRANSACTIONAL_FLAG;
+      }
+      var messageSet =
+        apiVersion >= 3
+          ? encodeRecordBatch(p.messages, attributes, p.compressedRecords, p)
+          : encodeMessageSet(p.messages, apiVersion === 2 ? 1 : 0);
       request.Int32BE(p.partition).Int32BE(messageSet.length).string(messageSet);
     });
   });
@@ -647,9 +2355,24 @@ function setValueOnBuffer (buffer, value) {
   }
 }
 
+/**
+ * The error of a produce response is the error of its first failed partition, it has the errors of all the failed
+ * partitions as `partitionErrors` and the offsets of the partitions the broker appended the messages to as `offsets`
+ */
+function createProduceError (partitionErrors, topics) {
+  if (partitionErrors.length === 0) {
+    return null;
+  }
+  var error = new Error(partitionErrors[0].error);
+  error.errorCode = partitionErrors[0].errorCode;
+  error.partitionErrors = partitionErrors;
+  error.offsets = topics;
+  return error;
+}
+
 function decodeProduceV1Response (resp) {
   var topics = {};
-  var error;
+  var partitionErrors = [];
   Binary.parse(resp)
     .word32bs('size')
     .word32bs('correlationId')
@@ -662,18 +2385,23 @@ function decodeProduceV1Response (resp) {
     topics[vars.topic] = topics[vars.topic] || {};
     this.word32bs('partition').word16bs('errorCode').word64bs('offset').tap(function (vars) {
       if (vars.errorCode) {
-        error = new Error(ERROR_CODE[vars.errorCode]);
+        partitionErrors.push({
+          topic: vars.topic,
+          partition: vars.partition,
+          error: ERROR_CODE[vars.errorCode],
+          errorCode: vars.errorCode
+        });
       } else {
         topics[vars.topic][vars.partition] = vars.offset;
       }
     });
   }
-  return error || topics;
+  return createProduceError(partitionErrors, topics) || topics;
 }
 
 function decodeProduceV2Response (resp) {
   var topics = {};
-  var error;
+  var partitionErrors = [];
   Binary.parse(resp)
     .word32bs('size')
     .word32bs('correlationId')
@@ -686,18 +2414,57 @@ function decodeProduceV2Response (resp) {
     topics[vars.topic] = topics[vars.topic] || {};
     this.word32bs('partition').word16bs('errorCode').word64bs('offset').word64bs('timestamp').tap(function (vars) {
       if (vars.errorCode) {
-        error = new Error(ERROR_CODE[vars.errorCode]);
+        partitionErrors.push({
+          topic: vars.topic,
+          partition: vars.partition,
+          error: ERROR_CODE[vars.errorCode],
+          errorCode: vars.errorCode
+        });
       } else {
         topics[vars.topic][vars.partition] = vars.offset;
       }
     });
   }
-  return error || topics;
+  return createProduceError(partitionErrors, topics) || topics;
+}
+
+function decodeProduceV5Response (resp) {
+  var topics = {};
+  var partitionErrors = [];
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('topicNum')
+    .loop(decodeTopics(decodePartitions))
+    .word32bs('throttleTime');
+
+  function decodePartitions (end, vars) {
+    if (--vars.partitionNum === 0) end();
+    topics[vars.topic] = topics[vars.topic] || {};
+    this.word32bs('partition')
+      .word16bs('errorCode')
+      .word64bs('offset')
+      .word64bs('timestamp')
+      .word64bs('logStartOffset')
+      .tap(function (vars) {
+        if (vars.errorCode) {
+          partitionErrors.push({
+            topic: vars.topic,
+            partition: vars.partition,
+            error: ERROR_CODE[vars.errorCode],
+            errorCode: vars.errorCode
+          });
+        } else {
+          topics[vars.topic][vars.partition] = vars.offset;
+        }
+      });
+  }
+  return createProduceError(partitionErrors, topics) || topics;
 }
 
 function decodeProduceResponse (resp) {
   var topics = {};
-  var error;
+  var partitionErrors = [];
   Binary.parse(resp)
     .word32bs('size')
     .word32bs('correlationId')
@@ -709,13 +2476,18 @@ function decodeProduceResponse (resp) {
     topics[vars.topic] = topics[vars.topic] || {};
     this.word32bs('partition').word16bs('errorCode').word64bs('offset').tap(function (vars) {
       if (vars.errorCode) {
-        error = new Error(ERROR_CODE[vars.errorCode]);
+        partitionErrors.push({
+          topic: vars.topic,
+          partition: vars.partition,
+          error: ERROR_CODE[vars.errorCode],
+          errorCode: vars.errorCode
+        });
       } else {
         topics[vars.topic][vars.partition] = vars.offset;
       }
     });
   }
-  return error || topics;
+  return createProduceError(partitionErrors, topics) || topics;
 }
 
 function encodeOffsetFetchRequest (group) {
@@ -725,10 +2497,34 @@ function encodeOffsetFetchRequest (group) {
 }
 
 function encodeOffsetFetchV1Request (clientId, correlationId, group, payloads) {
-  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.offsetFetch, 1);
-  var topics = Object.keys(payloads);
+  return _encodeOffsetFetchV1Request(clientId, correlationId, group, payloads, 1);
+}
 
-  request.Int16BE(group.length).string(group).Int32BE(topics.length);
+// v2 fetches all the committed offsets of the group when payloads is null
+function encodeOffsetFetchV2Request (clientId, correlationId, group, payloads) {
+  return _encodeOffsetFetchV1Request(clientId, correlationId, group, payloads, 2);
+}
+
+function encodeOffsetFetchV3Request (clientId, correlationId, group, payloads) {
+  return _encodeOffsetFetchV1Request(clientId, correlationId, group, payloads, 3);
+}
+
+function _encodeOffsetFetchV1Request (clientId, correlationId, group, payloads, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.offsetFetch, version);
+  request.Int16BE(group.length).string(group);
+
+  if (payloads == null) {
+    if (version < 2) {
+      throw new Error(
+        'Fetching all the offsets of a group requires a broker supporting OffsetFetch v2 (Kafka 0.10.2+)'
+      );
+    }
+    request.Int32BE(-1);
+    return encodeRequestWithLength(request.make());
+  }
+
+  var topics = Object.keys(payloads);
+  request.Int32BE(topics.length);
 
   topics.forEach(function (topic) {
     request.Int16BE(topic.length).string(topic).Int32BE(payloads[topic].length);
@@ -825,6 +2621,51 @@ function decodeOffsetFetchV1Response (resp) {
   return topics;
 }
 
+function decodeOffsetFetchV2Response (resp) {
+  return _decodeOffsetFetchV2Response(resp, 2);
+}
+
+// v3 adds the throttle time
+function decodeOffsetFetchV3Response (resp) {
+  return _decodeOffsetFetchV2Response(resp, 3);
+}
+
+function _decodeOffsetFetchV2Response (resp, version) {
+  var topics = {};
+  var error = null;
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .tap(function () {
+      if (version >= 3) {
+        this.word32bs('throttleTime');
+      }
+    })
+    .word32bs('topicNum')
+    .loop(function (end, vars) {
+      if (vars.topicNum-- === 0) return end();
+      readString(this, 'topic');
+      this.word32bs('partitionNum').loop(decodePartitions);
+    })
+    .word16bs('errorCode')
+    .tap(function (vars) {
+      error = createGroupError(vars.errorCode);
+    });
+
+  function decodePartitions (end, vars) {
+    if (vars.partitionNum-- === 0) return end();
+    topics[vars.topic] = topics[vars.topic] || {};
+    // word64bs cannot read negative numbers, -1 is the offset of partitions without a committed offset
+    this.word32bs('partition').buffer('offset', 8);
+    readNullableString(this, 'metadata');
+    this.word16bs('partitionErrorCode')
+      .tap(function (vars) {
+        topics[vars.topic][vars.partition] = vars.partitionErrorCode === 0 ? readInt64BE(vars.offset, 0) : -1;
+      });
+  }
+  return error || topics;
+}
+
 function encodeOffsetRequest (clientId, correlationId, payloads) {
   payloads = groupByTopic(payloads);
   var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.offset);
@@ -871,12 +2712,103 @@ function decodeOffsetResponse (resp) {
   return topics;
 }
 
+function encodeOffsetV1Request (clientId, correlationId, payloads) {
+  return _encodeOffsetRequest(clientId, correlationId, payloads, 1);
+}
+
+function encodeOffsetV2Request (clientId, correlationId, payloads) {
+  return _encodeOffsetRequest(clientId, correlationId, payloads, 2);
+}
+
+function _encodeOffsetRequest (clientId, correlationId, payloads, version) {
+  payloads = groupByTopic(payloads);
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.offset, version);
+  var topics = Object.keys(payloads);
+
+  request.Int32BE(REPLICA_ID);
+
+  if (version >= 2) {
+    request.Int8(ISOLATION_LEVEL_READ_UNCOMMITTED);
+  }
+
+  request.Int32BE(topics.length);
+
+  topics.forEach(function (topic) {
+    request.Int16BE(topic.length).string(topic);
+
+    var partitions = _.toPairs(payloads[topic]).map(function (pairs) {
+      return pairs[1];
+    });
+    request.Int32BE(partitions.length);
+    partitions.forEach(function (p) {
+      // v1 returns a single offset per partition so there is no max number of offsets
+      request.Int32BE(p.partition).Int64BE(p.time);
+    });
+  });
+
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeOffsetV1Response (resp) {
+  return _decodeOffsetResponse(resp, 1);
+}
+
+function decodeOffsetV2Response (resp) {
+  return _decodeOffsetResponse(resp, 2);
+}
+
+function _decodeOffsetResponse (resp, version) {
+  var topics = {};
+  var error;
+  Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .tap(function () {
+      if (version >= 2) {
+        this.word32bs('throttleTime');
+      }
+    })
+    .word32bs('topicNum')
+    .loop(decodeTopics(decodePartitions));
+
+  function decodePartitions (end, vars) {
+    if (--vars.partitionNum === 0) end();
+    topics[vars.topic] = topics[vars.topic] || {};
+    // both are -1 when there is no message after the requested timestamp, word64bs cannot read negative numbers
+    this.word32bs('partition')
+      .word16bs('errorCode')
+      .buffer('timestamp', 8)
+      .buffer('offset', 8)
+      .tap(function (vars) {
+        if (vars.errorCode) {
+          error = new Error(ERROR_CODE[vars.errorCode]);
+        } else {
+          topics[vars.topic][vars.partition] = {
+            offset: readInt64BE(vars.offset, 0),
+            timestamp: readInt64BE(vars.timestamp, 0)
+          };
+        }
+      });
+  }
+  return error || topics;
+}
+
 function encodeGroupCoordinatorRequest (clientId, correlationId, groupId) {
   var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.groupCoordinator);
   request.Int16BE(groupId.length).string(groupId);
   return encodeRequestWithLength(request.make());
 }
 
+// v1 also finds the coordinator of a transactional id
+function encodeGroupCoordinatorV1Request (clientId, correlationId, key, coordinatorType) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.groupCoordinator, 1);
+  request
+    .Int16BE(Buffer.byteLength(key))
+    .string(key)
+    .Int8(coordinatorType || COORDINATOR_TYPES.group);
+  return encodeRequestWithLength(request.make());
+}
+
 function encodeGroupHeartbeatRequest (clientId, correlationId, groupId, generationId, memberId) {
   var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.heartbeat);
   request.Int16BE(groupId.length).string(groupId).Int32BE(generationId).Int16BE(memberId.length).string(memberId);
@@ -919,6 +2851,31 @@ function decodeGroupCoordinatorResponse (resp) {
   return result;
 }
 
+function decodeGroupCoordinatorV1Response (resp) {
+  var result;
+  var parser = Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word32bs('throttleTime')
+    .word16bs('errorCode');
+  readNullableString(parser, 'errorMessage');
+  parser.word32bs('coordinatorId');
+  readString(parser, 'coordinatorHost');
+  parser.word32bs('coordinatorPort').tap(function (vars) {
+    if (vars.errorCode !== 0) {
+      result = createGroupError(vars.errorCode);
+      return;
+    }
+
+    result = {
+      coordinatorHost: vars.coordinatorHost,
+      coordinatorPort: vars.coordinatorPort,
+      coordinatorId: vars.coordinatorId
+    };
+  });
+  return result;
+}
+
 /*
 
 ProtocolType => "consumer"
@@ -1404,11 +3361,112 @@ function decodeVersionsResponse (resp) {
   return error || versions;
 }
 
+function encodeSaslHandshakeRequest (clientId, correlationId, mechanism) {
+  return _encodeSaslHandshakeRequest(clientId, correlationId, mechanism, 0);
+}
+
+// v1 tells the broker the authentication bytes are sent in SaslAuthenticate requests instead of raw frames
+function encodeSaslHandshakeV1Request (clientId, correlationId, mechanism) {
+  return _encodeSaslHandshakeRequest(clientId, correlationId, mechanism, 1);
+}
+
+function _encodeSaslHandshakeRequest (clientId, correlationId, mechanism, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.saslHandshake, version);
+  request.Int16BE(Buffer.byteLength(mechanism)).string(mechanism);
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeSaslHandshakeResponse (resp) {
+  var mechanisms = [];
+  var vars = Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word16bs('errorCode')
+    .word32bs('mechanismNum')
+    .loop(function (end, vars) {
+      if (vars.mechanismNum-- <= 0) return end();
+      this.word16bs('mechanism').tap(function (vars) {
+        this.buffer('mechanism', vars.mechanism);
+        mechanisms.push(vars.mechanism.toString());
+      });
+    }).vars;
+
+  return {
+    errorCode: vars.errorCode,
+    mechanisms: mechanisms
+  };
+}
+
+function encodeSaslAuthenticateRequest (clientId, correlationId, authBytes) {
+  return _encodeSaslAuthenticateRequest(clientId, correlationId, authBytes, 0);
+}
+
+// v1 only changes the response which includes the session lifetime (KIP-368)
+function encodeSaslAuthenticateV1Request (clientId, correlationId, authBytes) {
+  return _encodeSaslAuthenticateRequest(clientId, correlationId, authBytes, 1);
+}
+
+function _encodeSaslAuthenticateRequest (clientId, correlationId, authBytes, version) {
+  var request = encodeRequestHeader(clientId, correlationId, REQUEST_TYPE.saslAuthenticate, version);
+  request.Int32BE(authBytes.length).string(authBytes);
+  return encodeRequestWithLength(request.make());
+}
+
+function decodeSaslAuthenticateResponse (resp) {
+  return _decodeSaslAuthenticateResponse(resp, 0);
+}
+
+function decodeSaslAuthenticateV1Response (resp) {
+  return _decodeSaslAuthenticateResponse(resp, 1);
+}
+
+function _decodeSaslAuthenticateResponse (resp, version) {
+  var vars = Binary.parse(resp)
+    .word32bs('size')
+    .word32bs('correlationId')
+    .word16bs('errorCode')
+    .word16bs('errorMessage')
+    .tap(function (vars) {
+      if (vars.errorMessage === -1) {
+        vars.errorMessage = null;
+        return;
+      }
+      this.buffer('errorMessage', vars.errorMessage);
+      vars.errorMessage = vars.errorMessage.toString();
+    })
+    .word32bs('authBytes')
+    .tap(function (vars) {
+      this.buffer('authBytes', Math.max(vars.authBytes, 0));
+      if (version >= 1) {
+        this.word64bs('sessionLifetimeMs');
+      }
+    }).vars;
+
+  return {
+    errorCode: vars.errorCode,
+    errorMessage: vars.errorMessage,
+    authBytes: vars.authBytes,
+    // zero when the broker does not expire sessions
+    sessionLifetimeMs: vars.sessionLifetimeMs || 0
+  };
+}
+
 exports.encodeFetchRequest = encodeFetchRequest;
 exports.decodeFetchResponse = decodeFetchResponse;
 exports.encodeFetchRequestV1 = encodeFetchRequestV1;
 exports.decodeFetchResponseV1 = decodeFetchResponseV1;
 exports.encodeFetchRequestV2 = encodeFetchRequestV2;
+exports.encodeFetchRequestV3 = encodeFetchRequestV3;
+exports.encodeFetchRequestV4 = encodeFetchRequestV4;
+exports.encodeFetchRequestV5 = encodeFetchRequestV5;
+exports.encodeFetchRequestV6 = encodeFetchRequestV6;
+exports.encodeFetchRequestV7 = encodeFetchRequestV7;
+exports.encodeFetchRequestV8 = encodeFetchRequestV8;
+exports.encodeFetchRequestV9 = encodeFetchRequestV9;
+exports.encodeFetchRequestV10 = encodeFetchRequestV10;
+exports.decodeFetchResponseV4 = decodeFetchResponseV4;
+exports.decodeFetchResponseV5 = decodeFetchResponseV5;
+exports.decodeFetchResponseV7 = decodeFetchResponseV7;
 
 exports.encodeOffsetCommitRequest = encodeOffsetCommitRequest;
 exports.encodeOffsetCommitV1Request = encodeOffsetCommitV1Request;
@@ -1419,28 +3477,109 @@ exports.encodeOffsetFetchRequest = encodeOffsetFetchRequest;
 exports.encodeOffsetFetchV1Request = encodeOffsetFetchV1Request;
 exports.decodeOffsetFetchResponse = decodeOffsetFetchResponse;
 exports.decodeOffsetFetchV1Response = decodeOffsetFetchV1Response;
+exports.encodeOffsetFetchV2Request = encodeOffsetFetchV2Request;
+exports.decodeOffsetFetchV2Response = decodeOffsetFetchV2Response;
+exports.encodeOffsetFetchV3Request = encodeOffsetFetchV3Request;
+exports.decodeOffsetFetchV3Response = decodeOffsetFetchV3Response;
 exports.encodeMetadataRequest = encodeMetadataRequest;
 exports.decodeMetadataResponse = decodeMetadataResponse;
 exports.encodeMetadataV1Request = encodeMetadataV1Request;
 exports.decodeMetadataV1Response = decodeMetadataV1Response;
+exports.encodeMetadataV2Request = encodeMetadataV2Request;
+exports.decodeMetadataV2Response = decodeMetadataV2Response;
+exports.encodeMetadataV3Request = encodeMetadataV3Request;
+exports.decodeMetadataV3Response = decodeMetadataV3Response;
+exports.encodeMetadataV4Request = encodeMetadataV4Request;
+exports.encodeMetadataV5Request = encodeMetadataV5Request;
+exports.decodeMetadataV5Response = decodeMetadataV5Response;
 
 exports.encodeCreateTopicRequest = encodeCreateTopicRequest;
 exports.decodeCreateTopicResponse = decodeCreateTopicResponse;
+exports.encodeDeleteTopicsRequest = encodeDeleteTopicsRequest;
+exports.decodeDeleteTopicsResponse = decodeDeleteTopicsResponse;
+exports.encodeDeleteGroupsRequest = encodeDeleteGroupsRequest;
+exports.decodeDeleteGroupsResponse = decodeDeleteGroupsResponse;
+exports.encodeOffsetDeleteRequest = encodeOffsetDeleteRequest;
+exports.decodeOffsetDeleteResponse = decodeOffsetDeleteResponse;
+exports.encodeInitProducerIdRequest = encodeInitProducerIdRequest;
+exports.decodeInitProducerIdResponse = decodeInitProducerIdResponse;
+exports.encodeAddPartitionsToTxnRequest = encodeAddPartitionsToTxnRequest;
+exports.decodeAddPartitionsToTxnResponse = decodeAddPartitionsToTxnResponse;
+exports.encodeEndTxnRequest = encodeEndTxnRequest;
+exports.decodeEndTxnResponse = decodeEndTxnResponse;
+exports.encodeAddOffsetsToTxnRequest = encodeAddOffsetsToTxnRequest;
+exports.decodeAddOffsetsToTxnResponse = decodeAddOffsetsToTxnResponse;
+exports.encodeTxnOffsetCommitRequest = encodeTxnOffsetCommitRequest;
+exports.encodeTxnOffsetCommitV1Request = encodeTxnOffsetCommitV1Request;
+exports.encodeTxnOffsetCommitV2Request = encodeTxnOffsetCommitV2Request;
+exports.encodeTxnOffsetCommitV3Request = encodeTxnOffsetCommitV3Request;
+exports.decodeTxnOffsetCommitResponse = decodeTxnOffsetCommitResponse;
+exports.decodeTxnOffsetCommitV3Response = decodeTxnOffsetCommitV3Response;
+exports.encodeDeleteRecordsRequest = encodeDeleteRecordsRequest;
+exports.encodeDeleteRecordsV1Request = encodeDeleteRecordsV1Request;
+exports.decodeDeleteRecordsResponse = decodeDeleteRecordsResponse;
+exports.encodeCreatePartitionsRequest = encodeCreatePartitionsRequest;
+exports.decodeCreatePartitionsResponse = decodeCreatePartitionsResponse;
+exports.encodeDescribeConfigsRequest = encodeDescribeConfigsRequest;
+exports.encodeDescribeConfigsV1Request = encodeDescribeConfigsV1Request;
+exports.encodeDescribeConfigsV2Request = encodeDescribeConfigsV2Request;
+exports.decodeDescribeConfigsResponse = decodeDescribeConfigsResponse;
+exports.decodeDescribeConfigsV1Response = decodeDescribeConfigsV1Response;
+exports.encodeAlterConfigsRequest = encodeAlterConfigsRequest;
+exports.encodeIncrementalAlterConfigsRequest = encodeIncrementalAlterConfigsRequest;
+exports.decodeAlterConfigsResponse = decodeAlterConfigsResponse;
+exports.encodeDescribeAclsRequest = encodeDescribeAclsRequest;
+exports.encodeDescribeAclsV1Request = encodeDescribeAclsV1Request;
+exports.decodeDescribeAclsResponse = decodeDescribeAclsResponse;
+exports.decodeDescribeAclsV1Response = decodeDescribeAclsV1Response;
+exports.encodeCreateAclsRequest = encodeCreateAclsRequest;
+exports.encodeCreateAclsV1Request = encodeCreateAclsV1Request;
+exports.decodeCreateAclsResponse = decodeCreateAclsResponse;
+exports.encodeDeleteAclsRequest = encodeDeleteAclsRequest;
+exports.encodeDeleteAclsV1Request = encodeDeleteAclsV1Request;
+exports.decodeDeleteAclsResponse = decodeDeleteAclsResponse;
+exports.decodeDeleteAclsV1Response = decodeDeleteAclsV1Response;
 
 exports.encodeProduceRequest = encodeProduceRequest;
 exports.encodeProduceV1Request = encodeProduceV1Request;
 exports.encodeProduceV2Request = encodeProduceV2Request;
+exports.encodeProduceV3Request = encodeProduceV3Request;
+exports.encodeProduceV4Request = encodeProduceV4Request;
+exports.encodeProduceV5Request = encodeProduceV5Request;
+exports.encodeProduceV6Request = encodeProduceV6Request;
+exports.encodeProduceV7Request = encodeProduceV7Request;
 exports.decodeProduceResponse = decodeProduceResponse;
 exports.decodeProduceV1Response = decodeProduceV1Response;
 exports.decodeProduceV2Response = decodeProduceV2Response;
+exports.decodeProduceV5Response = decodeProduceV5Response;
 
 exports.encodeOffsetRequest = encodeOffsetRequest;
 exports.decodeOffsetResponse = decodeOffsetResponse;
+exports.encodeOffsetV1Request = encodeOffsetV1Request;
+exports.encodeOffsetV2Request = encodeOffsetV2Request;
+exports.decodeOffsetV1Response = decodeOffsetV1Response;
+exports.decodeOffsetV2Response = decodeOffsetV2Response;
+exports.encodeSaslHandshakeRequest = encodeSaslHandshakeRequest;
+exports.encodeSaslHandshakeV1Request = encodeSaslHandshakeV1Request;
+exports.decodeSaslHandshakeResponse = decodeSaslHandshakeResponse;
+exports.encodeSaslAuthenticateRequest = encodeSaslAuthenticateRequest;
+exports.decodeSaslAuthenticateResponse = decodeSaslAuthenticateResponse;
+exports.encodeSaslAuthenticateV1Request = encodeSaslAuthenticateV1Request;
+exports.decodeSaslAuthenticateV1Response = decodeSaslAuthenticateV1Response;
 exports.encodeMessageSet = encodeMessageSet;
+exports.decodeMessageSet = decodeMessageSet;
+exports.encodeRecordBatch = encodeRecordBatch;
+exports.encodeRecords = encodeRecords;
+exports.sizeOfRecord = sizeOfRecord;
+exports.getRecordTimestamp = getRecordTimestamp;
+exports.RECORD_BATCH_HEADER_SIZE = RECORD_BATCH_HEADER_SIZE;
+exports.normalizeHeaders = normalizeHeaders;
 exports.encodeJoinGroupRequest = encodeJoinGroupRequest;
 exports.decodeJoinGroupResponse = decodeJoinGroupResponse;
 exports.encodeGroupCoordinatorRequest = encodeGroupCoordinatorRequest;
 exports.decodeGroupCoordinatorResponse = decodeGroupCoordinatorResponse;
+exports.encodeGroupCoordinatorV1Request = encodeGroupCoordinatorV1Request;
+exports.decodeGroupCoordinatorV1Response = decodeGroupCoordinatorV1Response;
 exports.encodeGroupHeartbeatRequest = encodeGroupHeartbeatRequest;
 exports.decodeGroupHeartbeatResponse = decodeGroupHeartbeatResponse;
 exports.encodeSyncGroupRequest = encodeSyncGroupRequest;
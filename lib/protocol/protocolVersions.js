@@ -7,17 +7,47 @@ const API_MAP = {
   produce: [
     [p.encodeProduceRequest, p.decodeProduceResponse],
     [p.encodeProduceV1Request, p.decodeProduceV1Response],
-    [p.encodeProduceV2Request, p.decodeProduceV2Response]
+    [p.encodeProduceV2Request, p.decodeProduceV2Response],
+    // v3 switches to the record batch format (magic 2), the response is unchanged from v2
+    [p.encodeProduceV3Request, p.decodeProduceV2Response],
+    [p.encodeProduceV4Request, p.decodeProduceV2Response],
+    // v5 adds the log start offset to the response
+    [p.encodeProduceV5Request, p.decodeProduceV5Response],
+    [p.encodeProduceV6Request, p.decodeProduceV5Response],
+    // v7 is the first version brokers accept zstd compressed batches with
+    [p.encodeProduceV7Request, p.decodeProduceV5Response]
   ],
   fetch: [
     [p.encodeFetchRequest, p.decodeFetchResponse],
     [p.encodeFetchRequestV1, p.decodeFetchResponseV1],
-    [p.encodeFetchRequestV2, p.decodeFetchResponseV1]
+    [p.encodeFetchRequestV2, p.decodeFetchResponseV1],
+    [p.encodeFetchRequestV3, p.decodeFetchResponseV1],
+    // v4 can return record batches (magic 2) along with transaction information
+    [p.encodeFetchRequestV4, p.decodeFetchResponseV4],
+    // v5 adds the log start offset, v6 is unchanged
+    [p.encodeFetchRequestV5, p.decodeFetchResponseV5],
+    [p.encodeFetchRequestV6, p.decodeFetchResponseV5],
+    // v7 adds incremental fetch sessions, which are not used
+    [p.encodeFetchRequestV7, p.decodeFetchResponseV7],
+    [p.encodeFetchRequestV8, p.decodeFetchResponseV7],
+    // v9 adds the current leader epoch of the partitions, v10 is the first version brokers return zstd compressed
+    // batches to (Kafka 2.1), older fetches of zstd batches fail with UnsupportedCompressionType
+    [p.encodeFetchRequestV9, p.decodeFetchResponseV7],
+    [p.encodeFetchRequestV10, p.decodeFetchResponseV7]
+  ],
+  offset: [
+    [p.encodeOffsetRequest, p.decodeOffsetResponse],
+    // v1 looks up the exact offset for a timestamp, v2 adds the isolation level
+    [p.encodeOffsetV1Request, p.decodeOffsetV1Response],
+    [p.encodeOffsetV2Request, p.decodeOffsetV2Response]
   ],
-  offset: [[p.encodeOffsetRequest, p.decodeOffsetResponse]],
   metadata: [
     [p.encodeMetadataRequest, p.decodeMetadataResponse],
-    [p.encodeMetadataV1Request, p.decodeMetadataV1Response]
+    [p.encodeMetadataV1Request, p.decodeMetadataV1Response],
+    [p.encodeMetadataV2Request, p.decodeMetadataV2Response],
+    [p.encodeMetadataV3Request, p.decodeMetadataV3Response],
+    [p.encodeMetadataV4Request, p.decodeMetadataV3Response],
+    [p.encodeMetadataV5Request, p.decodeMetadataV5Response]
   ],
   leader: null,
   stopReplica: null,
@@ -31,19 +61,71 @@ const API_MAP = {
   ],
   offsetFetch: [
     [p.encodeOffsetFetchRequest, p.decodeOffsetFetchResponse],
-    [p.encodeOffsetFetchV1Request, p.decodeOffsetFetchV1Response]
+    [p.encodeOffsetFetchV1Request, p.decodeOffsetFetchV1Response],
+    [p.encodeOffsetFetchV2Request, p.decodeOffsetFetchV2Response],
+    [p.encodeOffsetFetchV3Request, p.decodeOffsetFetchV3Response]
+  ],
+  groupCoordinator: [
+    [p.encodeGroupCoordinatorRequest, p.decodeGroupCoordinatorResponse],
+    // v1 finds transaction coordinators too
+    [p.encodeGroupCoordinatorV1Request, p.decodeGroupCoordinatorV1Response]
   ],
-  groupCoordinator: [[p.encodeGroupCoordinatorRequest, p.decodeGroupCoordinatorResponse]],
   joinGroup: [[p.encodeJoinGroupRequest, p.decodeJoinGroupResponse]],
   heartbeat: [[p.encodeGroupHeartbeatRequest, p.decodeGroupHeartbeatResponse]],
   leaveGroup: [[p.encodeLeaveGroupRequest, p.decodeLeaveGroupResponse]],
   syncGroup: [[p.encodeJoinGroupRequest, p.decodeJoinGroupResponse]],
   describeGroups: [[p.encodeDescribeGroups, p.decodeDescribeGroups]],
   listGroups: [[p.encodeListGroups, p.decodeListGroups]],
-  saslHandshake: null,
+  saslHandshake: [
+    [p.encodeSaslHandshakeRequest, p.decodeSaslHandshakeResponse],
+    [p.encodeSaslHandshakeV1Request, p.decodeSaslHandshakeResponse]
+  ],
   apiVersions: [[p.encodeVersionsRequest, p.decodeVersionsResponse]],
   createTopics: null,
-  deleteTopics: null
+  deleteTopics: [[p.encodeDeleteTopicsRequest, p.decodeDeleteTopicsResponse]],
+  deleteRecords: [
+    [p.encodeDeleteRecordsRequest, p.decodeDeleteRecordsResponse],
+    [p.encodeDeleteRecordsV1Request, p.decodeDeleteRecordsResponse]
+  ],
+  initProducerId: [[p.encodeInitProducerIdRequest, p.decodeInitProducerIdResponse]],
+  addPartitionsToTxn: [[p.encodeAddPartitionsToTxnRequest, p.decodeAddPartitionsToTxnResponse]],
+  addOffsetsToTxn: [[p.encodeAddOffsetsToTxnRequest, p.decodeAddOffsetsToTxnResponse]],
+  endTxn: [[p.encodeEndTxnRequest, p.decodeEndTxnResponse]],
+  txnOffsetCommit: [
+    [p.encodeTxnOffsetCommitRequest, p.decodeTxnOffsetCommitResponse],
+    [p.encodeTxnOffsetCommitV1Request, p.decodeTxnOffsetCommitResponse],
+    // v2 adds the leader epoch of the committed offsets
+    [p.encodeTxnOffsetCommitV2Request, p.decodeTxnOffsetCommitResponse],
+    // v3 is a flexible version which adds the group generation and member id, the group coordinator rejects the
+    // offsets of members which were removed from the group (Kafka 2.5)
+    [p.encodeTxnOffsetCommitV3Request, p.decodeTxnOffsetCommitV3Response]
+  ],
+  describeAcls: [
+    [p.encodeDescribeAclsRequest, p.decodeDescribeAclsResponse],
+    [p.encodeDescribeAclsV1Request, p.decodeDescribeAclsV1Response]
+  ],
+  createAcls: [
+    [p.encodeCreateAclsRequest, p.decodeCreateAclsResponse],
+    [p.encodeCreateAclsV1Request, p.decodeCreateAclsResponse]
+  ],
+  deleteAcls: [
+    [p.encodeDeleteAclsRequest, p.decodeDeleteAclsResponse],
+    [p.encodeDeleteAclsV1Request, p.decodeDeleteAclsV1Response]
+  ],
+  describeConfigs: [
+    [p.encodeDescribeConfigsRequest, p.decodeDescribeConfigsResponse],
+    [p.encodeDescribeConfigsV1Request, p.decodeDescribeConfigsV1Response],
+    [p.encodeDescribeConfigsV2Request, p.decodeDescribeConfigsV1Response]
+  ],
+  alterConfigs: [[p.encodeAlterConfigsRequest, p.decodeAlterConfigsResponse]],
+  saslAuthenticate: [
+    [p.encodeSaslAuthenticateRequest, p.decodeSaslAuthenticateResponse],
+    [p.encodeSaslAuthenticateV1Request, p.decodeSaslAuthenticateV1Response]
+  ],
+  createPartitions: [[p.encodeCreatePartitionsRequest, p.decodeCreatePartitionsResponse]],
+  deleteGroups: [[p.encodeDeleteGroupsRequest, p.decodeDeleteGroupsResponse]],
+  incrementalAlterConfigs: [[p.encodeIncrementalAlterConfigsRequest, p.decodeAlterConfigsResponse]],
+  offsetDelete: [[p.encodeOffsetDeleteRequest, p.decodeOffsetDeleteResponse]]
 };
 
 // Since versions API isn't around until 0.10 we need to hardcode the supported API versions for 0.9 here
@@ -16,8 +16,8 @@ var KEYS = {
   OffsetCommitResponse: [],
   TopicAndPartition: ['topic', 'partition'],
   PartitionMetadata: ['topic', 'partition', 'leader', 'replicas', 'isr'],
-  Message: ['magic', 'attributes', 'key', 'value', 'timestamp'],
-  ProduceRequest: ['topic', 'partition', 'messages', 'attributes'],
+  Message: ['magic', 'attributes', 'key', 'value', 'timestamp', 'headers'],
+  ProduceRequest: ['topic', 'partition', 'messages', 'attributes', 'compressionLevel'],
   Request: ['payloads', 'encoder', 'decoder', 'callback']
 };
 
@@ -53,7 +53,35 @@ var ERROR_CODE = {
   '29': 'TopicAuthorizationFailed',
   '30': 'GroupAuthorizationFailed',
   '31': 'ClusterAuthorizationFailed',
-  '41': 'NotController'
+  '33': 'UnsupportedSaslMechanism',
+  '34': 'IllegalSaslState',
+  '35': 'UnsupportedVersion',
+  '37': 'InvalidPartitions',
+  '38': 'InvalidReplicationFactor',
+  '39': 'InvalidReplicaAssignment',
+  '40': 'InvalidConfig',
+  '41': 'NotController',
+  '42': 'InvalidRequest',
+  '44': 'PolicyViolation',
+  '45': 'OutOfOrderSequenceNumber',
+  '46': 'DuplicateSequenceNumber',
+  '47': 'InvalidProducerEpoch',
+  '48': 'InvalidTxnState',
+  '49': 'InvalidProducerIdMapping',
+  '50': 'InvalidTransactionTimeout',
+  '51': 'ConcurrentTransactions',
+  '52': 'TransactionCoordinatorFenced',
+  '53': 'TransactionalIdAuthorizationFailed',
+  '54': 'SecurityDisabled',
+  '55': 'OperationNotAttempted',
+  '58': 'SaslAuthenticationFailed',
+  '59': 'UnknownProducerId',
+  '68': 'NonEmptyGroup',
+  '69': 'GroupIdNotFound',
+  '73': 'TopicDeletionDisabled',
+  '76': 'UnsupportedCompressionType',
+  '86': 'GroupSubscribedToTopic',
+  '90': 'ProducerFenced'
 };
 
 var GROUP_ERROR = {
@@ -87,7 +115,97 @@ var REQUEST_TYPE = {
   saslHandshake: 17,
   apiVersions: 18,
   createTopics: 19,
-  deleteTopics: 20
+  deleteTopics: 20,
+  deleteRecords: 21,
+  initProducerId: 22,
+  addPartitionsToTxn: 24,
+  addOffsetsToTxn: 25,
+  endTxn: 26,
+  txnOffsetCommit: 28,
+  describeAcls: 29,
+  createAcls: 30,
+  deleteAcls: 31,
+  describeConfigs: 32,
+  alterConfigs: 33,
+  saslAuthenticate: 36,
+  createPartitions: 37,
+  deleteGroups: 42,
+  incrementalAlterConfigs: 44,
+  offsetDelete: 47
+};
+
+var ISOLATION_LEVEL = {
+  read_uncommitted: 0,
+  read_committed: 1
+};
+
+var CONFIG_RESOURCE_TYPES = {
+  topic: 2,
+  broker: 4
+};
+
+var CONFIG_SOURCES = {
+  unknown: 0,
+  topic: 1,
+  dynamicBroker: 2,
+  dynamicDefaultBroker: 3,
+  staticBroker: 4,
+  default: 5,
+  dynamicBrokerLogger: 6
+};
+
+var ACL_RESOURCE_TYPES = {
+  UNKNOWN: 0,
+  ANY: 1,
+  TOPIC: 2,
+  GROUP: 3,
+  CLUSTER: 4,
+  TRANSACTIONAL_ID: 5,
+  DELEGATION_TOKEN: 6
+};
+
+var ACL_RESOURCE_PATTERN_TYPES = {
+  UNKNOWN: 0,
+  ANY: 1,
+  MATCH: 2,
+  LITERAL: 3,
+  PREFIXED: 4
+};
+
+var ACL_OPERATION_TYPES = {
+  UNKNOWN: 0,
+  ANY: 1,
+  ALL: 2,
+  READ: 3,
+  WRITE: 4,
+  CREATE: 5,
+  DELETE: 6,
+  ALTER: 7,
+  DESCRIBE: 8,
+  CLUSTER_ACTION: 9,
+  DESCRIBE_CONFIGS: 10,
+  ALTER_CONFIGS: 11,
+  IDEMPOTENT_WRITE: 12
+};
+
+var ACL_PERMISSION_TYPES = {
+  UNKNOWN: 0,
+  ANY: 1,
+  DENY: 2,
+  ALLOW: 3
+};
+
+// key types of FindCoordinator v1+
+var COORDINATOR_TYPES = {
+  group: 0,
+  transaction: 1
+};
+
+var CONFIG_OPERATIONS = {
+  set: 0,
+  delete: 1,
+  append: 2,
+  subtract: 3
 };
 
 Object.keys(KEYS).forEach(function (o) {
@@ -97,6 +215,15 @@ exports.KEYS = KEYS;
 exports.ERROR_CODE = ERROR_CODE;
 exports.GROUP_ERROR = GROUP_ERROR;
 exports.REQUEST_TYPE = REQUEST_TYPE;
-exports.KeyedMessage = function KeyedMessage (key, value) {
-  exports.Message.call(this, 0, 0, key, value, Date.now());
+exports.ISOLATION_LEVEL = ISOLATION_LEVEL;
+exports.COORDINATOR_TYPES = COORDINATOR_TYPES;
+exports.CONFIG_RESOURCE_TYPES = CONFIG_RESOURCE_TYPES;
+exports.CONFIG_SOURCES = CONFIG_SOURCES;
+exports.CONFIG_OPERATIONS = CONFIG_OPERATIONS;
+exports.ACL_RESOURCE_TYPES = ACL_RESOURCE_TYPES;
+exports.ACL_RESOURCE_PATTERN_TYPES = ACL_RESOURCE_PATTERN_TYPES;
+exports.ACL_OPERATION_TYPES = ACL_OPERATION_TYPES;
+exports.ACL_PERMISSION_TYPES = ACL_PERMISSION_TYPES;
+exports.KeyedMessage = function KeyedMessage (key, value, headers) {
+  exports.Message.call(this, 0, 0, key, value, Date.now(), headers);
 };
@@ -0,0 +1,81 @@
+'use strict';
+
+/*
+ * Zigzag encoded variable length integers used by the v2 record format (magic 2)
+ *
+ * Arithmetic is used instead of bitwise operators so both varint (int32) and
+ * varlong (int64, up to Number.MAX_SAFE_INTEGER) values can share the same code.
+ */
+
+function zigzag (value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function unzigzag (value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+function sizeOfVarint (value) {
+  var encoded = zigzag(value);
+  var bytes = 1;
+  while (encoded >= 128) {
+    encoded = Math.floor(encoded / 128);
+    bytes++;
+  }
+  return bytes;
+}
+
+function encodeVarint (value) {
+  return encodeUnsignedVarint(zigzag(value));
+}
+
+// unsigned varints are the lengths of the compact strings and arrays of the flexible request versions (KIP-482)
+function encodeUnsignedVarint (value) {
+  var bytes = [];
+  while (value >= 128) {
+    bytes.push((value % 128) | 128);
+    value = Math.floor(value / 128);
+  }
+  bytes.push(value);
+  return Buffer.from(bytes);
+}
+
+/**
+ * Reads a zigzag varint from the buffer
+ *
+ * @param {Buffer} buffer
+ * @param {Number} offset
+ * @returns {{value: Number, length: Number}} the decoded value and the number of bytes read
+ */
+function decodeVarint (buffer, offset) {
+  var result = decodeUnsignedVarint(buffer, offset);
+  result.value = unzigzag(result.value);
+  return result;
+}
+
+function decodeUnsignedVarint (buffer, offset) {
+  var value = 0;
+  var multiplier = 1;
+  var length = 0;
+  var byte;
+
+  do {
+    if (offset + length >= buffer.length) {
+      throw new RangeError('Truncated varint at offset ' + offset);
+    }
+    byte = buffer[offset + length++];
+    value += (byte & 127) * multiplier;
+    multiplier *= 128;
+  } while (byte & 128);
+
+  return {
+    value: value,
+    length: length
+  };
+}
+
+exports.sizeOfVarint = sizeOfVarint;
+exports.encodeVarint = encodeVarint;
+exports.decodeVarint = decodeVarint;
+exports.encodeUnsignedVarint = encodeUnsignedVarint;
+exports.decodeUnsignedVarint = decodeUnsignedVarint;
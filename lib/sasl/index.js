@@ -0,0 +1,168 @@
+'use strict';
+
+const logger = require('../logging')('kafka-node:Sasl');
+const protocol = require('../protocol');
+const apiMap = require('../protocol/protocolVersions').apiMap;
+const InvalidConfigError = require('../errors/InvalidConfigError');
+const SaslAuthenticationError = require('../errors/SaslAuthenticationError');
+const TimeoutError = require('../errors/TimeoutError');
+const PlainMechanism = require('./plain');
+const scram = require('./scram');
+const OAuthBearerMechanism = require('./oauthbearer');
+
+const MECHANISMS = {
+  plain: PlainMechanism,
+  'scram-sha-256': scram.ScramSha256Mechanism,
+  'scram-sha-512': scram.ScramSha512Mechanism,
+  oauthbearer: OAuthBearerMechanism
+};
+
+function getMechanism (options) {
+  const mechanism = options && typeof options.mechanism === 'string' ? options.mechanism.toLowerCase() : null;
+  if (!MECHANISMS.hasOwnProperty(mechanism)) {
+    throw new InvalidConfigError(
+      `sasl.mechanism ${options && options.mechanism} should be either: ${Object.keys(MECHANISMS).join(', ')}`
+    );
+  }
+  return MECHANISMS[mechanism];
+}
+
+/**
+ * Throws an InvalidConfigError when the sasl options can not be used
+ *
+ * @param {Object} options the sasl option of the KafkaClient
+ */
+function validateOptions (options) {
+  getMechanism(options).validateOptions(options);
+}
+
+/**
+ * Authenticates a newly connected broker socket, this happens after ApiVersions and before any other request
+ *
+ * @param {KafkaClient} client
+ * @param {BrokerWrapper} broker
+ * @param {Object} apiSupport the versions supported by the broker, null when unknown
+ * @param {Function} callback called with a SaslAuthenticationError when authentication failed, otherwise with the
+ *      session lifetime in ms after which the broker has to be authenticated again (0 when sessions do not expire)
+ */
+function authenticate (client, broker, apiSupport, callback) {
+  const Mechanism = getMechanism(client.options.sasl);
+  const mechanism = new Mechanism(client.options.sasl);
+  const handshakeVersion = apiSupport && apiSupport.saslHandshake ? apiSupport.saslHandshake.usable || 0 : 0;
+  const authenticateVersion = apiSupport && apiSupport.saslAuthenticate ? apiSupport.saslAuthenticate.usable || 0 : 0;
+  const useAuthenticateRequest = handshakeVersion >= 1;
+  let sessionLifetimeMs = 0;
+
+  logger.debug(`Authenticating to ${broker.socket.addr} using SASL/${mechanism.name}`);
+
+  const handshake = handshakeVersion >= 1 ? protocol.encodeSaslHandshakeV1Request : protocol.encodeSaslHandshakeRequest;
+  sendRequest(client, broker, handshake, protocol.decodeSaslHandshakeResponse, [mechanism.name], (error, response) => {
+    if (error) {
+      return callback(new SaslAuthenticationError(`SASL handshake failed: ${error.message}`));
+    }
+
+    if (response.errorCode !== 0) {
+      return callback(
+        new SaslAuthenticationError(
+          `SASL mechanism ${mechanism.name} is not enabled, the broker supports: ${response.mechanisms.join(', ')}`,
+          response.errorCode
+        )
+      );
+    }
+
+    mechanism.initialResponse((error, authBytes) => {
+      if (error) {
+        return callback(error);
+      }
+      exchange(authBytes);
+    });
+  });
+
+  function exchange (authBytes) {
+    const send = useAuthenticateRequest ? sendAuthenticateRequest : sendFrame;
+    send(client, broker, authBytes, authenticateVersion, (error, challenge, lifetimeMs) => {
+      if (error) {
+        return callback(error);
+      }
+      sessionLifetimeMs = lifetimeMs || 0;
+
+      mechanism.evaluateChallenge(challenge, (error, response) => {
+        if (error) {
+          return callback(error);
+        }
+
+        if (response == null) {
+          logger.debug(`Authenticated to ${broker.socket.addr} using SASL/${mechanism.name}`);
+          return callback(null, sessionLifetimeMs);
+        }
+        exchange(response);
+      });
+    });
+  }
+}
+
+function sendRequest (client, broker, encoder, decoder, args, callback) {
+  const correlationId = client.nextId();
+  const request = encoder.apply(null, [client.clientId, correlationId].concat(args));
+
+  client.queueCallback(broker.socket, correlationId, [decoder, callback]);
+  broker.write(request);
+}
+
+function sendAuthenticateRequest (client, broker, authBytes, version, callback) {
+  const coder = apiMap.saslAuthenticate[version];
+  sendRequest(
+    client,
+    broker,
+    coder[0],
+    coder[1],
+    [authBytes],
+    (error, response) => {
+      if (error) {
+        return callback(new SaslAuthenticationError(`SASL authentication failed: ${error.message}`));
+      }
+
+      if (response.errorCode !== 0) {
+        return callback(
+          new SaslAuthenticationError(
+            response.errorMessage || protocol.ERROR_CODE[response.errorCode],
+            response.errorCode
+          )
+        );
+      }
+
+      callback(null, response.authBytes, response.sessionLifetimeMs);
+    }
+  );
+}
+
+// Before SaslAuthenticate (Kafka 1.0) the authentication bytes are exchanged as size prefixed frames without a
+// request header, a broker rejecting the credentials closes the connection
+function sendFrame (client, broker, authBytes, version, callback) {
+  const socket = broker.socket;
+  const timeout = client.options.requestTimeout;
+
+  const timeoutId = timeout
+    ? setTimeout(() => {
+      onFrame(new TimeoutError(`Request timed out after ${timeout}ms`));
+    }, timeout)
+    : null;
+
+  function onFrame (error, frame) {
+    clearTimeout(timeoutId);
+    socket.saslFrameCallback = null;
+    if (error) {
+      return callback(new SaslAuthenticationError(`SASL authentication failed: ${error.message}`));
+    }
+    callback(null, frame);
+  }
+
+  socket.saslFrameCallback = onFrame;
+
+  const size = Buffer.alloc(4);
+  size.writeInt32BE(authBytes.length);
+  broker.write(Buffer.concat([size, authBytes]));
+}
+
+exports.validateOptions = validateOptions;
+exports.authenticate = authenticate;
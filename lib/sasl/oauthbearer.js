@@ -0,0 +1,87 @@
+'use strict';
+
+var InvalidConfigError = require('../errors/InvalidConfigError');
+var SaslAuthenticationError = require('../errors/SaslAuthenticationError');
+
+// separates the key value pairs of the client initial response (RFC 7628)
+var SEPARATOR = '\x01';
+var EXTENSION_KEY = /^[A-Za-z]+$/;
+var EXTENSION_VALUE = /^[\x21-\x7E \t\r\n]+$/;
+
+/**
+ * SASL/OAUTHBEARER (RFC 7628), the token is fetched from the tokenProvider every time a broker is authenticated
+ *
+ * @param {Object} options
+ * @param {Function} options.tokenProvider returns a promise of `{ value, extensions }` where value is the bearer
+ *      token and extensions an optional object of SASL extensions
+ * @constructor
+ */
+function OAuthBearerMechanism (options) {
+  this.tokenProvider = options.tokenProvider;
+}
+
+OAuthBearerMechanism.prototype.name = 'OAUTHBEARER';
+
+OAuthBearerMechanism.prototype.initialResponse = function (callback) {
+  var token;
+  try {
+    token = Promise.resolve(this.tokenProvider());
+  } catch (error) {
+    return callback(tokenProviderError(error));
+  }
+
+  token.then(
+    function (token) {
+      var response;
+      try {
+        response = clientInitialResponse(token);
+      } catch (error) {
+        return callback(error);
+      }
+      callback(null, response);
+    },
+    function (error) {
+      callback(tokenProviderError(error));
+    }
+  );
+};
+
+OAuthBearerMechanism.prototype.evaluateChallenge = function (challenge, callback) {
+  // a successful authentication has an empty response, otherwise the broker sends a JSON error status
+  if (challenge && challenge.length) {
+    return callback(new SaslAuthenticationError('OAUTHBEARER authentication failed: ' + challenge.toString()));
+  }
+  callback(null, null);
+};
+
+OAuthBearerMechanism.validateOptions = function (options) {
+  if (typeof options.tokenProvider !== 'function') {
+    throw new InvalidConfigError('SASL/OAUTHBEARER requires a sasl.tokenProvider function');
+  }
+};
+
+function tokenProviderError (error) {
+  return new SaslAuthenticationError('OAUTHBEARER token provider failed: ' + (error && error.message));
+}
+
+function clientInitialResponse (token) {
+  if (token == null || typeof token.value !== 'string' || !token.value) {
+    throw new SaslAuthenticationError('OAUTHBEARER token provider must return an object with a token value');
+  }
+
+  var extensions = Object.keys(token.extensions || {}).map(function (key) {
+    var value = String(token.extensions[key]);
+    if (key === 'auth' || !EXTENSION_KEY.test(key) || !EXTENSION_VALUE.test(value)) {
+      throw new SaslAuthenticationError('OAUTHBEARER extension ' + key + ' is invalid');
+    }
+    return key + '=' + value;
+  });
+
+  var message = ['n,,', 'auth=Bearer ' + token.value]
+    .concat(extensions)
+    .join(SEPARATOR);
+
+  return Buffer.from(message + SEPARATOR + SEPARATOR);
+}
+
+module.exports = OAuthBearerMechanism;
@@ -0,0 +1,36 @@
+'use strict';
+
+var InvalidConfigError = require('../errors/InvalidConfigError');
+
+/**
+ * SASL/PLAIN (RFC 4616), the credentials are sent in a single message
+ *
+ * @param {Object} options
+ * @param {String} options.username
+ * @param {String} options.password
+ * @constructor
+ */
+function PlainMechanism (options) {
+  this.username = options.username;
+  this.password = options.password;
+}
+
+PlainMechanism.prototype.name = 'PLAIN';
+
+PlainMechanism.prototype.initialResponse = function (callback) {
+  // authorization identity (empty), authentication identity and password separated by NUL
+  callback(null, Buffer.from(['', this.username, this.password].join('\0')));
+};
+
+PlainMechanism.prototype.evaluateChallenge = function (challenge, callback) {
+  // the broker does not send a challenge, authentication is complete
+  callback(null, null);
+};
+
+PlainMechanism.validateOptions = function (options) {
+  if (typeof options.username !== 'string' || typeof options.password !== 'string') {
+    throw new InvalidConfigError('SASL/PLAIN requires sasl.username and sasl.password');
+  }
+};
+
+module.exports = PlainMechanism;
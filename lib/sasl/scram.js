@@ -0,0 +1,164 @@
+'use strict';
+
+var crypto = require('crypto');
+var util = require('util');
+var InvalidConfigError = require('../errors/InvalidConfigError');
+var SaslAuthenticationError = require('../errors/SaslAuthenticationError');
+
+// gs2 header without channel binding or authorization identity
+var GS2_HEADER = 'n,,';
+var NONCE_BYTES = 24;
+// the lowest iteration count accepted by Kafka brokers, anything below is a downgrade attempt
+var MIN_ITERATIONS = 4096;
+
+/**
+ * SASL/SCRAM (RFC 5802), the password never leaves the client and the broker proves it knows the salted password
+ *
+ * @param {Object} options
+ * @param {String} options.username
+ * @param {String} options.password
+ * @param {String} digest the hash function, sha256 or sha512
+ * @constructor
+ */
+function ScramMechanism (options, digest) {
+  this.username = options.username;
+  this.password = options.password;
+  this.digest = digest;
+  this.keyLength = crypto.createHash(digest).digest().length;
+  this.clientNonce = null;
+  this.clientFirstMessageBare = null;
+  this.serverSignature = null;
+}
+
+ScramMechanism.prototype.initialResponse = function (callback) {
+  this.clientNonce = crypto.randomBytes(NONCE_BYTES).toString('base64');
+  this.clientFirstMessageBare = 'n=' + saslName(this.username) + ',r=' + this.clientNonce;
+  callback(null, Buffer.from(GS2_HEADER + this.clientFirstMessageBare));
+};
+
+ScramMechanism.prototype.evaluateChallenge = function (challenge, callback) {
+  if (this.serverSignature == null) {
+    this.clientFinalMessage(challenge.toString(), callback);
+  } else {
+    this.verifyServerFinalMessage(challenge.toString(), callback);
+  }
+};
+
+ScramMechanism.prototype.clientFinalMessage = function (serverFirstMessage, callback) {
+  var self = this;
+  var attributes = parseAttributes(serverFirstMessage);
+
+  if (attributes.e) {
+    return callback(new SaslAuthenticationError('SCRAM authentication failed: ' + attributes.e));
+  }
+
+  var nonce = attributes.r;
+  var iterations = parseInt(attributes.i, 10);
+
+  if (!nonce || nonce.indexOf(this.clientNonce) !== 0 || nonce.length === this.clientNonce.length) {
+    return callback(new SaslAuthenticationError('SCRAM server nonce does not extend the client nonce'));
+  }
+
+  if (!attributes.s || !(iterations >= MIN_ITERATIONS)) {
+    return callback(new SaslAuthenticationError('SCRAM server sent an invalid salt or iteration count'));
+  }
+
+  crypto.pbkdf2(
+    this.password,
+    Buffer.from(attributes.s, 'base64'),
+    iterations,
+    this.keyLength,
+    this.digest,
+    function (error, saltedPassword) {
+      if (error) {
+        return callback(error);
+      }
+
+      var clientFinalMessageWithoutProof = 'c=' + Buffer.from(GS2_HEADER).toString('base64') + ',r=' + nonce;
+      var authMessage = [self.clientFirstMessageBare, serverFirstMessage, clientFinalMessageWithoutProof].join(',');
+
+      var clientKey = self.hmac(saltedPassword, 'Client Key');
+      var storedKey = crypto.createHash(self.digest).update(clientKey).digest();
+      var clientSignature = self.hmac(storedKey, authMessage);
+      var clientProof = xor(clientKey, clientSignature);
+
+      self.serverSignature = self.hmac(self.hmac(saltedPassword, 'Server Key'), authMessage);
+
+      callback(null, Buffer.from(clientFinalMessageWithoutProof + ',p=' + clientProof.toString('base64')));
+    }
+  );
+};
+
+ScramMechanism.prototype.verifyServerFinalMessage = function (serverFinalMessage, callback) {
+  var attributes = parseAttributes(serverFinalMessage);
+
+  if (attributes.e) {
+    return callback(new SaslAuthenticationError('SCRAM authentication failed: ' + attributes.e));
+  }
+
+  var serverSignature = Buffer.from(attributes.v || '', 'base64');
+  if (
+    serverSignature.length !== this.serverSignature.length ||
+    !crypto.timingSafeEqual(serverSignature, this.serverSignature)
+  ) {
+    return callback(new SaslAuthenticationError('SCRAM server signature does not match, the broker is not trusted'));
+  }
+
+  // authentication is complete
+  callback(null, null);
+};
+
+ScramMechanism.prototype.hmac = function (key, data) {
+  return crypto
+    .createHmac(this.digest, key)
+    .update(data)
+    .digest();
+};
+
+ScramMechanism.validateOptions = function (options) {
+  if (typeof options.username !== 'string' || typeof options.password !== 'string') {
+    throw new InvalidConfigError('SASL/SCRAM requires sasl.username and sasl.password');
+  }
+};
+
+function ScramSha256Mechanism (options) {
+  ScramMechanism.call(this, options, 'sha256');
+}
+
+util.inherits(ScramSha256Mechanism, ScramMechanism);
+ScramSha256Mechanism.prototype.name = 'SCRAM-SHA-256';
+ScramSha256Mechanism.validateOptions = ScramMechanism.validateOptions;
+
+function ScramSha512Mechanism (options) {
+  ScramMechanism.call(this, options, 'sha512');
+}
+
+util.inherits(ScramSha512Mechanism, ScramMechanism);
+ScramSha512Mechanism.prototype.name = 'SCRAM-SHA-512';
+ScramSha512Mechanism.validateOptions = ScramMechanism.validateOptions;
+
+// ',' and '=' are reserved in SCRAM messages and have to be escaped in the username
+function saslName (username) {
+  return username.replace(/=/g, '=3D').replace(/,/g, '=2C');
+}
+
+function parseAttributes (message) {
+  return message.split(',').reduce(function (attributes, attribute) {
+    var index = attribute.indexOf('=');
+    if (index > 0) {
+      attributes[attribute.slice(0, index)] = attribute.slice(index + 1);
+    }
+    return attributes;
+  }, {});
+}
+
+function xor (a, b) {
+  var result = Buffer.alloc(a.length);
+  for (var i = 0; i < a.length; i++) {
+    result[i] = a[i] ^ b[i];
+  }
+  return result;
+}
+
+exports.ScramSha256Mechanism = ScramSha256Mechanism;
+exports.ScramSha512Mechanism = ScramSha512Mechanism;
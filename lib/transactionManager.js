@@ -0,0 +1,322 @@
+'use strict';
+
+const async = require('async');
+const _ = require('lodash');
+const logger = require('./logging')('kafka-node:TransactionManager');
+const COORDINATOR_TYPES = require('./protocol').COORDINATOR_TYPES;
+const ProducerFencedError = require('./errors/ProducerFencedError');
+const ProduceError = require('./errors/ProduceError');
+const GroupCoordinatorNotAvailable = require('./errors/GroupCoordinatorNotAvailableError');
+const NotCoordinatorForGroup = require('./errors/NotCoordinatorForGroupError');
+const GroupLoadInProgress = require('./errors/GroupLoadInProgressError');
+const BrokerNotAvailableError = require('./errors/BrokerNotAvailableError');
+const TimeoutError = require('./errors/TimeoutError');
+
+const DEFAULTS = {
+  transactionTimeoutMs: 60000,
+  retries: 5
+};
+
+const RETRY_BACKOFF_MS = 100;
+
+const STATES = {
+  UNINITIALIZED: 'uninitialized',
+  READY: 'ready',
+  IN_TRANSACTION: 'inTransaction',
+  COMMITTING: 'committing',
+  ABORTING: 'aborting',
+  // a send failed, the transaction can only be aborted
+  ABORTABLE_ERROR: 'abortableError',
+  // another producer with the same transactional id was initialized
+  FENCED: 'fenced'
+};
+
+// the coordinator moved or is loading the transaction log, or the previous transaction is still being completed
+const COORDINATOR_ERRORS = [GroupCoordinatorNotAvailable, NotCoordinatorForGroup, BrokerNotAvailableError];
+const RETRIABLE_ERRORS = COORDINATOR_ERRORS.concat(GroupLoadInProgress, TimeoutError);
+const FENCING_ERRORS = ['InvalidProducerEpoch', 'ProducerFenced', 'TransactionCoordinatorFenced'];
+
+function isErrorInstanceOf (error, errors) {
+  return errors.some(function (errorClass) {
+    return error instanceof errorClass;
+  });
+}
+
+function isRetriable (error) {
+  return isErrorInstanceOf(error, RETRIABLE_ERRORS) || error.message === 'ConcurrentTransactions';
+}
+
+/**
+ * Keeps the state of the transactions of a producer and sends the transaction requests to the transaction
+ * coordinator of its transactional id (Kafka 0.11+)
+ *
+ * @param {KafkaClient} client
+ * @param {Object} options
+ * @param {String} options.transactionalId
+ * @param {Number} [options.transactionTimeoutMs=60000] The time the coordinator waits for a transaction to complete
+ *      before aborting it
+ * @param {Number} [options.retries=5] The number of times a request is sent again after a retriable error
+ * @constructor
+ */
+function TransactionManager (client, options) {
+  this.client = client;
+  this.transactionalId = options.transactionalId;
+  this.transactionTimeoutMs =
+    options.transactionTimeoutMs === undefined ? DEFAULTS.transactionTimeoutMs : options.transactionTimeoutMs;
+  this.retries = options.retries === undefined ? DEFAULTS.retries : options.retries;
+
+  this.state = STATES.UNINITIALIZED;
+  this.error = null;
+  // broker ids of the coordinators by coordinator type and key
+  this.coordinators = Object.create(null);
+  this.producerIdentity = null;
+  // topic:partition keys of the partitions added to the ongoing transaction
+  this.partitions = Object.create(null);
+  // ids of the consumer groups whose offsets are committed by the ongoing transaction
+  this.groups = Object.create(null);
+  // the producer id has to be renewed after an aborted transaction whose batches may have been appended
+  this.renewProducerId = false;
+}
+
+TransactionManager.prototype.initTransactions = function (callback) {
+  if (this.state !== STATES.UNINITIALIZED) {
+    return callback(this.stateError('initTransactions'));
+  }
+  this.initProducerId(callback);
+};
+
+TransactionManager.prototype.initProducerId = function (callback) {
+  // a new epoch fences the previous producers of the transactional id and aborts their ongoing transaction
+  this.sendToCoordinator('initProducerId', [this.transactionalId, this.transactionTimeoutMs], (error, identity) => {
+    if (error) {
+      return callback(this.fail(error));
+    }
+    logger.debug('producer id %d epoch %d for %s', identity.producerId, identity.producerEpoch, this.transactionalId);
+    this.producerIdentity = identity;
+    this.renewProducerId = false;
+    this.state = STATES.READY;
+    callback(null);
+  });
+};
+
+TransactionManager.prototype.beginTransaction = function () {
+  if (this.state !== STATES.READY) {
+    throw this.stateError('beginTransaction');
+  }
+  this.state = STATES.IN_TRANSACTION;
+  this.partitions = Object.create(null);
+  this.groups = Object.create(null);
+};
+
+/**
+ * Adds the partitions of produce requests to the ongoing transaction, partitions are added once per transaction
+ *
+ * @param {Array.<ProduceRequest>} requests
+ * @param {Function} callback
+ */
+TransactionManager.prototype.addPartitions = function (requests, callback) {
+  if (this.state !== STATES.IN_TRANSACTION) {
+    return callback(this.stateError('send'));
+  }
+
+  const added = requests.filter(request => !this.partitions[partitionKey(request)]);
+  if (added.length === 0) {
+    return callback(null);
+  }
+
+  const topicPartitions = _.map(_.groupBy(added, 'topic'), (requests, topic) => ({
+    topic: topic,
+    partitions: _.map(requests, 'partition')
+  }));
+
+  this.sendToCoordinator(
+    'addPartitionsToTxn',
+    [this.transactionalId, this.producerIdentity, topicPartitions],
+    error => {
+      if (error) {
+        return callback(this.fail(error));
+      }
+      added.forEach(request => {
+        this.partitions[partitionKey(request)] = true;
+      });
+      callback(null);
+    }
+  );
+};
+
+/**
+ * Commits the offsets of a consumer group when the ongoing transaction is committed. The group coordinator rejects
+ * the offsets when the member left the group or the group rebalanced (Kafka 2.5+)
+ *
+ * @param {Array.<{topic: String, partition: Number, offset: Number, metadata: String}>} offsets the offsets of the
+ *      next messages to consume
+ * @param {{groupId: String, generationId: Number, memberId: String}} group
+ * @param {Function} callback
+ */
+TransactionManager.prototype.sendOffsets = function (offsets, group, callback) {
+  if (this.state !== STATES.IN_TRANSACTION) {
+    return callback(this.stateError('sendOffsetsToTransaction'));
+  }
+
+  async.series(
+    [
+      callback => {
+        if (this.groups[group.groupId]) {
+          return callback(null);
+        }
+        this.sendToCoordinator(
+          'addOffsetsToTxn',
+          [this.transactionalId, this.producerIdentity, group.groupId],
+          error => {
+            if (!error) {
+              this.groups[group.groupId] = true;
+            }
+            callback(error);
+          }
+        );
+      },
+      callback =>
+        this.sendToGroupCoordinator(
+          group.groupId,
+          'txnOffsetCommit',
+          [this.transactionalId, group.groupId, this.producerIdentity, group, offsets],
+          callback
+        )
+    ],
+    error => callback(error ? this.fail(error) : null)
+  );
+};
+
+TransactionManager.prototype.commitTransaction = function (callback) {
+  if (this.state === STATES.ABORTABLE_ERROR) {
+    return callback(new Error('The transaction has to be aborted after the error: ' + this.error.message));
+  }
+  if (this.state !== STATES.IN_TRANSACTION) {
+    return callback(this.stateError('commitTransaction'));
+  }
+  this.endTransaction(true, callback);
+};
+
+TransactionManager.prototype.abortTransaction = function (callback) {
+  if (this.state !== STATES.IN_TRANSACTION && this.state !== STATES.ABORTABLE_ERROR) {
+    return callback(this.stateError('abortTransaction'));
+  }
+  this.renewProducerId = this.state === STATES.ABORTABLE_ERROR;
+  this.endTransaction(false, callback);
+};
+
+TransactionManager.prototype.endTransaction = function (committed, callback) {
+  const previousState = this.state;
+
+  const done = error => {
+    if (error) {
+      return callback(error);
+    }
+    this.state = STATES.READY;
+    this.partitions = Object.create(null);
+    this.groups = Object.create(null);
+    this.error = null;
+    if (this.renewProducerId) {
+      return this.initProducerId(callback);
+    }
+    callback(null);
+  };
+
+  // the coordinator does not know transactions without partitions or offsets
+  if (_.isEmpty(this.partitions) && _.isEmpty(this.groups)) {
+    return done(null);
+  }
+
+  this.state = committed ? STATES.COMMITTING : STATES.ABORTING;
+  this.sendToCoordinator('endTxn', [this.transactionalId, this.producerIdentity, committed], error => {
+    if (error) {
+      this.state = previousState;
+      return done(this.fail(error));
+    }
+    done(null);
+  });
+};
+
+/**
+ * Marks the ongoing transaction as failed, it can only be aborted afterwards. Fencing errors are fatal.
+ *
+ * @param {Error} error
+ * @returns {Error} the error to return to the caller
+ */
+TransactionManager.prototype.fail = function (error) {
+  // the produce requests fail with the errors of their partitions
+  const causes = error instanceof ProduceError ? _.map(error.errors, 'error') : [error];
+  if (causes.some(cause => _.includes(FENCING_ERRORS, cause.message))) {
+    this.state = STATES.FENCED;
+    this.error = new ProducerFencedError(
+      `The producer was fenced by another producer with the transactional id ${this.transactionalId}: ${error.message}`
+    );
+    return this.error;
+  }
+
+  if (this.state === STATES.IN_TRANSACTION) {
+    this.state = STATES.ABORTABLE_ERROR;
+    this.error = error;
+  }
+  return error;
+};
+
+TransactionManager.prototype.stateError = function (operation) {
+  if (this.state === STATES.FENCED) {
+    return this.error;
+  }
+  return new Error(`Cannot ${operation} when the transaction state is ${this.state}`);
+};
+
+TransactionManager.prototype.sendToCoordinator = function (requestType, args, callback) {
+  this.sendToCoordinatorOf(this.transactionalId, COORDINATOR_TYPES.transaction, requestType, args, callback);
+};
+
+TransactionManager.prototype.sendToGroupCoordinator = function (groupId, requestType, args, callback) {
+  this.sendToCoordinatorOf(groupId, COORDINATOR_TYPES.group, requestType, args, callback);
+};
+
+TransactionManager.prototype.sendToCoordinatorOf = function (key, coordinatorType, requestType, args, callback) {
+  const coordinatorKey = coordinatorType + ':' + key;
+
+  async.retry(
+    { times: this.retries + 1, interval: RETRY_BACKOFF_MS, errorFilter: isRetriable },
+    callback => {
+      this.findCoordinator(key, coordinatorType, (error, coordinatorId) => {
+        if (error) {
+          return callback(error);
+        }
+        this.client.sendRequestToBroker(coordinatorId, requestType, args, (error, result) => {
+          if (error && isErrorInstanceOf(error, COORDINATOR_ERRORS)) {
+            delete this.coordinators[coordinatorKey];
+          }
+          callback(error, result);
+        });
+      });
+    },
+    callback
+  );
+};
+
+TransactionManager.prototype.findCoordinator = function (key, coordinatorType, callback) {
+  const coordinatorKey = coordinatorType + ':' + key;
+  if (this.coordinators[coordinatorKey] != null) {
+    return callback(null, this.coordinators[coordinatorKey]);
+  }
+
+  this.client.sendRequestToBroker(undefined, 'groupCoordinator', [key, coordinatorType], (error, coordinator) => {
+    if (error) {
+      return callback(error);
+    }
+    this.coordinators[coordinatorKey] = coordinator.coordinatorId;
+    callback(null, coordinator.coordinatorId);
+  });
+};
+
+function partitionKey (request) {
+  return request.topic + ':' + request.partition;
+}
+
+TransactionManager.STATES = STATES;
+
+module.exports = TransactionManager;
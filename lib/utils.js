@@ -1,5 +1,6 @@
 var assert = require('assert');
 var InvalidConfigError = require('./errors/InvalidConfigError');
+var ISOLATION_LEVEL = require('./protocol/protocol_struct').ISOLATION_LEVEL;
 var legalChars = new RegExp('^[a-zA-Z0-9._-]*$');
 const allowedTopicLength = 249;
 
@@ -9,6 +10,14 @@ function validateConfig (property, value) {
   }
 }
 
+function validateIsolationLevel (isolationLevel) {
+  if (isolationLevel != null && !ISOLATION_LEVEL.hasOwnProperty(isolationLevel)) {
+    throw new InvalidConfigError(
+      `isolationLevel ${isolationLevel} should be either: ${Object.keys(ISOLATION_LEVEL).join(', ')}`
+    );
+  }
+}
+
 function validateTopicNames (topics) {
   // Rewriting same validations done by Apache Kafka team for topics
   // iterating over topics
@@ -99,10 +108,61 @@ function createTopicPartitionList (topicPartitions) {
   return tpList;
 }
 
+/*
+Converts the Buffer values of record headers using the consumer's encoding:
+
+  { traceId: <Buffer 61 62>, tenant: [<Buffer 61>, <Buffer 62>] }
+
+Into:
+
+  { traceId: 'ab', tenant: ['a', 'b'] }
+*/
+function decodeHeaders (encoding, headers) {
+  function decode (value) {
+    if (encoding !== 'buffer' && value != null) {
+      return value.toString(encoding);
+    }
+    return value;
+  }
+
+  return Object.keys(headers).reduce(function (result, key) {
+    result[key] = Array.isArray(headers[key]) ? headers[key].map(decode) : decode(headers[key]);
+    return result;
+  }, {});
+}
+
+function valueSize (value) {
+  if (value == null) {
+    return 0;
+  }
+  if (Buffer.isBuffer(value)) {
+    return value.length;
+  }
+  return Buffer.byteLength(typeof value === 'string' ? value : value.toString());
+}
+
+// the bytes of the keys and values of messages
+function messagesSize (messages) {
+  return messages.reduce(function (size, message) {
+    return size + valueSize(message.key) + valueSize(message.value);
+  }, 0);
+}
+
+// the Error of a partition of a produce response error, see createProduceError of the protocol
+function createPartitionError (partitionError) {
+  const error = new Error(partitionError.error);
+  error.errorCode = partitionError.errorCode;
+  return error;
+}
+
 module.exports = {
   validateConfig: validateConfig,
   validateTopics: validateTopics,
   groupPartitionsByTopic: groupPartitionsByTopic,
   createTopicPartitionList: createTopicPartitionList,
-  validateTopicNames: validateTopicNames
+  validateTopicNames: validateTopicNames,
+  validateIsolationLevel: validateIsolationLevel,
+  decodeHeaders: decodeHeaders,
+  messagesSize: messagesSize,
+  createPartitionError: createPartitionError
 };
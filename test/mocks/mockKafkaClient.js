@@ -0,0 +1,11 @@
+var util = require('util');
+var KafkaClient = require('../../lib/kafkaClient');
+var FakeClient = require('./mockClient');
+
+// a FakeClient which is a KafkaClient for the producers requiring one, stub the requests a test sends
+function FakeKafkaClient () {
+  FakeClient.call(this);
+}
+util.inherits(FakeKafkaClient, KafkaClient);
+
+module.exports = FakeKafkaClient;
@@ -2,7 +2,20 @@
 
 const Admin = require('../lib/admin');
 const ConsumerGroup = require('../lib/consumerGroup');
+const KafkaClient = require('../lib/kafkaClient');
+const Producer = require('../lib/producer');
 const uuid = require('uuid');
+const _ = require('lodash');
+
+// skips the suite unless the broker supports the request, brokers older than 0.10 do not answer ApiVersions
+function skipUnlessSupported (context, client, requestType, done) {
+  client.getApiVersions(_.values(client.getBrokers())[0], function (error, versions) {
+    if (error || versions[requestType] == null) {
+      return context.skip();
+    }
+    done();
+  });
+}
 
 describe('Admin', function () {
   describe('#listGroups', function () {
@@ -40,4 +53,427 @@ describe('Admin', function () {
       });
     });
   });
+
+  describe('#resetGroupOffsets', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+    const groupId = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 1, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        const producer = new Producer(client);
+        producer.once('ready', function () {
+          producer.send([{ topic: topic, messages: ['a', 'b', 'c'] }], done);
+        });
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should plan offsets without committing them in dry run mode', function (done) {
+      admin.resetGroupOffsets(groupId, [topic], { type: 'to-latest' }, { dryRun: true }, function (error, offsets) {
+        if (error) {
+          return done(error);
+        }
+        offsets.should.be.eql({ [topic]: { 0: 3 } });
+        admin.resetGroupOffsets(groupId, [topic], { type: 'shift-by-N', shift: 1 }, function (error) {
+          error.message.should.startWith('Consumer group has no committed offset');
+          done();
+        });
+      });
+    });
+
+    it('should commit the offsets of the group', function (done) {
+      admin.resetGroupOffsets(groupId, [topic], { type: 'to-explicit-offset', offset: 1 }, function (error) {
+        if (error) {
+          return done(error);
+        }
+        admin.resetGroupOffsets(groupId, [topic], { type: 'shift-by-N', shift: 5 }, function (error, offsets) {
+          offsets.should.be.eql({ [topic]: { 0: 3 } });
+          done(error);
+        });
+      });
+    });
+  });
+
+  describe('#getGroupLag', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+    const groupId = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 1, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        const producer = new Producer(client);
+        producer.once('ready', function () {
+          producer.send([{ topic: topic, messages: ['a', 'b', 'c'] }], function (error) {
+            if (error) {
+              return done(error);
+            }
+            admin.resetGroupOffsets(groupId, [topic], { type: 'to-explicit-offset', offset: 1 }, done);
+          });
+        });
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should return the lag of the committed partitions', function (done) {
+      admin.getGroupLag(groupId, function (error, lag) {
+        lag.should.be.eql({
+          groupId: groupId,
+          totalLag: 2,
+          partitions: [{ topic: topic, partition: 0, offset: 1, highWatermark: 3, lag: 2, member: null }]
+        });
+        done(error);
+      });
+    });
+  });
+
+  describe('#deleteGroupOffsets', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+    const groupId = uuid.v4();
+
+    before(function (done) {
+      createTopic(topic, 2, 1).then(() => {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        admin.once('ready', () => {
+          skipUnlessSupported(this, client, 'offsetDelete', () => {
+            admin.resetGroupOffsets(groupId, [topic], { type: 'to-earliest' }, done);
+          });
+        });
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should delete the offsets of a partition', function (done) {
+      admin.deleteGroupOffsets(groupId, [{ topic: topic, partitions: [1] }], function (error, result) {
+        if (error) {
+          return done(error);
+        }
+        result.should.be.eql([{ topic: topic, partition: 1, error: null }]);
+        admin.getGroupLag(groupId, function (error, lag) {
+          lag.partitions.map(p => p.partition).should.be.eql([0]);
+          done(error);
+        });
+      });
+    });
+  });
+
+  describe('#deleteGroups', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+    const groupId = uuid.v4();
+
+    before(function (done) {
+      createTopic(topic, 1, 1).then(() => {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        admin.once('ready', () => {
+          skipUnlessSupported(this, client, 'deleteGroups', () => {
+            admin.resetGroupOffsets(groupId, [topic], { type: 'to-earliest' }, done);
+          });
+        });
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should delete an empty group', function (done) {
+      admin.deleteGroups([groupId, 'unknown-' + groupId], function (error, result) {
+        result.should.be.eql([
+          { groupId: groupId, error: null },
+          { groupId: 'unknown-' + groupId, error: 'GroupIdNotFound' }
+        ]);
+        done(error);
+      });
+    });
+  });
+
+  describe('#describeCluster', function () {
+    let admin, client;
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+      admin = new Admin(client);
+      admin.once('ready', done);
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should return the cluster id, controller and brokers', function (done) {
+      admin.describeCluster(function (error, cluster) {
+        if (error) {
+          return done(error);
+        }
+        cluster.clusterId.should.be.a.String();
+        cluster.clusterId.should.be.eql(client.clusterId);
+        cluster.brokers.should.have.length(1);
+        cluster.controllerId.should.be.eql(cluster.brokers[0].nodeId);
+        cluster.brokers[0].port.should.be.eql(9092);
+        done();
+      });
+    });
+  });
+
+  describe('#describeTopics', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 2, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        admin.once('ready', done);
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should list the topic', function (done) {
+      admin.listTopics(function (error, topics) {
+        topics.should.containEql(topic);
+        topics.should.not.containEql('__consumer_offsets');
+        done(error);
+      });
+    });
+
+    it('should describe the partitions of the topic without creating missing topics', function (done) {
+      const missingTopic = uuid.v4();
+      admin.describeTopics([topic, missingTopic], { includeConfigs: true }, function (error, result) {
+        if (error) {
+          return done(error);
+        }
+        result[0].error.should.be.null;
+        result[0].partitions.map(p => p.partition).should.be.eql([0, 1]);
+        result[0].partitions[0].replicas.should.have.length(1);
+        result[0].configs.should.not.be.empty;
+        result[1].error.should.be.eql('UnknownTopicOrPartition');
+
+        admin.listTopics(function (error, topics) {
+          topics.should.not.containEql(missingTopic);
+          done(error);
+        });
+      });
+    });
+  });
+
+  describe('#createPartitions', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10', '0.11'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 1, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        admin.once('ready', done);
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should only validate the request in validateOnly mode', function (done) {
+      admin.createPartitions([{ topic: topic, count: 2 }], { validateOnly: true }, function (error, result) {
+        result.should.be.empty;
+        client.loadMetadataForTopics([topic], function (metadataError, metadata) {
+          Object.keys(metadata[1].metadata[topic]).should.have.length(1);
+          done(error || metadataError);
+        });
+      });
+    });
+
+    it('should add partitions and refresh the topic metadata', function (done) {
+      admin.createPartitions([{ topic: topic, count: 3 }], function (error, result) {
+        result.should.be.empty;
+        Object.keys(client.topicMetadata[topic]).should.have.length(3);
+        done(error);
+      });
+    });
+  });
+
+  describe('#describeConfigs', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 1, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        admin.once('ready', done);
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should describe the configs of a topic', function (done) {
+      admin.describeConfigs([{ type: 'topic', name: topic, configNames: ['cleanup.policy'] }], function (error, res) {
+        res.should.have.length(1);
+        res[0].resourceName.should.be.eql(topic);
+        res[0].configEntries.should.have.length(1);
+        res[0].configEntries[0].should.have.properties({
+          configName: 'cleanup.policy',
+          configValue: 'delete',
+          isDefault: true,
+          isSensitive: false
+        });
+        done(error);
+      });
+    });
+
+    it('should alter the configs of a topic', function (done) {
+      const resources = [{ type: 'topic', name: topic, configEntries: [{ name: 'retention.ms', value: '3600000' }] }];
+      admin.alterConfigs(resources, function (error, res) {
+        if (error) return done(error);
+        res.should.be.eql([{ resourceType: 'topic', resourceName: topic, error: null }]);
+
+        admin.describeConfigs([{ type: 'topic', name: topic, configNames: ['retention.ms'] }], function (error, res) {
+          res[0].configEntries[0].configValue.should.be.eql('3600000');
+          res[0].configEntries[0].isDefault.should.be.false;
+          done(error);
+        });
+      });
+    });
+  });
+
+  describe('#deleteRecords', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 1, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        const producer = new Producer(client);
+        producer.once('ready', function () {
+          producer.send([{ topic: topic, messages: ['a', 'b', 'c'] }], done);
+        });
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should return the new low watermark', function (done) {
+      admin.deleteRecords({ [topic]: { 0: 2 } }, function (error, result) {
+        result.should.be.eql([{ topic: topic, partition: 0, lowWatermark: 2, error: null }]);
+        done(error);
+      });
+    });
+  });
+
+  describe('#deleteTopics', function () {
+    const createTopic = require('../docker/createTopic');
+    let admin, client;
+    const topic = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 1, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        admin = new Admin(client);
+        admin.once('ready', done);
+      });
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should delete topics and report topics that could not be deleted', function (done) {
+      const missingTopic = uuid.v4();
+      admin.deleteTopics([topic, missingTopic], function (error, result) {
+        result.should.be.eql([{ topic: missingTopic, error: 'UnknownTopicOrPartition' }]);
+        client.topicMetadata.should.not.have.property(topic);
+        done(error);
+      });
+    });
+  });
+
+  describe('#describeAcls', function () {
+    let admin, client;
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+      admin = new Admin(client);
+      admin.once('ready', done);
+    });
+
+    after(function (done) {
+      client.close(done);
+    });
+
+    it('should return an error when the brokers have no authorizer', function (done) {
+      admin.describeAcls({}, function (error) {
+        error.should.be.an.instanceOf(Error);
+        error.errorCode.should.be.eql(54);
+        done();
+      });
+    });
+  });
 });
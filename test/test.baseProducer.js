@@ -8,6 +8,20 @@ const uuid = require('uuid');
 const sinon = require('sinon');
 const async = require('async');
 const should = require('should');
+const _ = require('lodash');
+const ERROR_CODES = _.invert(require('../lib/protocol/protocol_struct').ERROR_CODE);
+
+// the error the produce response decoders return when partitions failed
+function produceResponseError (partitionErrors, offsets) {
+  partitionErrors = partitionErrors.map(partitionError =>
+    Object.assign({ errorCode: Number(ERROR_CODES[partitionError.error]) }, partitionError)
+  );
+  const error = new Error(partitionErrors[0].error);
+  error.errorCode = partitionErrors[0].errorCode;
+  error.partitionErrors = partitionErrors;
+  error.offsets = offsets || {};
+  return error;
+}
 
 describe('BaseProducer', function () {
   describe('encoding and decoding key attribute', function () {
@@ -91,6 +105,36 @@ describe('BaseProducer', function () {
       });
     });
 
+    describe('record headers', function () {
+      before(function () {
+        if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+          this.skip();
+        }
+      });
+
+      it('should deliver headers with repeated keys', function (done) {
+        producer.send(
+          [
+            {
+              topic: topic,
+              messages: 'this is my message',
+              headers: { traceId: 'abc', tenant: ['t1', 't2'], binary: Buffer.from('bin') }
+            }
+          ],
+          function (error) {
+            if (error) {
+              done(error);
+            }
+          }
+        );
+
+        consumerGroup.on('message', function (message) {
+          message.headers.should.be.eql({ traceId: 'abc', tenant: ['t1', 't2'], binary: 'bin' });
+          done();
+        });
+      });
+    });
+
     afterEach(function (done) {
       producer.close();
       consumerGroup.close(done);
@@ -233,6 +277,584 @@ describe('BaseProducer', function () {
     });
   });
 
+  describe('idempotent send', function () {
+    const createTopic = require('../docker/createTopic');
+    let client, producer;
+    const topic = uuid.v4();
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      createTopic(topic, 1, 1).then(function () {
+        client = new KafkaClient({ kafkaHost: 'localhost:9092' });
+        producer = new BaseProducer(client, { idempotent: true }, BaseProducer.PARTITIONER_TYPES.default);
+        producer.once('ready', done);
+      });
+    });
+
+    after(function (done) {
+      producer.close(done);
+    });
+
+    it('should append the batches in order', function (done) {
+      async.timesSeries(
+        3,
+        function (n, callback) {
+          producer.send([{ topic: topic, partition: 0, messages: ['a', 'b'] }], callback);
+        },
+        function (error, results) {
+          if (error) {
+            return done(error);
+          }
+          results.map(result => result[topic][0]).should.be.eql([0, 2, 4]);
+          producer.producerIdentity.producerId.should.be.a.Number();
+          producer.sequences[topic + ':0'].should.be.exactly(6);
+          done();
+        }
+      );
+    });
+  });
+
+  describe('compression options', function () {
+    let producer;
+
+    beforeEach(function () {
+      const fakeClient = new Client();
+      fakeClient.topicMetadata = {};
+      producer = new BaseProducer(
+        fakeClient,
+        { compressionLevel: 9, compressionMinBytes: 10 },
+        BaseProducer.PARTITIONER_TYPES.default
+      );
+    });
+
+    it('should pass the compression level with the produce requests', function () {
+      const requests = producer.buildPayloads(
+        [{ topic: 'MyTopic', partition: 0, messages: 'a message long enough to compress', attributes: 1 }],
+        {}
+      );
+      requests[0].attributes.should.be.exactly(1);
+      requests[0].compressionLevel.should.be.exactly(9);
+    });
+
+    it('should not compress partitions smaller than compressionMinBytes', function () {
+      const requests = producer.buildPayloads(
+        [
+          { topic: 'MyTopic', partition: 0, messages: ['tiny', 'msg'], attributes: 1 },
+          { topic: 'MyTopic', partition: 1, messages: ['tiny', 'message'], attributes: 1 }
+        ],
+        {}
+      );
+      requests[0].attributes.should.be.exactly(0);
+      requests[1].attributes.should.be.exactly(1);
+    });
+  });
+
+  describe('idempotent producer', function () {
+    const TimeoutError = require('../lib/errors/TimeoutError');
+    const ProduceError = require('../lib/errors/ProduceError');
+    const FakeKafkaClient = require('./mocks/mockKafkaClient');
+    const InvalidConfigError = require('../lib/errors/InvalidConfigError');
+    let fakeClient, producer;
+
+    beforeEach(function () {
+      fakeClient = new FakeKafkaClient();
+      fakeClient.topicMetadata = {};
+      fakeClient.initProducerId = sinon.stub().yields(null, { producerId: 7, producerEpoch: 0 });
+      fakeClient.sendProduceRequest = sinon.stub().yields(null, { MyTopic: { 0: 0 } });
+      producer = new BaseProducer(fakeClient, { idempotent: true }, BaseProducer.PARTITIONER_TYPES.default);
+    });
+
+    function sentBatches (call) {
+      return fakeClient.sendProduceRequest.getCall(call).args[0].map(request =>
+        _.pick(request, ['topic', 'partition', 'producerId', 'producerEpoch', 'baseSequence'])
+      );
+    }
+
+    it('should require all in sync replicas to acknowledge', function () {
+      producer.requireAcks.should.be.exactly(-1);
+      (function () {
+        new BaseProducer(fakeClient, { idempotent: true, requireAcks: 1 }); // eslint-disable-line no-new
+      }.should.throw('An idempotent producer requires requireAcks to be -1'));
+    });
+
+    it('should require a KafkaClient', function () {
+      (function () {
+        new BaseProducer(new Client(), { idempotent: true }); // eslint-disable-line no-new
+      }.should.throw(InvalidConfigError, { message: 'An idempotent producer requires a KafkaClient' }));
+    });
+
+    it('should number the batches of each partition', function (done) {
+      const payloads = [{ topic: 'MyTopic', partition: 0, messages: ['a', 'b'] }];
+      producer.send(payloads, function (error) {
+        if (error) {
+          return done(error);
+        }
+        producer.send(payloads.concat({ topic: 'MyTopic', partition: 1, messages: 'c' }), function (error) {
+          sinon.assert.calledOnce(fakeClient.initProducerId);
+          sentBatches(0).should.be.eql([
+            { topic: 'MyTopic', partition: 0, producerId: 7, producerEpoch: 0, baseSequence: 0 }
+          ]);
+          sentBatches(1).should.be.eql([
+            { topic: 'MyTopic', partition: 0, producerId: 7, producerEpoch: 0, baseSequence: 2 },
+            { topic: 'MyTopic', partition: 1, producerId: 7, producerEpoch: 0, baseSequence: 0 }
+          ]);
+          done(error);
+        });
+      });
+    });
+
+    it('should send one request at a time', function (done) {
+      let pending = null;
+      fakeClient.sendProduceRequest = sinon.spy(function (requests, requireAcks, ackTimeoutMs, callback) {
+        should(pending).be.null;
+        pending = callback;
+        setImmediate(function () {
+          pending = null;
+          callback(null, {});
+        });
+      });
+
+      async.times(
+        3,
+        function (n, callback) {
+          producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], callback);
+        },
+        function (error) {
+          sinon.assert.calledThrice(fakeClient.sendProduceRequest);
+          sentBatches(2)[0].baseSequence.should.be.exactly(2);
+          done(error);
+        }
+      );
+    });
+
+    it('should send the same sequence numbers again after retriable errors', function (done) {
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest.onFirstCall().yields(new TimeoutError('Request timed out after 30000ms'));
+      fakeClient.sendProduceRequest
+        .onSecondCall()
+        .yields(produceResponseError([{ topic: 'MyTopic', partition: 0, error: 'NotLeaderForPartition' }]));
+      fakeClient.sendProduceRequest.onThirdCall().yields(null, { MyTopic: { 0: 5 } });
+
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], function (error, result) {
+        sinon.assert.calledThrice(fakeClient.sendProduceRequest);
+        sinon.assert.calledOnce(fakeClient.initProducerId);
+        sentBatches(2).should.be.eql(sentBatches(0));
+        sentBatches(2)[0].baseSequence.should.be.exactly(0);
+        result.should.be.eql({ MyTopic: { 0: 5 } });
+        done(error);
+      });
+    });
+
+    it('should get a new producer id after OutOfOrderSequenceNumber', function (done) {
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest.onFirstCall().yields(null, {});
+      fakeClient.sendProduceRequest
+        .onSecondCall()
+        .yields(produceResponseError([{ topic: 'MyTopic', partition: 0, error: 'OutOfOrderSequenceNumber' }]));
+      fakeClient.sendProduceRequest.onThirdCall().yields(null, {});
+      fakeClient.initProducerId.onSecondCall().yields(null, { producerId: 8, producerEpoch: 0 });
+
+      const payloads = [{ topic: 'MyTopic', partition: 0, messages: 'a' }];
+      async.series(
+        [
+          callback => producer.send(payloads, callback),
+          callback =>
+            producer.send(payloads, function (error) {
+              error.errors[0].error.message.should.be.eql('OutOfOrderSequenceNumber');
+              callback(null);
+            }),
+          callback => producer.send(payloads, callback)
+        ],
+        function (error) {
+          sinon.assert.calledTwice(fakeClient.initProducerId);
+          sentBatches(1)[0].baseSequence.should.be.exactly(1);
+          sentBatches(2).should.be.eql([
+            { topic: 'MyTopic', partition: 0, producerId: 8, producerEpoch: 0, baseSequence: 0 }
+          ]);
+          done(error);
+        }
+      );
+    });
+
+    it('should treat DuplicateSequenceNumber as an acknowledged batch', function (done) {
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest.onFirstCall().yields(new TimeoutError('Request timed out after 30000ms'));
+      fakeClient.sendProduceRequest
+        .onSecondCall()
+        .yields(produceResponseError([{ topic: 'MyTopic', partition: 0, error: 'DuplicateSequenceNumber' }]));
+      fakeClient.sendProduceRequest.onThirdCall().yields(null, { MyTopic: { 0: 6 } });
+
+      const payloads = [{ topic: 'MyTopic', partition: 0, messages: 'a' }];
+      producer.send(payloads, function (error, result) {
+        if (error) {
+          return done(error);
+        }
+        result.should.be.eql({ MyTopic: { 0: -1 } });
+        producer.send(payloads, function (error) {
+          sinon.assert.calledOnce(fakeClient.initProducerId);
+          sentBatches(2)[0].baseSequence.should.be.exactly(1);
+          done(error);
+        });
+      });
+    });
+
+    it('should keep the producer id after errors of batches the broker did not append', function (done) {
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest
+        .onFirstCall()
+        .yields(
+          produceResponseError([{ topic: 'MyTopic', partition: 0, error: 'MessageSizeTooLarge' }], { MyTopic: { 1: 3 } })
+        );
+      fakeClient.sendProduceRequest.onSecondCall().yields(null, {});
+
+      const payloads = [
+        { topic: 'MyTopic', partition: 0, messages: 'a' },
+        { topic: 'MyTopic', partition: 1, messages: 'b' }
+      ];
+      producer.send(payloads, function (error) {
+        error.errors[0].error.message.should.be.eql('MessageSizeTooLarge');
+        producer.send(payloads, function (error) {
+          sinon.assert.calledOnce(fakeClient.initProducerId);
+          sentBatches(1).should.be.eql([
+            { topic: 'MyTopic', partition: 0, producerId: 7, producerEpoch: 0, baseSequence: 0 },
+            { topic: 'MyTopic', partition: 1, producerId: 7, producerEpoch: 0, baseSequence: 1 }
+          ]);
+          done(error);
+        });
+      });
+    });
+
+    it('should return the error of the last attempt once the retries are exhausted', function (done) {
+      producer.retries = 1;
+      fakeClient.sendProduceRequest = sinon
+        .stub()
+        .yields(produceResponseError([{ topic: 'MyTopic', partition: 0, error: 'NotEnoughReplicas' }]));
+
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], function (error) {
+        error.should.be.an.instanceOf(ProduceError);
+        error.errors[0].error.message.should.be.eql('NotEnoughReplicas');
+        sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+        should(producer.producerIdentity).be.null;
+        done();
+      });
+    });
+  });
+
+  describe('retries', function () {
+    const TimeoutError = require('../lib/errors/TimeoutError');
+    const ProduceError = require('../lib/errors/ProduceError');
+    let fakeClient, producer;
+
+    beforeEach(function () {
+      fakeClient = new Client();
+      fakeClient.topicMetadata = {};
+      sinon.spy(fakeClient, 'refreshMetadata');
+      producer = new BaseProducer(fakeClient, { retries: 2, retryBackoffMs: 0 }, BaseProducer.PARTITIONER_TYPES.default);
+    });
+
+    function sentPartitions (call) {
+      return _.map(fakeClient.sendProduceRequest.getCall(call).args[0], 'partition');
+    }
+
+    const payloads = [
+      { topic: 'MyTopic', partition: 0, messages: 'a' },
+      { topic: 'MyTopic', partition: 1, messages: 'b' }
+    ];
+
+    it('should only send the failed partitions again after refreshing their metadata', function (done) {
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest
+        .onFirstCall()
+        .yields(
+          produceResponseError([{ topic: 'MyTopic', partition: 1, error: 'NotLeaderForPartition' }], { MyTopic: { 0: 5 } })
+        );
+      fakeClient.sendProduceRequest.onSecondCall().yields(null, { MyTopic: { 1: 7 } });
+
+      producer.send(payloads, function (error, result) {
+        sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+        sentPartitions(1).should.be.eql([1]);
+        sinon.assert.calledOnce(fakeClient.refreshMetadata);
+        sinon.assert.calledWith(fakeClient.refreshMetadata, ['MyTopic']);
+        result.should.be.eql({ MyTopic: { 0: 5, 1: 7 } });
+        done(error);
+      });
+    });
+
+    it('should send a request to the leader of each partition', function (done) {
+      fakeClient.topicMetadata = { MyTopic: { 0: { leader: 1 }, 1: { leader: 2 } } };
+      fakeClient.sendProduceRequest = sinon.spy(function (requests, requireAcks, ackTimeoutMs, callback) {
+        if (requests[0].partition === 1 && fakeClient.sendProduceRequest.callCount === 2) {
+          return callback(new TimeoutError('Request timed out after 30000ms'));
+        }
+        callback(null, { MyTopic: { [requests[0].partition]: 1 } });
+      });
+
+      producer.send(payloads, function (error, result) {
+        sinon.assert.calledThrice(fakeClient.sendProduceRequest);
+        sentPartitions(0).should.be.eql([0]);
+        sentPartitions(1).should.be.eql([1]);
+        sentPartitions(2).should.be.eql([1]);
+        result.should.be.eql({ MyTopic: { 0: 1, 1: 1 } });
+        done(error);
+      });
+    });
+
+    it('should return the error of each failed partition', function (done) {
+      const errors = ['NotEnoughReplicas', 'MessageSizeTooLarge'];
+      fakeClient.sendProduceRequest = sinon.spy(function (requests, requireAcks, ackTimeoutMs, callback) {
+        const partitionErrors = requests.map(request => ({
+          topic: 'MyTopic',
+          partition: request.partition,
+          error: errors[request.partition]
+        }));
+        callback(produceResponseError(partitionErrors, {}));
+      });
+
+      producer.send(payloads, function (error) {
+        error.should.be.an.instanceOf(ProduceError);
+        error.message.should.be.eql('Failed to send to MyTopic:1 (MessageSizeTooLarge), MyTopic:0 (NotEnoughReplicas)');
+        error.errors.map(error => [error.partition, error.error.message]).should.be.eql([
+          [1, 'MessageSizeTooLarge'],
+          [0, 'NotEnoughReplicas']
+        ]);
+        sinon.assert.calledThrice(fakeClient.sendProduceRequest);
+        sentPartitions(2).should.be.eql([0]);
+        done();
+      });
+    });
+
+    it('should retry by error code whatever the error message', function (done) {
+      const error = produceResponseError([{ topic: 'MyTopic', partition: 0, error: 'NotLeaderForPartition' }]);
+      error.partitionErrors[0].error = 'This server is not the leader for that topic-partition.';
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest.onFirstCall().yields(error);
+      fakeClient.sendProduceRequest.onSecondCall().yields(null, { MyTopic: { 0: 1 } });
+
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], function (error, result) {
+        sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+        result.should.be.eql({ MyTopic: { 0: 1 } });
+        done(error);
+      });
+    });
+
+    it('should not retry after the delivery timeout', function (done) {
+      producer.deliveryTimeoutMs = 0;
+      fakeClient.sendProduceRequest = sinon.stub().yields(
+        produceResponseError([
+          { topic: 'MyTopic', partition: 0, error: 'LeaderNotAvailable' },
+          { topic: 'MyTopic', partition: 1, error: 'LeaderNotAvailable' }
+        ])
+      );
+
+      producer.send(payloads, function (error) {
+        sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+        error.errors.should.have.length(2);
+        done();
+      });
+    });
+
+    it('should not send a request before the retries of the previous one completed', function (done) {
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest
+        .onFirstCall()
+        .yieldsAsync(produceResponseError([{ topic: 'MyTopic', partition: 0, error: 'NotLeaderForPartition' }]));
+      fakeClient.sendProduceRequest.yieldsAsync(null, {});
+
+      async.parallel(
+        [
+          callback => producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], callback),
+          callback => producer.send([{ topic: 'MyTopic', partition: 0, messages: 'b' }], callback)
+        ],
+        function (error) {
+          fakeClient.sendProduceRequest.args
+            .map(args => args[0][0].messages[0].value)
+            .should.be.eql(['a', 'a', 'b']);
+          done(error);
+        }
+      );
+    });
+
+    it('should return the error of the request without retries', function (done) {
+      producer = new BaseProducer(fakeClient, {}, BaseProducer.PARTITIONER_TYPES.default);
+      fakeClient.sendProduceRequest = sinon.stub().yields(new Error('NotLeaderForPartition'));
+
+      producer.send(payloads, function (error) {
+        error.message.should.be.eql('NotLeaderForPartition');
+        sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+        done();
+      });
+    });
+  });
+
+  describe('linger batching', function () {
+    const ProduceError = require('../lib/errors/ProduceError');
+    let fakeClient, producer, clock;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      fakeClient = new Client();
+      fakeClient.topicMetadata = {};
+      fakeClient.sendProduceRequest = sinon.stub().yields(null, { MyTopic: { 0: 10, 1: 20 } });
+      producer = new BaseProducer(
+        fakeClient,
+        { lingerMs: 50, batchSizeBytes: 90, compressionMinBytes: 4 },
+        BaseProducer.PARTITIONER_TYPES.default
+      );
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    function sentMessages (call) {
+      return fakeClient.sendProduceRequest.getCall(call).args[0].map(request => _.map(request.messages, 'value'));
+    }
+
+    it('should send the messages of the calls within lingerMs together', function () {
+      const first = sinon.spy();
+      const second = sinon.spy();
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: ['a', 'b'] }], first);
+      producer.send(
+        [{ topic: 'MyTopic', partition: 0, messages: 'c' }, { topic: 'MyTopic', partition: 1, messages: 'd' }],
+        second
+      );
+      sinon.assert.notCalled(fakeClient.sendProduceRequest);
+
+      clock.tick(50);
+      sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+      sentMessages(0).should.be.eql([['a', 'b', 'c'], ['d']]);
+      sinon.assert.calledWith(first, null, { MyTopic: { 0: 10 } });
+      sinon.assert.calledWith(second, null, { MyTopic: { 0: 12, 1: 20 } });
+    });
+
+    it('should send the batch of a partition once it reaches batchSizeBytes', function () {
+      producer.send([{ topic: 'MyTopic', partition: 1, messages: 'small' }], _.noop);
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: ['1234567890', '09876'] }], _.noop);
+      sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+      sentMessages(0).should.be.eql([['1234567890', '09876']]);
+
+      clock.tick(50);
+      sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+      sentMessages(1).should.be.eql([['small']]);
+    });
+
+    it('should send the batch before a record would take it over batchSizeBytes', function () {
+      fakeClient.sendProduceRequest = sinon.stub();
+      fakeClient.sendProduceRequest.onFirstCall().yields(null, { MyTopic: { 0: 10 } });
+      fakeClient.sendProduceRequest.onSecondCall().yields(null, { MyTopic: { 0: 11 } });
+      const callback = sinon.spy();
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: ['1234567890', '0987654321'] }], callback);
+      sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+      sentMessages(0).should.be.eql([['1234567890']]);
+      sinon.assert.notCalled(callback);
+
+      clock.tick(50);
+      sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+      sentMessages(1).should.be.eql([['0987654321']]);
+      sinon.assert.calledOnce(callback);
+      sinon.assert.calledWith(callback, null, { MyTopic: { 0: 10 } });
+    });
+
+    it('should send a record larger than batchSizeBytes in a batch of its own', function () {
+      const large = _.repeat('x', 40);
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], _.noop);
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: [large, 'b'] }], _.noop);
+      sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+      sentMessages(0).should.be.eql([['a']]);
+      sentMessages(1).should.be.eql([[large]]);
+
+      clock.tick(50);
+      sinon.assert.calledThrice(fakeClient.sendProduceRequest);
+      sentMessages(2).should.be.eql([['b']]);
+    });
+
+    it('should return one error for a partition failing in several batches', function () {
+      const partitionErrors = [{ topic: 'MyTopic', partition: 0, error: 'NotLeaderForPartition' }];
+      fakeClient.sendProduceRequest = sinon.stub().yields(produceResponseError(partitionErrors, {}));
+      const callback = sinon.spy();
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: ['1234567890', '0987654321'] }], callback);
+      clock.tick(50);
+
+      sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+      sinon.assert.calledOnce(callback);
+      const error = callback.args[0][0];
+      error.should.be.an.instanceOf(ProduceError);
+      error.errors.should.have.length(1);
+      error.errors[0].should.have.properties({ topic: 'MyTopic', partition: 0 });
+    });
+
+    it('should count the record headers toward batchSizeBytes', function () {
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], _.noop);
+      sinon.assert.notCalled(fakeClient.sendProduceRequest);
+
+      const headers = { trace: 'abcdefghijklmnopqrst' };
+      producer.send([{ topic: 'MyTopic', partition: 1, messages: 'a', headers: headers }], _.noop);
+      sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+      sentMessages(0).should.be.eql([['a']]);
+      fakeClient.sendProduceRequest.getCall(0).args[0][0].partition.should.be.exactly(1);
+    });
+
+    it('should apply compressionMinBytes to the whole batch', function () {
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'ab', attributes: 1 }], _.noop);
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'cd', attributes: 1 }], _.noop);
+      clock.tick(50);
+      fakeClient.sendProduceRequest.getCall(0).args[0][0].attributes.should.be.exactly(1);
+    });
+
+    it('should not mix messages with different attributes in a batch', function () {
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a', attributes: 1 }], _.noop);
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'b' }], _.noop);
+      sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+      sentMessages(0).should.be.eql([['a']]);
+    });
+
+    it('should return the error to every caller of the batch', function () {
+      fakeClient.sendProduceRequest = sinon.stub().yields(new Error('NotEnoughReplicas'));
+      const callbacks = [sinon.spy(), sinon.spy()];
+      callbacks.forEach(callback => producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], callback));
+      clock.tick(50);
+      callbacks.forEach(callback => callback.args[0][0].message.should.be.eql('NotEnoughReplicas'));
+    });
+
+    it('should only return the error of a failed partition to the callers of its batch', function () {
+      const partitionErrors = [{ topic: 'MyTopic', partition: 1, error: 'NotLeaderForPartition' }];
+      fakeClient.sendProduceRequest = sinon.stub().yields(produceResponseError(partitionErrors, { MyTopic: { 0: 10 } }));
+      const first = sinon.spy();
+      const second = sinon.spy();
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], first);
+      producer.send(
+        [{ topic: 'MyTopic', partition: 0, messages: 'b' }, { topic: 'MyTopic', partition: 1, messages: 'c' }],
+        second
+      );
+      clock.tick(50);
+
+      sinon.assert.calledWith(first, null, { MyTopic: { 0: 10 } });
+      const error = second.args[0][0];
+      error.should.be.an.instanceOf(ProduceError);
+      error.errors.should.have.length(1);
+      error.errors[0].should.have.properties({ topic: 'MyTopic', partition: 1 });
+      error.errors[0].error.errorCode.should.be.exactly(6);
+      error.offsets.should.be.eql({ MyTopic: { 0: 11 } });
+    });
+
+    it('should send the lingering messages on flush and close', function () {
+      const flushed = sinon.spy();
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], _.noop);
+      producer.flush(flushed);
+      sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+      sinon.assert.calledOnce(flushed);
+
+      sinon.spy(fakeClient, 'close');
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'b' }], _.noop);
+      producer.close(_.noop);
+      sinon.assert.calledTwice(fakeClient.sendProduceRequest);
+      sinon.assert.callOrder(fakeClient.sendProduceRequest, fakeClient.close);
+    });
+  });
+
   describe('On Brokers Changed', function () {
     it('should emit error when refreshMetadata fails', function (done) {
       const fakeClient = new Client();
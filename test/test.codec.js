@@ -0,0 +1,180 @@
+'use strict';
+
+const optional = require('optional');
+const proxyquire = require('proxyquire').noCallThru();
+const getCodec = require('../lib/codec');
+
+describe('Codec', function () {
+  const payload = Buffer.from('hello kafka '.repeat(100));
+
+  function roundTrip (codec, encode, done) {
+    encode(payload, function (error, encoded) {
+      if (error) return done(error);
+      encoded.length.should.be.below(payload.length);
+      codec.decode(encoded, function (error, decoded) {
+        if (error) return done(error);
+        decoded.should.be.eql(payload);
+        done();
+      });
+    });
+  }
+
+  it('should return no codec for uncompressed attributes', function () {
+    (getCodec(0) === null).should.be.true;
+  });
+
+  it('should encode and decode gzip', function (done) {
+    const codec = getCodec(1);
+    roundTrip(codec, codec.encode, done);
+  });
+
+  it('should pass the compression level to gzip', function (done) {
+    const codec = getCodec(1);
+    codec.encode(payload, { level: 0 }, function (error, stored) {
+      if (error) return done(error);
+      stored.length.should.be.above(payload.length);
+      roundTrip(codec, function (buffer, cb) {
+        codec.encode(buffer, { level: 9 }, cb);
+      }, done);
+    });
+  });
+
+  describe('registerCodec', function () {
+    const gzipCodec = getCodec(1);
+
+    afterEach(function () {
+      getCodec.registerCodec(1, gzipCodec);
+    });
+
+    it('should override a built in codec', function () {
+      const codec = {
+        encode: function (buffer, options, cb) {
+          cb(null, buffer);
+        },
+        decode: function (buffer, cb) {
+          cb(null, buffer);
+        }
+      };
+      getCodec.registerCodec(1, codec);
+      getCodec(1).should.be.equal(codec);
+    });
+
+    it('should reject invalid attributes', function () {
+      (function () {
+        getCodec.registerCodec(0, gzipCodec);
+      }.should.throw('Codec attributes must be an integer between 1 and 7'));
+      (function () {
+        getCodec.registerCodec(8, gzipCodec);
+      }.should.throw('Codec attributes must be an integer between 1 and 7'));
+    });
+
+    it('should reject codecs without encode and decode', function () {
+      (function () {
+        getCodec.registerCodec(5, { encode: function () {} });
+      }.should.throw('Codec must provide encode and decode functions'));
+    });
+  });
+
+  describe('lz4', function () {
+    const codec = getCodec(3);
+
+    before(function () {
+      if (optional('lz4') == null) {
+        this.skip();
+      }
+    });
+
+    it('should encode and decode frames', function (done) {
+      roundTrip(codec, codec.encode, done);
+    });
+
+    it('should encode and decode frames with the legacy header checksum', function (done) {
+      roundTrip(codec, codec.encodeMagicV0, done);
+    });
+
+    it('should only differ in header checksum for legacy frames', function (done) {
+      codec.encode(payload, function (error, encoded) {
+        if (error) return done(error);
+        codec.encodeMagicV0(payload, function (error, legacy) {
+          if (error) return done(error);
+          legacy.length.should.be.eql(encoded.length);
+          legacy[6].should.not.be.eql(encoded[6]);
+          legacy.slice(7).should.be.eql(encoded.slice(7));
+          done();
+        });
+      });
+    });
+
+    it('should return an error for invalid frames', function (done) {
+      codec.decode(Buffer.from('not a frame'), function (error) {
+        error.should.be.an.instanceOf(Error);
+        done();
+      });
+    });
+  });
+
+  describe('lz4 without the lz4 module', function () {
+    const codec = proxyquire('../lib/codec/lz4', { optional: () => null });
+
+    it('should pass an error to the encode callback', function (done) {
+      codec.encode(payload, { level: 1 }, function (error) {
+        error.message.should.be.eql('LZ4 codec is not installed, install the lz4 module to use it');
+        done();
+      });
+    });
+
+    it('should pass an error to the decode callback', function (done) {
+      codec.decode(payload, function (error) {
+        error.message.should.be.eql('LZ4 codec is not installed, install the lz4 module to use it');
+        done();
+      });
+    });
+  });
+
+  describe('zstd', function () {
+    const codec = getCodec(4);
+
+    before(function () {
+      if (optional('zstd-napi') == null) {
+        this.skip();
+      }
+    });
+
+    it('should encode and decode frames', function (done) {
+      roundTrip(codec, codec.encode, done);
+    });
+
+    it('should return an error for invalid frames', function (done) {
+      codec.decode(Buffer.from('not a frame'), function (error) {
+        error.should.be.an.instanceOf(Error);
+        done();
+      });
+    });
+
+    it('should require produce v7', function () {
+      codec.minProduceVersion.should.be.eql(7);
+    });
+  });
+
+  describe('zstd without the zstd-napi module', function () {
+    const codec = proxyquire('../lib/codec/zstd', { optional: () => null });
+
+    it('should pass an error to the encode callback', function (done) {
+      codec.encode(payload, function (error) {
+        error.message.should.be.eql('Zstd codec is not installed, install the zstd-napi module to use it');
+        done();
+      });
+    });
+
+    it('should pass an error to the decode callback', function (done) {
+      codec.decode(payload, function (error) {
+        error.message.should.be.eql('Zstd codec is not installed, install the zstd-napi module to use it');
+        done();
+      });
+    });
+  });
+
+  it('should ignore the timestamp type and transactional attribute bits', function () {
+    getCodec(8 | 16 | 1).should.be.equal(getCodec(1));
+  });
+});
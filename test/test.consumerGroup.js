@@ -13,6 +13,7 @@ const uuid = require('uuid');
 const async = require('async');
 const BrokerWrapper = require('../lib/wrapper/BrokerWrapper');
 const FakeSocket = require('./mocks/mockSocket');
+const errors = require('../lib/errors');
 
 describe('ConsumerGroup', function () {
   describe('#constructor', function () {
@@ -129,6 +130,32 @@ describe('ConsumerGroup', function () {
       });
     });
 
+    it('should throw an error if using an invalid isolationLevel', function () {
+      [true, '', 0, 'committed'].forEach(isolationLevel => {
+        should.throws(() => {
+          // eslint-disable-next-line no-new
+          new ConsumerGroup({
+            isolationLevel: isolationLevel
+          });
+        }, errors.InvalidConfigError);
+      });
+    });
+
+    it('should not throw an error if using a valid isolationLevel', function () {
+      ['read_committed', 'read_uncommitted'].forEach(isolationLevel => {
+        should.doesNotThrow(() => {
+          // eslint-disable-next-line no-new
+          new ConsumerGroup(
+            {
+              isolationLevel: isolationLevel,
+              connectOnReady: false
+            },
+            'TestTopic'
+          );
+        });
+      });
+    });
+
     it('should not throw an error if using an valid fromOffset', function () {
       ['earliest', 'latest', 'none'].forEach(offset => {
         should.doesNotThrow(() => {
@@ -7,6 +7,8 @@ var libPath = process.env['KAFKA_COV'] ? '../lib-cov/' : '../lib/';
 var ConsumerStream = require(libPath + 'consumerStream');
 var Producer = require(libPath + 'producer');
 var Client = require(libPath + 'client');
+var KafkaClient = require(libPath + 'kafkaClient');
+var sinon = require('sinon');
 var EventCounter = require('./helpers/EventCounter');
 
 const TOPIC_POSTFIX = '_test_' + Date.now();
@@ -199,4 +201,45 @@ describe('ConsumerStream', function () {
       });
     });
   });
+
+  describe('fetch with a KafkaClient', function () {
+    var clock, client, consumer;
+
+    beforeEach(function () {
+      clock = sinon.useFakeTimers();
+      client = Object.create(KafkaClient.prototype);
+      client.sendFetchRequestWithHandler = sinon.stub();
+      consumer = new ConsumerStream(client, [{ topic: 'topic' }], { fetchMaxWaitMs: 200 });
+      consumer.ready = true;
+    });
+
+    afterEach(function () {
+      clock.restore();
+    });
+
+    it('should fetch again when the long polling socket of the client was waiting', function () {
+      // the client calls back without decoding a response when the request was not sent
+      client.sendFetchRequestWithHandler.onFirstCall().callsArgWith(3, null);
+      consumer.fetch();
+
+      consumer.fetchInFlight.should.be.false;
+      sinon.assert.calledOnce(client.sendFetchRequestWithHandler);
+
+      clock.tick(200);
+      sinon.assert.calledTwice(client.sendFetchRequestWithHandler);
+    });
+
+    it('should fetch again after an error', function () {
+      var errors = [];
+      consumer.on('error', error => errors.push(error));
+      client.sendFetchRequestWithHandler.onFirstCall().callsArgWith(3, new Error('Broker not available'));
+      consumer.fetch();
+
+      consumer.fetchInFlight.should.be.false;
+      errors.map(error => error.message).should.be.eql(['Broker not available']);
+
+      clock.tick(200);
+      sinon.assert.calledTwice(client.sendFetchRequestWithHandler);
+    });
+  });
 });
@@ -8,6 +8,7 @@ var KafkaClient = kafka.KafkaClient;
 var KeyedMessage = kafka.KeyedMessage;
 const _ = require('lodash');
 const assert = require('assert');
+const async = require('async');
 const ConsumerGroup = kafka.ConsumerGroup;
 const sendMessage = require('./helpers/sendMessage');
 var client, producer, noAckProducer, producerKeyed;
@@ -306,3 +307,259 @@ describe('partitioner', function () {
     });
   });
 });
+
+describe('HighLevelProducer transactions', function () {
+  const sinon = require('sinon');
+  const MockClient = require('./mocks/mockKafkaClient');
+
+  describe('with a mock client', function () {
+    let fakeClient, producer;
+
+    beforeEach(function (done) {
+      fakeClient = new MockClient();
+      fakeClient.topicMetadata = {};
+      fakeClient.sendProduceRequest = sinon.stub().yieldsAsync(null, { MyTopic: { 0: 0 } });
+      producer = new HighLevelProducer(fakeClient, { transactionalId: 'txn' });
+      sinon.stub(producer.transaction, 'sendToCoordinator').callsFake(function (requestType, args, callback) {
+        setImmediate(callback, null, requestType === 'initProducerId' ? { producerId: 7, producerEpoch: 3 } : null);
+      });
+      producer.initTransactions(done);
+    });
+
+    it('should be idempotent', function () {
+      producer.idempotent.should.be.true;
+      producer.requireAcks.should.be.exactly(-1);
+      assert.throws(function () {
+        new HighLevelProducer(fakeClient, { transactionalId: 'txn', idempotent: false }); // eslint-disable-line no-new
+      }, /A transactional producer has to be idempotent/);
+    });
+
+    it('should require a transactionalId', function (done) {
+      const plainProducer = new HighLevelProducer(fakeClient);
+      assert.throws(() => plainProducer.beginTransaction(), /Transactions require the transactionalId option/);
+      plainProducer.commitTransaction(function (error) {
+        error.message.should.be.eql('Transactions require the transactionalId option');
+        done();
+      });
+    });
+
+    it('should add the partitions to the transaction before sending to them', function (done) {
+      producer.beginTransaction();
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], function (error) {
+        if (error) {
+          return done(error);
+        }
+        sinon.assert.callOrder(producer.transaction.sendToCoordinator, fakeClient.sendProduceRequest);
+        sinon.assert.calledWith(fakeClient.sendProduceRequest, sinon.match.array, -1, 100, 'txn');
+        const request = fakeClient.sendProduceRequest.firstCall.args[0][0];
+        request.producerId.should.be.exactly(7);
+        request.producerEpoch.should.be.exactly(3);
+        request.baseSequence.should.be.exactly(0);
+        done();
+      });
+    });
+
+    it('should commit once the pending sends completed', function (done) {
+      producer.beginTransaction();
+      let sent = false;
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], function (error) {
+        sent = !error;
+      });
+      producer.commitTransaction(function (error) {
+        sent.should.be.true;
+        sinon.assert.calledWith(producer.transaction.sendToCoordinator, 'endTxn', ['txn', sinon.match.object, true]);
+        done(error);
+      });
+    });
+
+    it('should send the lingering messages before committing', function (done) {
+      const lingeringProducer = new HighLevelProducer(fakeClient, { transactionalId: 'txn', lingerMs: 60000 });
+      lingeringProducer.transaction = producer.transaction;
+
+      lingeringProducer.beginTransaction();
+      lingeringProducer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], _.noop);
+      lingeringProducer.commitTransaction(function (error) {
+        sinon.assert.calledOnce(fakeClient.sendProduceRequest);
+        sinon.assert.callOrder(fakeClient.sendProduceRequest, producer.transaction.sendToCoordinator.withArgs('endTxn'));
+        done(error);
+      });
+    });
+
+    it('should send the offsets of the consumer group member', function (done) {
+      const consumerGroup = { options: { groupId: 'g' }, generationId: 2, memberId: 'm-1' };
+      const offsets = [{ topic: 'in', partition: 0, offset: 5 }];
+      sinon.stub(producer.transaction, 'sendOffsets').yieldsAsync(null);
+
+      producer.beginTransaction();
+      producer.sendOffsetsToTransaction(offsets, consumerGroup, function (error) {
+        sinon.assert.calledWith(producer.transaction.sendOffsets, offsets, { groupId: 'g', generationId: 2, memberId: 'm-1' });
+        done(error);
+      });
+    });
+
+    it('should not send the offsets of a consumer group it is not a member of', function (done) {
+      const consumerGroup = { options: { groupId: 'g' }, generationId: null, memberId: null };
+      producer.sendOffsetsToTransaction([], consumerGroup, function (error) {
+        error.message.should.be.eql('Not member of group');
+        done();
+      });
+    });
+
+    it('should not send outside of transactions', function (done) {
+      producer.send([{ topic: 'MyTopic', partition: 0, messages: 'a' }], function (error) {
+        error.message.should.be.eql('Cannot send when the transaction state is ready');
+        sinon.assert.notCalled(fakeClient.sendProduceRequest);
+        done();
+      });
+    });
+  });
+
+  describe('with kafka', function () {
+    const createTopic = require('../docker/createTopic');
+    const topic = uuid.v4();
+    const outputTopic = uuid.v4();
+    let client, producer, consumerGroup;
+
+    before(function (done) {
+      if (['0.8', '0.9', '0.10'].includes(process.env.KAFKA_VERSION)) {
+        this.skip();
+      }
+
+      Promise.all([createTopic(topic, 1, 1), createTopic(outputTopic, 1, 1)]).then(function () {
+        client = new KafkaClient({ kafkaHost: '127.0.0.1:9092' });
+        producer = new HighLevelProducer(client, { transactionalId: uuid.v4() });
+        producer.once('ready', function () {
+          producer.initTransactions(done);
+        });
+      });
+    });
+
+    after(function (done) {
+      consumerGroup.close(function () {
+        producer.close(done);
+      });
+    });
+
+    function sendInTransaction (value, commit, callback) {
+      producer.beginTransaction();
+      producer.send([{ topic: topic, messages: value }], function (error) {
+        if (error) {
+          return callback(error);
+        }
+        commit ? producer.commitTransaction(callback) : producer.abortTransaction(callback);
+      });
+    }
+
+    it('should only deliver committed messages to read_committed consumers', function (done) {
+      sendInTransaction('aborted', false, function (error) {
+        if (error) {
+          return done(error);
+        }
+        sendInTransaction('committed', true, function (error) {
+          if (error) {
+            return done(error);
+          }
+          consumerGroup = new ConsumerGroup(
+            {
+              kafkaHost: '127.0.0.1:9092',
+              groupId: uuid.v4(),
+              fromOffset: 'earliest',
+              isolationLevel: 'read_committed'
+            },
+            topic
+          );
+          consumerGroup.once('message', function (message) {
+            message.value.should.be.eql('committed');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should commit the consumed offsets with the produced messages', function (done) {
+      const transformGroup = new ConsumerGroup(
+        {
+          kafkaHost: '127.0.0.1:9092',
+          groupId: uuid.v4(),
+          fromOffset: 'earliest',
+          isolationLevel: 'read_committed',
+          autoCommit: false
+        },
+        topic
+      );
+
+      transformGroup.once('message', function (message) {
+        const offsets = [{ topic: message.topic, partition: message.partition, offset: message.offset + 1 }];
+        producer.beginTransaction();
+        async.series(
+          [
+            callback => producer.send([{ topic: outputTopic, messages: message.value.toUpperCase() }], callback),
+            callback => producer.sendOffsetsToTransaction(offsets, transformGroup, callback),
+            callback => producer.commitTransaction(callback),
+            callback => transformGroup.fetchOffset([{ topic: topic, partition: message.partition }], callback)
+          ],
+          function (error, results) {
+            if (error) {
+              return transformGroup.close(() => done(error));
+            }
+            results[3][topic][message.partition].should.be.eql(message.offset + 1);
+            transformGroup.close(done);
+          }
+        );
+      });
+    });
+  });
+});
+
+describe('HighLevelProducer zstd compression', function () {
+  const createTopic = require('../docker/createTopic');
+  const topic = uuid.v4();
+  let client, producer, consumerGroup;
+
+  before(function (done) {
+    // zstd batches are only produced with produce v7 and fetched with fetch v10 (Kafka 2.1)
+    if (['0.8', '0.9', '0.10', '0.11'].includes(process.env.KAFKA_VERSION) || require('optional')('zstd-napi') == null) {
+      this.skip();
+    }
+
+    createTopic(topic, 1, 1).then(function () {
+      client = new KafkaClient({ kafkaHost: '127.0.0.1:9092' });
+      producer = new HighLevelProducer(client);
+      producer.once('ready', done);
+    });
+  });
+
+  after(function (done) {
+    if (producer == null) {
+      return done();
+    }
+    consumerGroup.close(function () {
+      producer.close(done);
+    });
+  });
+
+  it('should consume the zstd compressed messages it produced', function (done) {
+    producer.send([{ topic: topic, messages: ['zstd 1', 'zstd 2'], attributes: 4 }], function (error) {
+      if (error) {
+        return done(error);
+      }
+      consumerGroup = new ConsumerGroup(
+        {
+          kafkaHost: '127.0.0.1:9092',
+          groupId: uuid.v4(),
+          fromOffset: 'earliest'
+        },
+        topic
+      );
+      const received = [];
+      consumerGroup.on('error', done);
+      consumerGroup.on('message', function (message) {
+        received.push(message.value);
+        if (received.length === 2) {
+          received.should.be.eql(['zstd 1', 'zstd 2']);
+          done();
+        }
+      });
+    });
+  });
+});
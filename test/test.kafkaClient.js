@@ -6,11 +6,15 @@ const sinon = require('sinon');
 const TimeoutError = require('../lib/errors/TimeoutError');
 const TopicsNotExistError = require('../lib/errors/TopicsNotExistError');
 const NotControllerError = require('../lib/errors/NotControllerError');
+const SaslAuthenticationError = require('../lib/errors/SaslAuthenticationError');
+const BrokerNotAvailableError = require('../lib/errors/BrokerNotAvailableError');
 const BrokerWrapper = require('../lib/wrapper/BrokerWrapper');
 const FakeSocket = require('./mocks/mockSocket');
 const should = require('should');
 const _ = require('lodash');
+const async = require('async');
 const uuid = require('uuid');
+const net = require('net');
 
 describe('Kafka Client', function () {
   describe('#parseHostList', function () {
@@ -314,6 +318,671 @@ describe('Kafka Client', function () {
     });
   });
 
+  describe('#scheduleReauthentication', function () {
+    let sandbox, client, clock, fakeBroker;
+    const apiSupport = { saslAuthenticate: { min: 0, max: 1, usable: 1 } };
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      clock = sandbox.useFakeTimers();
+      sandbox.stub(Math, 'random').returns(0);
+      client = new Client({
+        kafkaHost: '127.0.0.1:9092',
+        autoConnect: false,
+        sasl: { mechanism: 'plain', username: 'alice', password: 'secret' }
+      });
+      fakeBroker = new BrokerWrapper(new FakeSocket());
+      fakeBroker.socket.addr = '127.0.0.1:9092';
+      fakeBroker.apiSupport = apiSupport;
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should not re-authenticate when the session does not expire', function () {
+      sandbox.stub(client, 'authenticateBroker');
+      client.scheduleReauthentication(fakeBroker, apiSupport, 0);
+      clock.tick(3600000);
+      sinon.assert.notCalled(client.authenticateBroker);
+    });
+
+    it('should re-authenticate before the session expires', function (done) {
+      sandbox.stub(client, 'authenticateBroker').callsFake(function (broker, support, callback) {
+        broker.isReady().should.be.false;
+        support.should.be.equal(apiSupport);
+        callback(null);
+      });
+
+      client.once(fakeBroker.getReadyEventName(), function (error) {
+        should(error).be.empty;
+        fakeBroker.isReady().should.be.true;
+        done();
+      });
+
+      client.scheduleReauthentication(fakeBroker, apiSupport, 10000);
+      clock.tick(8499);
+      sinon.assert.notCalled(client.authenticateBroker);
+      clock.tick(1);
+      sinon.assert.calledOnce(client.authenticateBroker);
+    });
+
+    it('should wait for the requests in flight before re-authenticating', function () {
+      const callback = sandbox.spy();
+      fakeBroker.socket.socketId = 1;
+      sandbox.stub(client, 'authenticateBroker').yields(null);
+      client.queueCallback(fakeBroker.socket, 7, [_.noop, callback]);
+
+      client.scheduleReauthentication(fakeBroker, apiSupport, 10000);
+      clock.tick(8500);
+      fakeBroker.isReady().should.be.false;
+      sinon.assert.notCalled(client.authenticateBroker);
+
+      const handlers = client.unqueueCallback(fakeBroker.socket, 7);
+      sinon.assert.calledOnce(client.authenticateBroker);
+      fakeBroker.isReady().should.be.true;
+      handlers[1](null);
+      sinon.assert.calledOnce(callback);
+    });
+
+    it('should re-authenticate once a request in flight timed out', function () {
+      const callback = sandbox.spy();
+      fakeBroker.socket.socketId = 1;
+      sandbox.stub(client, 'authenticateBroker').yields(null);
+      client.queueCallback(fakeBroker.socket, 7, [_.noop, callback]);
+
+      client.scheduleReauthentication(fakeBroker, apiSupport, 10000);
+      clock.tick(client.options.requestTimeout);
+      sinon.assert.calledOnce(callback);
+      callback.firstCall.args[0].should.be.an.instanceOf(TimeoutError);
+      sinon.assert.calledOnce(client.authenticateBroker);
+      client.cbqueue.has(1).should.be.false;
+    });
+
+    it('should not re-authenticate when the socket closed while requests were in flight', function () {
+      const callback = sandbox.spy();
+      fakeBroker.socket.socketId = 1;
+      sandbox.stub(client, 'authenticateBroker').yields(null);
+      client.queueCallback(fakeBroker.socket, 7, [_.noop, callback]);
+
+      client.scheduleReauthentication(fakeBroker, apiSupport, 10000);
+      clock.tick(8500);
+      fakeBroker.socket.closing = true;
+      client.clearCallbackQueue(fakeBroker.socket, new BrokerNotAvailableError('Broker not available'));
+
+      sinon.assert.calledOnce(callback);
+      sinon.assert.notCalled(client.authenticateBroker);
+    });
+
+    it('should close the socket when re-authentication fails so the broker reconnects', function () {
+      const error = new SaslAuthenticationError('token expired');
+      const readyListener = sandbox.spy();
+      sandbox.stub(client, 'authenticateBroker').yields(error);
+      sandbox.spy(fakeBroker.socket, 'end');
+      client.on(fakeBroker.getReadyEventName(), readyListener);
+
+      client.scheduleReauthentication(fakeBroker, apiSupport, 10000);
+      clock.tick(8500);
+
+      fakeBroker.socket.error.should.be.equal(error);
+      sinon.assert.calledOnce(fakeBroker.socket.end);
+      sinon.assert.notCalled(readyListener);
+    });
+  });
+
+  describe('#createBroker', function () {
+    let sandbox, server, client;
+
+    beforeEach(function (done) {
+      sandbox = sinon.sandbox.create();
+      server = net.createServer();
+      server.listen(0, '127.0.0.1', done);
+      client = new Client({
+        kafkaHost: '127.0.0.1:9092',
+        autoConnect: false,
+        sasl: { mechanism: 'plain', username: 'alice', password: 'wrong' }
+      });
+    });
+
+    afterEach(function (done) {
+      sandbox.restore();
+      server.close(done);
+    });
+
+    it('should close the socket when authentication fails after connecting', function (done) {
+      const error = new SaslAuthenticationError('bad credentials');
+      sandbox.stub(client, 'initializeBroker').yields(error);
+
+      const broker = client.createBroker('127.0.0.1', server.address().port);
+      client.once(broker.getReadyEventName(), function (readyError) {
+        readyError.should.be.equal(error);
+        broker.socket.error.should.be.equal(error);
+        client.close();
+        broker.socket.once('close', () => done());
+      });
+    });
+  });
+
+  describe('#deleteTopics', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      client.topicMetadata = { deleted: {}, missing: {}, other: {} };
+      sandbox.stub(client, 'refreshBrokerMetadata');
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should send the request to the controller and refresh metadata', function (done) {
+      sandbox
+        .stub(client, 'sendControllerRequest')
+        .callsArgWith(3, null, [{ topic: 'missing', error: 'UnknownTopicOrPartition' }]);
+
+      client.deleteTopics(['deleted', 'missing'], function (error, result) {
+        sinon.assert.calledWith(client.sendControllerRequest, sinon.match.func, sinon.match.func, [
+          ['deleted', 'missing'],
+          client.options.requestTimeout
+        ]);
+        result.should.be.eql([{ topic: 'missing', error: 'UnknownTopicOrPartition' }]);
+        client.topicMetadata.should.have.keys('missing', 'other');
+        sinon.assert.calledOnce(client.refreshBrokerMetadata);
+        done(error);
+      });
+    });
+
+    it('should yield request errors without refreshing metadata', function (done) {
+      const requestError = new TimeoutError('Request timed out after 30000ms');
+      sandbox.stub(client, 'sendControllerRequest').callsArgWith(3, requestError);
+
+      client.deleteTopics(['deleted'], function (error) {
+        error.should.be.equal(requestError);
+        client.topicMetadata.should.have.property('deleted');
+        sinon.assert.notCalled(client.refreshBrokerMetadata);
+        done();
+      });
+    });
+  });
+
+  describe('#createPartitions', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'refreshMetadata').yields(null);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should refresh the metadata of the topics with new partitions', function (done) {
+      const topicPartitions = [{ topic: 'grown', count: 4 }, { topic: 'invalid', count: 1 }];
+      sandbox
+        .stub(client, 'sendControllerRequest')
+        .callsArgWith(3, null, [{ topic: 'invalid', error: 'Topic already has 3 partitions.' }]);
+
+      client.createPartitions(topicPartitions, function (error, result) {
+        sinon.assert.calledWith(client.sendControllerRequest, sinon.match.func, sinon.match.func, [
+          topicPartitions,
+          client.options.requestTimeout,
+          false
+        ]);
+        result.should.be.eql([{ topic: 'invalid', error: 'Topic already has 3 partitions.' }]);
+        sinon.assert.calledWith(client.refreshMetadata, ['grown']);
+        done(error);
+      });
+    });
+
+    it('should not refresh metadata when only validating', function (done) {
+      sandbox.stub(client, 'sendControllerRequest').callsArgWith(3, null, []);
+
+      client.createPartitions([{ topic: 'grown', count: 4 }], { validateOnly: true }, function (error, result) {
+        client.sendControllerRequest.firstCall.args[2][2].should.be.true;
+        result.should.be.empty;
+        sinon.assert.notCalled(client.refreshMetadata);
+        done(error);
+      });
+    });
+  });
+
+  describe('#describeConfigs', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should send broker resources to the broker and topic resources to any broker', function (done) {
+      sandbox.stub(client, 'sendRequestToBroker').callsFake(function (brokerId, requestType, args, callback) {
+        requestType.should.be.eql('describeConfigs');
+        args[1].should.be.true;
+        callback(
+          null,
+          args[0].map(resource => ({
+            resourceType: resource.type === 4 ? 'broker' : 'topic',
+            resourceName: resource.name,
+            brokerId: brokerId
+          }))
+        );
+      });
+
+      const resources = [
+        { type: 'topic', name: 'a', configNames: ['retention.ms'] },
+        { type: 'broker', name: 1 },
+        { type: 'topic', name: 'b' }
+      ];
+
+      client.describeConfigs(resources, { includeSynonyms: true }, function (error, result) {
+        sinon.assert.calledTwice(client.sendRequestToBroker);
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'describeConfigs', [
+          [{ type: 2, name: 'a', configNames: ['retention.ms'] }, { type: 2, name: 'b', configNames: undefined }],
+          true
+        ]);
+        result.should.be.eql([
+          { resourceType: 'topic', resourceName: 'a', brokerId: undefined },
+          { resourceType: 'broker', resourceName: '1', brokerId: '1' },
+          { resourceType: 'topic', resourceName: 'b', brokerId: undefined }
+        ]);
+        done(error);
+      });
+    });
+
+    it('should yield an error for unknown resource types', function (done) {
+      sandbox.stub(client, 'sendRequestToBroker');
+      client.describeConfigs([{ type: 'group', name: 'a' }], function (error) {
+        error.message.should.be.eql('Unknown config resource type: group');
+        sinon.assert.notCalled(client.sendRequestToBroker);
+        done();
+      });
+    });
+  });
+
+  describe('#incrementalAlterConfigs', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should encode the config operations', function (done) {
+      sandbox.stub(client, 'sendRequestToBroker').callsArgWith(3, null, [
+        { resourceType: 'topic', resourceName: 'a', error: null }
+      ]);
+
+      const resources = [
+        {
+          type: 'topic',
+          name: 'a',
+          configEntries: [{ name: 'retention.ms', value: '1000' }, { name: 'cleanup.policy', operation: 'delete' }]
+        }
+      ];
+
+      client.incrementalAlterConfigs(resources, { validateOnly: true }, function (error, result) {
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'incrementalAlterConfigs', [
+          [
+            {
+              type: 2,
+              name: 'a',
+              configEntries: [
+                { name: 'retention.ms', value: '1000', operation: 0 },
+                { name: 'cleanup.policy', value: undefined, operation: 1 }
+              ]
+            }
+          ],
+          true
+        ]);
+        result.should.be.eql([{ resourceType: 'topic', resourceName: 'a', error: null }]);
+        done(error);
+      });
+    });
+  });
+
+  describe('#deleteRecords', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'verifyPayloadsHasLeaders').yields(null);
+      sandbox.stub(client, 'leaderByPartition').callsFake((topic, partition) => partition);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should send the offsets of each partition to its leader', function (done) {
+      sandbox.stub(client, 'getSupportedVersionForLeader').callsArgWith(2, null, 1);
+      sandbox.stub(client, 'sendRequest').yields(null, {
+        0: [{ topic: 't', partition: 0, lowWatermark: 10, error: null }],
+        1: [{ topic: 't', partition: 1, lowWatermark: null, error: 'NotLeaderForPartition' }]
+      });
+
+      client.deleteRecords({ t: { 0: 10, 1: -1 } }, function (error, result) {
+        const payloads = [{ topic: 't', partition: 0, offset: 10 }, { topic: 't', partition: 1, offset: -1 }];
+        sinon.assert.calledWith(client.verifyPayloadsHasLeaders, payloads);
+        sinon.assert.calledWith(client.getSupportedVersionForLeader, 0, 'deleteRecords');
+        sinon.assert.calledWith(client.getSupportedVersionForLeader, 1, 'deleteRecords');
+        sinon.assert.calledWith(client.sendRequest, {
+          type: 'deleteRecords',
+          data: { payloads: payloads, args: [client.options.requestTimeout] }
+        });
+        result.should.be.eql([
+          { topic: 't', partition: 0, lowWatermark: 10, error: null },
+          { topic: 't', partition: 1, lowWatermark: null, error: 'NotLeaderForPartition' }
+        ]);
+        done(error);
+      });
+    });
+
+    it('should yield an error when a leader does not support DeleteRecords', function (done) {
+      const unsupported = new Error('deleteRecords is not supported by the broker 127.0.0.1:9092');
+      sandbox.stub(client, 'getSupportedVersionForLeader').callsArgWith(2, unsupported);
+      sandbox.stub(client, 'sendRequest');
+
+      client.deleteRecords({ t: { 0: 10 } }, function (error) {
+        error.should.be.equal(unsupported);
+        sinon.assert.notCalled(client.sendRequest);
+        done();
+      });
+    });
+  });
+
+  describe('#sendProduceRequest', function () {
+    let sandbox, client, payloads;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'verifyPayloadsHasLeaders').yields(null);
+      sandbox.stub(client, 'leaderByPartition').returns(1);
+      sandbox.stub(client, 'sendRequest').yields(null, [{ t: { 0: 5 } }]);
+      const messages = [new kafka.KeyedMessage('key', 'value')];
+      payloads = [{ topic: 't', partition: 0, messages: messages, attributes: 0, producerId: 7, baseSequence: 0 }];
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should send the batches of idempotent producers to brokers supporting produce v3', function (done) {
+      sandbox.stub(client, 'getSupportedVersionForLeader').callsArgWith(2, null, 3);
+
+      client.sendProduceRequest(payloads, -1, 100, function (error, result) {
+        sinon.assert.calledWith(client.getSupportedVersionForLeader, 1, 'produce');
+        result.should.be.eql({ t: { 0: 5 } });
+        done(error);
+      });
+    });
+
+    it('should not send the batches of idempotent producers to older brokers', function (done) {
+      sandbox.stub(client, 'getSupportedVersionForLeader').callsArgWith(2, null, 2);
+
+      client.sendProduceRequest(payloads, -1, 100, function (error) {
+        error.message.should.be.eql('Idempotent producers require a broker supporting produce v3 (Kafka 0.11+)');
+        sinon.assert.notCalled(client.sendRequest);
+        done();
+      });
+    });
+  });
+
+  describe('#sendTimestampOffsetRequest', function () {
+    let sandbox, client;
+    const payloads = [{ topic: 't', partition: 0, time: 1000 }, { topic: 't', partition: 1, time: 1000 }];
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'verifyPayloadsHasLeaders').yields(null);
+      sandbox.stub(client, 'leaderByPartition').callsFake((topic, partition) => partition);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should merge the offsets returned by each leader', function (done) {
+      sandbox.stub(client, 'getSupportedVersionForLeader').callsArgWith(2, null, 1);
+      sandbox.stub(client, 'sendRequest').yields(null, {
+        0: { t: { 0: { offset: 5, timestamp: 1000 } } },
+        1: { t: { 1: { offset: -1, timestamp: -1 } } }
+      });
+
+      client.sendTimestampOffsetRequest(payloads, function (error, result) {
+        sinon.assert.calledWith(client.getSupportedVersionForLeader, 0, 'offset');
+        sinon.assert.calledWith(client.getSupportedVersionForLeader, 1, 'offset');
+        sinon.assert.calledWith(client.sendRequest, { type: 'offset', data: { payloads: payloads } });
+        result.should.be.eql({ t: { 0: { offset: 5, timestamp: 1000 }, 1: { offset: -1, timestamp: -1 } } });
+        done(error);
+      });
+    });
+
+    it('should yield an error when a leader only supports ListOffsets v0', function (done) {
+      sandbox.stub(client, 'getSupportedVersionForLeader').callsFake((leader, type, callback) => callback(null, leader));
+      sandbox.stub(client, 'sendRequest');
+
+      client.sendTimestampOffsetRequest(payloads, function (error) {
+        error.message.should.be.eql('Offsets by timestamp require a broker supporting ListOffsets v1 (Kafka 0.10.1+)');
+        sinon.assert.notCalled(client.sendRequest);
+        done();
+      });
+    });
+  });
+
+  describe('#describeTopics', function () {
+    let sandbox, client;
+
+    const metadata = [
+      {},
+      {
+        metadata: {},
+        topicDetails: {
+          b: {
+            isInternal: false,
+            error: null,
+            partitions: [
+              { partition: 1, leader: 2, replicas: [2], isr: [2], offlineReplicas: [], error: null },
+              { partition: 0, leader: 1, replicas: [1], isr: [1], offlineReplicas: [], error: null }
+            ]
+          },
+          __consumer_offsets: { isInternal: true, error: null, partitions: [] },
+          a: { isInternal: false, error: null, partitions: [] },
+          missing: { isInternal: false, error: 'UnknownTopicOrPartition', partitions: [] }
+        }
+      }
+    ];
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'sendRequestToBroker').callsArgWith(3, null, metadata);
+      sandbox.stub(client, 'getSupportedVersionForLeader').callsArgWith(2, null, 5);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should list the sorted topics without internal topics', function (done) {
+      client.listTopics(function (error, topics) {
+        if (error) {
+          return done(error);
+        }
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'metadata', [null, false]);
+        topics.should.be.eql(['a', 'b', 'missing']);
+        client.listTopics({ includeInternal: true }, function (error, topics) {
+          topics.should.be.eql(['__consumer_offsets', 'a', 'b', 'missing']);
+          done(error);
+        });
+      });
+    });
+
+    it('should describe the topics in the given order without creating them', function (done) {
+      client.describeTopics(['missing', 'b'], function (error, topics) {
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'metadata', [['missing', 'b'], false]);
+        topics.should.be.eql([
+          { topic: 'missing', error: 'UnknownTopicOrPartition', isInternal: false, partitions: [] },
+          {
+            topic: 'b',
+            error: null,
+            isInternal: false,
+            partitions: [
+              { partition: 0, leader: 1, replicas: [1], isr: [1], offlineReplicas: [], error: null },
+              { partition: 1, leader: 2, replicas: [2], isr: [2], offlineReplicas: [], error: null }
+            ]
+          }
+        ]);
+        done(error);
+      });
+    });
+
+    it('should fetch all topics from brokers that would create the described topics', function (done) {
+      client.getSupportedVersionForLeader.callsArgWith(2, null, 3);
+
+      client.describeTopics(['a', 'c'], function (error, topics) {
+        sinon.assert.calledWith(client.getSupportedVersionForLeader, undefined, 'metadata');
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'metadata', [null, false]);
+        topics.should.be.eql([
+          { topic: 'a', error: null, isInternal: false, partitions: [] },
+          { topic: 'c', error: 'UnknownTopicOrPartition', isInternal: false, partitions: [] }
+        ]);
+        done(error);
+      });
+    });
+
+    it('should add the configs of existing topics', function (done) {
+      sandbox.stub(client, 'describeConfigs').callsArgWith(1, null, [
+        { resourceType: 'topic', resourceName: 'a', error: null, configEntries: [{ configName: 'retention.ms' }] }
+      ]);
+
+      client.describeTopics(['a', 'missing'], { includeConfigs: true }, function (error, topics) {
+        sinon.assert.calledWith(client.describeConfigs, [{ type: 'topic', name: 'a' }]);
+        topics[0].configs.should.be.eql([{ configName: 'retention.ms' }]);
+        topics[1].should.not.have.property('configs');
+        done(error);
+      });
+    });
+  });
+
+  describe('ACLs', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'sendRequestToBroker').callsArgWith(3, null, []);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should describe acls matching any value for the missing filter fields', function (done) {
+      client.describeAcls({ resourceType: 2, principal: 'User:a' }, function (error) {
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'describeAcls', [
+          {
+            resourceType: 2,
+            resourceName: null,
+            resourcePatternType: 1,
+            principal: 'User:a',
+            host: null,
+            operation: 1,
+            permissionType: 1
+          }
+        ]);
+        done(error);
+      });
+    });
+
+    it('should create literal acls for any host by default', function (done) {
+      const acl = { resourceType: 2, resourceName: 't', principal: 'User:a', operation: 3, permissionType: 3 };
+      client.createAcls([acl, Object.assign({ resourcePatternType: 4, host: '10.0.0.1' }, acl)], function (error) {
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'createAcls', [
+          [
+            Object.assign({ resourcePatternType: 3, host: '*' }, acl),
+            Object.assign({ resourcePatternType: 4, host: '10.0.0.1' }, acl)
+          ]
+        ]);
+        done(error);
+      });
+    });
+
+    it('should delete acls for each filter', function (done) {
+      client.deleteAcls([{ resourceName: 't' }, { host: '*' }], function (error) {
+        const filters = client.sendRequestToBroker.firstCall.args[2][0];
+        filters.should.have.length(2);
+        filters[0].resourceName.should.be.eql('t');
+        filters[1].host.should.be.eql('*');
+        filters[1].resourceType.should.be.eql(1);
+        done(error);
+      });
+    });
+  });
+
+  describe('#sendRequestToBroker', function () {
+    let sandbox, client, fakeBroker;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      fakeBroker = new BrokerWrapper(new FakeSocket());
+      fakeBroker.socket.addr = '127.0.0.1:9092';
+      sandbox.stub(client, 'brokerForLeader').returns(fakeBroker);
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should use the highest version supported by the broker', function () {
+      fakeBroker.apiSupport = { describeConfigs: { min: 0, max: 1, usable: 1 } };
+      sandbox.stub(client, 'queueCallback');
+      sandbox.stub(fakeBroker, 'write');
+
+      client.sendRequestToBroker(1, 'describeConfigs', [[{ type: 2, name: 'topic' }], false], _.noop);
+
+      sinon.assert.calledWith(client.brokerForLeader, 1);
+      sinon.assert.calledOnce(fakeBroker.write);
+      fakeBroker.write.firstCall.args[0].readInt16BE(6).should.be.eql(1);
+    });
+
+    it('should yield an error when the broker does not support the request', function (done) {
+      fakeBroker.apiSupport = { describeConfigs: { min: 0, max: 2, usable: 2 } };
+
+      client.sendRequestToBroker(1, 'incrementalAlterConfigs', [[], false], function (error) {
+        error.message.should.be.eql('incrementalAlterConfigs is not supported by the broker 127.0.0.1:9092');
+        done();
+      });
+    });
+
+    it('should yield an error when the request cannot be encoded', function (done) {
+      fakeBroker.apiSupport = { describeAcls: { min: 0, max: 0, usable: 0 } };
+      sandbox.stub(fakeBroker, 'write');
+
+      const prefixed = { resourceType: 2, resourceName: 't', resourcePatternType: 4 };
+      client.sendRequestToBroker(1, 'describeAcls', [prefixed], function (error) {
+        error.message.should.match(/requires a broker supporting ACLs v1/);
+        sinon.assert.notCalled(fakeBroker.write);
+        done();
+      });
+    });
+  });
+
   describe('#wrapTimeoutIfNeeded', function () {
     let sandbox, wrapTimeoutIfNeeded, client, clock;
 
@@ -444,6 +1113,360 @@ describe('Kafka Client', function () {
       client.brokerMetadataLastUpdate.should.be.eql(0);
       clock.tick(100);
     });
+
+    it('should not emit when only the rack of the brokers is added', function () {
+      const client = new Client({
+        autoConnect: false,
+        kafkaHost: 'Kafka-1.us-east-1.myapp.com:9093'
+      });
+
+      client.brokerMetadata = {
+        '1': { nodeId: 1, host: 'Kafka-1.us-east-1.myapp.com', port: 9093 }
+      };
+
+      client.on('brokersChanged', function () {
+        throw new Error('should not emit');
+      });
+
+      client.setBrokerMetadata({
+        '1': { nodeId: 1, host: 'Kafka-1.us-east-1.myapp.com', port: 9093, rack: 'us-east-1a' }
+      });
+      clock.tick(100);
+    });
+  });
+
+  describe('#setClusterMetadata', function () {
+    it('should keep the cluster id when the metadata has none', function () {
+      const client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      should(client.clusterId).be.null;
+
+      client.setClusterMetadata({ controllerId: 1, clusterId: 'cluster' });
+      client.clusterId.should.be.eql('cluster');
+
+      client.setClusterMetadata({ controllerId: 2 });
+      client.clusterId.should.be.eql('cluster');
+      client.clusterMetadata.controllerId.should.be.eql(2);
+    });
+  });
+
+  describe('#initProducerId', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'sendRequestToBroker').yields(null, { producerId: 1, producerEpoch: 0 });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should request a producer id without a transactional id from any broker', function (done) {
+      client.initProducerId(function (error, identity) {
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'initProducerId', [null, 0]);
+        identity.should.be.eql({ producerId: 1, producerEpoch: 0 });
+        done(error);
+      });
+    });
+  });
+
+  describe('#deleteGroups', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'sendGroupCoordinatorRequest').callsFake(function (groupId, callback) {
+        callback(null, { coordinatorId: groupId === 'b' ? 2 : 1 });
+      });
+      sandbox.stub(client, 'sendRequestToBroker').callsFake(function (brokerId, requestType, args, callback) {
+        if (requestType !== 'deleteGroups') {
+          return callback(null, []);
+        }
+        callback(null, args[0].map(groupId => ({ groupId: groupId, error: groupId === 'c' ? 'NonEmptyGroup' : null })));
+      });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should delete each group using its coordinator', function (done) {
+      client.deleteGroups(['a', 'b', 'c'], function (error, result) {
+        sinon.assert.calledTwice(client.sendRequestToBroker);
+        sinon.assert.calledWith(client.sendRequestToBroker, '1', 'deleteGroups', [['a', 'c']]);
+        sinon.assert.calledWith(client.sendRequestToBroker, '2', 'deleteGroups', [['b']]);
+        result.should.be.eql([
+          { groupId: 'a', error: null },
+          { groupId: 'b', error: null },
+          { groupId: 'c', error: 'NonEmptyGroup' }
+        ]);
+        done(error);
+      });
+    });
+
+    it('should delete the offsets of a group using its coordinator', function (done) {
+      const topicPartitions = [{ topic: 't', partitions: [0] }];
+      client.deleteGroupOffsets('b', topicPartitions, function (error) {
+        sinon.assert.calledWith(client.sendRequestToBroker, 2, 'offsetDelete', ['b', topicPartitions]);
+        done(error);
+      });
+    });
+  });
+
+  describe('#resetGroupOffsets', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      sandbox.stub(client, 'getDescribeGroups').yields(null, { group: { members: [], state: 'Empty', brokerId: '2' } });
+      sandbox.stub(client, 'describeTopics').yields(null, [
+        { topic: 't', error: null, partitions: [{ partition: 0 }, { partition: 1 }] }
+      ]);
+      sandbox.stub(client, 'sendOffsetRequest').callsFake(function (payloads, callback) {
+        const time = payloads[0].time;
+        callback(null, { t: time === -2 ? { 0: [10], 1: [20] } : { 0: [100], 1: [200] } });
+      });
+      sandbox.stub(client, 'sendRequestToBroker').callsFake(function (brokerId, requestType, args, callback) {
+        if (requestType === 'offsetFetch') {
+          return callback(null, { t: { 0: 50, 1: 195 } });
+        }
+        callback(null, { t: { 0: null, 1: null } });
+      });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should not reset the offsets of a group with active members', function (done) {
+      const group = { members: [{ memberId: 'm' }], state: 'Stable', brokerId: '2' };
+      client.getDescribeGroups.yields(null, { group: group });
+
+      client.resetGroupOffsets('group', ['t'], { type: 'to-earliest' }, function (error) {
+        error.message.should.be.eql('Consumer group group has active members, stop them before resetting its offsets');
+        sinon.assert.notCalled(client.describeTopics);
+        sinon.assert.notCalled(client.sendRequestToBroker);
+        done();
+      });
+    });
+
+    it('should only plan the offsets in dry run mode', function (done) {
+      client.resetGroupOffsets('group', ['t'], { type: 'to-earliest' }, { dryRun: true }, function (error, offsets) {
+        offsets.should.be.eql({ t: { 0: 10, 1: 20 } });
+        sinon.assert.notCalled(client.sendRequestToBroker);
+        done(error);
+      });
+    });
+
+    it('should shift the committed offsets within the earliest and latest offsets', function (done) {
+      client.resetGroupOffsets('group', ['t'], { type: 'shift-by-N', shift: 10 }, function (error, offsets) {
+        offsets.should.be.eql({ t: { 0: 60, 1: 200 } });
+        sinon.assert.calledWith(client.sendRequestToBroker, '2', 'offsetFetch', ['group', { t: [0, 1] }]);
+        sinon.assert.calledWith(client.sendRequestToBroker, '2', 'offsetCommit', [
+          'group',
+          -1,
+          '',
+          [
+            { topic: 't', partition: 0, offset: 60, metadata: '' },
+            { topic: 't', partition: 1, offset: 200, metadata: '' }
+          ]
+        ]);
+        done(error);
+      });
+    });
+
+    it('should reset to the latest offset when no message is after the timestamp', function (done) {
+      sandbox.stub(client, 'sendTimestampOffsetRequest').yields(null, {
+        t: { 0: { offset: 42, timestamp: 1000 }, 1: { offset: -1, timestamp: -1 } }
+      });
+
+      const strategy = { type: 'to-timestamp', timestamp: new Date(1000) };
+      client.resetGroupOffsets('group', ['t'], strategy, function (error, offsets) {
+        client.sendTimestampOffsetRequest.firstCall.args[0][0].time.should.be.eql(1000);
+        offsets.should.be.eql({ t: { 0: 42, 1: 200 } });
+        done(error);
+      });
+    });
+
+    it('should move explicit offsets out of range to the earliest or latest offset', function (done) {
+      client.resetGroupOffsets('group', ['t'], { type: 'to-explicit-offset', offset: 150 }, function (error, offsets) {
+        offsets.should.be.eql({ t: { 0: 100, 1: 150 } });
+        done(error);
+      });
+    });
+
+    it('should accept the strategy names of kafka-consumer-groups.sh', function (done) {
+      client.resetGroupOffsets('group', ['t'], { type: 'to-offset', offset: 150 }, { dryRun: true }, function (error, o) {
+        if (error) {
+          return done(error);
+        }
+        o.should.be.eql({ t: { 0: 100, 1: 150 } });
+        client.resetGroupOffsets('group', ['t'], { type: 'shift-by', shift: -60 }, { dryRun: true }, function (error, o) {
+          o.should.be.eql({ t: { 0: 10, 1: 135 } });
+          done(error);
+        });
+      });
+    });
+
+    it('should yield an error when the strategy misses its offset, shift or timestamp', function (done) {
+      const strategies = [
+        { type: 'to-explicit-offset' },
+        { type: 'shift-by', shift: '10' },
+        { type: 'to-timestamp', timestamp: new Date('invalid') }
+      ];
+
+      async.mapSeries(
+        strategies,
+        (strategy, callback) => client.resetGroupOffsets('group', ['t'], strategy, error => callback(null, error)),
+        function (error, errors) {
+          _.map(errors, 'message').should.be.eql([
+            'Offset reset strategy to-explicit-offset requires an integer offset',
+            'Offset reset strategy shift-by requires an integer shift',
+            'Offset reset strategy to-timestamp requires an integer timestamp'
+          ]);
+          sinon.assert.notCalled(client.getDescribeGroups);
+          done(error);
+        }
+      );
+    });
+
+    it('should yield commit errors', function (done) {
+      client.sendRequestToBroker.yields(null, { t: { 0: null, 1: new Error('OffsetMetadataTooLarge') } });
+
+      client.resetGroupOffsets('group', ['t'], { type: 'to-latest' }, function (error) {
+        error.message.should.be.eql('OffsetMetadataTooLarge');
+        done();
+      });
+    });
+
+    it('should yield an error for missing topics and unknown strategies', function (done) {
+      client.describeTopics.yields(null, [{ topic: 't', error: 'UnknownTopicOrPartition', partitions: [] }]);
+
+      client.resetGroupOffsets('group', ['t'], { type: 'to-earliest' }, function (error) {
+        error.should.be.an.instanceOf(TopicsNotExistError);
+        client.resetGroupOffsets('group', ['t'], { type: 'to-middle' }, function (error) {
+          error.message.should.be.eql('Unknown offset reset strategy: to-middle');
+          done();
+        });
+      });
+    });
+  });
+
+  describe('#getGroupLag', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+      const member = {
+        memberId: 'consumer-1-abc',
+        clientId: 'consumer-1',
+        clientHost: '/127.0.0.1',
+        memberAssignment: { partitions: { b: [0] } }
+      };
+      sandbox.stub(client, 'getDescribeGroups').yields(null, { group: { members: [member], brokerId: '2' } });
+      sandbox.stub(client, 'sendRequestToBroker').yields(null, {
+        b: { 0: 5, 1: -1 },
+        a: { 0: 10 },
+        deleted: { 0: 1 }
+      });
+      sandbox.stub(client, 'describeTopics').callsFake(function (topics, callback) {
+        const error = topic => (topic === 'deleted' ? 'UnknownTopicOrPartition' : null);
+        callback(null, topics.map(topic => ({ topic: topic, error: error(topic) })));
+      });
+      sandbox.stub(client, 'sendOffsetRequest').yields(null, { a: { 0: [12] }, b: { 0: [15] } });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should return the lag and member of each committed partition', function (done) {
+      client.getGroupLag('group', function (error, lag) {
+        sinon.assert.calledWith(client.sendRequestToBroker, '2', 'offsetFetch', ['group', null]);
+        sinon.assert.calledWith(client.sendOffsetRequest, [
+          { topic: 'b', partition: 0, time: -1, maxNum: 1 },
+          { topic: 'a', partition: 0, time: -1, maxNum: 1 }
+        ]);
+        lag.should.be.eql({
+          groupId: 'group',
+          totalLag: 12,
+          partitions: [
+            { topic: 'a', partition: 0, offset: 10, highWatermark: 12, lag: 2, member: null },
+            {
+              topic: 'b',
+              partition: 0,
+              offset: 5,
+              highWatermark: 15,
+              lag: 10,
+              member: { memberId: 'consumer-1-abc', clientId: 'consumer-1', clientHost: '/127.0.0.1' }
+            }
+          ]
+        });
+        done(error);
+      });
+    });
+
+    it('should only return the lag of the given topics', function (done) {
+      client.getGroupLag('group', ['a', 'c'], function (error, lag) {
+        sinon.assert.calledWith(client.describeTopics, ['a']);
+        lag.totalLag.should.be.eql(2);
+        lag.partitions.should.have.length(1);
+        done(error);
+      });
+    });
+  });
+
+  describe('#describeCluster', function () {
+    let sandbox, client;
+
+    beforeEach(function () {
+      sandbox = sinon.sandbox.create();
+      client = new Client({ kafkaHost: '127.0.0.1:9092', autoConnect: false });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should return the cluster id, controller and sorted brokers', function (done) {
+      sandbox.stub(client, 'sendRequestToBroker').callsArgWith(3, null, [
+        {
+          2: { nodeId: 2, host: 'b', port: 9092, rack: null },
+          1: { nodeId: 1, host: 'a', port: 9092, rack: 'r1' }
+        },
+        { metadata: {}, clusterMetadata: { controllerId: 2, clusterId: 'cluster' } }
+      ]);
+
+      client.describeCluster(function (error, cluster) {
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'metadata', [null, false]);
+        cluster.should.be.eql({
+          clusterId: 'cluster',
+          controllerId: 2,
+          brokers: [{ nodeId: 1, host: 'a', port: 9092, rack: 'r1' }, { nodeId: 2, host: 'b', port: 9092, rack: null }]
+        });
+        done(error);
+      });
+    });
+
+    it('should return null cluster id and controller for v0 metadata', function (done) {
+      sandbox.stub(client, 'sendRequestToBroker').callsArgWith(3, null, [
+        { 1: { nodeId: 1, host: 'a', port: 9092 } },
+        { metadata: {} }
+      ]);
+
+      client.describeCluster(function (error, cluster) {
+        cluster.should.be.eql({
+          clusterId: null,
+          controllerId: null,
+          brokers: [{ nodeId: 1, host: 'a', port: 9092, rack: null }]
+        });
+        done(error);
+      });
+    });
   });
 
   describe('#connect', function () {
@@ -4,6 +4,7 @@ var libPath = process.env['kafka-cov'] ? '../lib-cov/' : '../lib/';
 var Producer = require(libPath + 'producer');
 var Offset = require(libPath + 'offset');
 var Client = require(libPath + 'client');
+var KafkaClient = require(libPath + 'kafkaClient');
 const uuid = require('uuid');
 
 var client, producer, offset;
@@ -145,4 +146,60 @@ describe('Offset', function () {
       offset.fetchLatestOffsets(topics, done);
     });
   });
+
+  describe('#fetchOffsetsByTime', function () {
+    it('should callback with error if the client is not a KafkaClient', function (done) {
+      offset.fetchOffsetsByTime(['_exist_topic_3_test'], Date.now(), function (error) {
+        error.should.be.an.instanceOf(Error);
+        error.message.should.be.exactly('fetchOffsetsByTime requires a KafkaClient');
+        done();
+      });
+    });
+
+    describe('with a KafkaClient', function () {
+      var kafkaClient, kafkaProducer, kafkaOffset;
+      var topic = '_exist_topic_3_test';
+
+      before(function (done) {
+        if (['0.8', '0.9'].includes(process.env.KAFKA_VERSION)) {
+          this.skip();
+        }
+
+        kafkaClient = new KafkaClient({ kafkaHost: '127.0.0.1:9092' });
+        kafkaProducer = new Producer(kafkaClient);
+        kafkaOffset = new Offset(kafkaClient);
+        kafkaProducer.on('ready', done);
+      });
+
+      after(function (done) {
+        if (kafkaProducer == null) return done();
+        kafkaProducer.close(done);
+      });
+
+      it('should return the offset of the first message at or after the timestamp', function (done) {
+        var timestamp = Date.now();
+        kafkaOffset.fetchLatestOffsets([topic], function (error, latest) {
+          if (error) return done(error);
+          kafkaProducer.send([{ topic: topic, partition: 0, messages: 'by time', timestamp: timestamp }], function (
+            error
+          ) {
+            if (error) return done(error);
+            kafkaOffset.fetchOffsetsByTime([topic], new Date(timestamp), function (error, offsets) {
+              if (error) return done(error);
+              offsets[topic][0].should.be.eql({ offset: latest[topic][0], timestamp: timestamp });
+              done();
+            });
+          });
+        });
+      });
+
+      it('should return -1 when no message is at or after the timestamp', function (done) {
+        kafkaOffset.fetchOffsetsByTime([topic], Date.now() + 3600000, function (error, offsets) {
+          if (error) return done(error);
+          offsets[topic][0].should.be.eql({ offset: -1, timestamp: -1 });
+          done();
+        });
+      });
+    });
+  });
 });
@@ -164,6 +164,24 @@ var host = process.env['KAFKA_TEST_HOST'] || '';
         );
       });
 
+      it('should support lz4 compression', function (done) {
+        producer.send(
+          [
+            {
+              topic: EXISTS_TOPIC_3,
+              messages: ['hello kafka', 'hello kafka'],
+              attributes: 3
+            }
+          ],
+          function (err, message) {
+            if (err) return done(err);
+            message.should.be.ok;
+            message[EXISTS_TOPIC_3]['0'].should.be.above(0);
+            done();
+          }
+        );
+      });
+
       it('should support gzip compression', function (done) {
         producer.send(
           [
@@ -2,7 +2,20 @@
 
 const versionSupport = require('../lib/protocol/protocolVersions');
 const protocolStruct = require('../lib/protocol/protocol_struct');
+const protocol = require('../lib/protocol/protocol');
+const varint = require('../lib/protocol/varint');
+const crc32c = require('../lib/protocol/crc32c');
+const NotControllerError = require('../lib/errors/NotControllerError');
+const GroupCoordinatorNotAvailable = require('../lib/errors/GroupCoordinatorNotAvailableError');
+const NotCoordinatorForGroup = require('../lib/errors/NotCoordinatorForGroupError');
+const IllegalGeneration = require('../lib/errors/IllegalGenerationError');
+const CorruptRecordBatchError = require('../lib/errors/CorruptRecordBatchError');
+const Buffermaker = require('buffermaker');
+const zlib = require('zlib');
+const optional = require('optional');
+const getCodec = require('../lib/codec');
 const _ = require('lodash');
+const should = require('should');
 
 describe('Protocol', function () {
   it('exports correct properties', function () {
@@ -37,4 +50,1496 @@ describe('Protocol', function () {
       });
     });
   });
+
+  describe('varint', function () {
+    it('should zigzag encode values', function () {
+      varint.encodeVarint(0).should.be.eql(Buffer.from([0]));
+      varint.encodeVarint(-1).should.be.eql(Buffer.from([1]));
+      varint.encodeVarint(1).should.be.eql(Buffer.from([2]));
+      varint.encodeVarint(63).should.be.eql(Buffer.from([126]));
+      varint.encodeVarint(-64).should.be.eql(Buffer.from([127]));
+      varint.encodeVarint(64).should.be.eql(Buffer.from([128, 1]));
+      varint.encodeVarint(300).should.be.eql(Buffer.from([216, 4]));
+    });
+
+    it('should decode values it encoded including varlongs', function () {
+      [0, 1, -1, 127, -128, 2147483647, -2147483648, 1530000000000, -1530000000000].forEach(function (value) {
+        const encoded = varint.encodeVarint(value);
+        varint.sizeOfVarint(value).should.be.eql(encoded.length);
+        varint.decodeVarint(encoded, 0).should.be.eql({ value: value, length: encoded.length });
+      });
+    });
+
+    it('should encode unsigned varints without zigzag', function () {
+      varint.encodeUnsignedVarint(0).should.be.eql(Buffer.from([0]));
+      varint.encodeUnsignedVarint(127).should.be.eql(Buffer.from([127]));
+      varint.encodeUnsignedVarint(300).should.be.eql(Buffer.from([172, 2]));
+      varint.decodeUnsignedVarint(Buffer.from([0, 172, 2]), 1).should.be.eql({ value: 300, length: 2 });
+    });
+
+    it('should throw on truncated varint', function () {
+      (function () {
+        varint.decodeVarint(Buffer.from([128]), 0);
+      }.should.throw(RangeError));
+    });
+  });
+
+  describe('crc32c', function () {
+    it('should compute the castagnoli checksum', function () {
+      crc32c(Buffer.from('123456789')).should.be.eql(0xe3069283);
+      crc32c(Buffer.alloc(0)).should.be.eql(0);
+    });
+  });
+
+  describe('record batch', function () {
+    const Message = protocolStruct.Message;
+
+    function decode (messageSet, done) {
+      const messages = [];
+      const set = protocol.decodeMessageSet('test-topic', 0, messageSet, function (error, type, message) {
+        if (error) return done(error);
+        messages.push(message);
+      }, null, 10);
+      return { set: set, messages: messages };
+    }
+
+    // recomputes the checksum of a batch whose header was changed after encoding
+    function updateCrc (batch) {
+      batch.writeUInt32BE(crc32c(batch.slice(21)), 17);
+      return batch;
+    }
+
+    it('should encode a valid batch header', function () {
+      const batch = protocol.encodeRecordBatch([new Message(0, 0, 'key', 'value', 1530000000000)], 0);
+
+      batch.readInt32BE(8).should.be.eql(batch.length - 12);
+      batch.readInt8(16).should.be.eql(2);
+      batch.readUInt32BE(17).should.be.eql(crc32c(batch.slice(21)));
+      batch.readInt32BE(57).should.be.eql(1);
+    });
+
+    it('should compute the encoded size of records', function () {
+      const messages = [
+        new Message(0, 0, 'key', 'value', 1530000000000),
+        new Message(0, 0, null, Buffer.alloc(200), 1530000000300, { trace: ['a', 'b'], id: 1 })
+      ];
+      const sizes = messages.map((message, index) =>
+        protocol.sizeOfRecord(message, index, message.timestamp - messages[0].timestamp)
+      );
+
+      _.sum(sizes).should.be.eql(protocol.encodeRecords(messages).length);
+      (protocol.RECORD_BATCH_HEADER_SIZE + _.sum(sizes)).should.be.eql(protocol.encodeRecordBatch(messages, 0).length);
+    });
+
+    it('should encode the producer id, epoch and base sequence of idempotent producers', function () {
+      const producer = { producerId: 4000, producerEpoch: 2, baseSequence: 15 };
+      const batch = protocol.encodeRecordBatch([new Message(0, 0, null, 'value', 1)], 0, null, producer);
+
+      batch.readInt32BE(43).should.be.eql(0);
+      batch.readInt32BE(47).should.be.eql(4000);
+      batch.readInt16BE(51).should.be.eql(2);
+      batch.readInt32BE(53).should.be.eql(15);
+      batch.readUInt32BE(17).should.be.eql(crc32c(batch.slice(21)));
+    });
+
+    it('should encode batches without a producer id by default', function () {
+      const batch = protocol.encodeRecordBatch([new Message(0, 0, null, 'value', 1)], 0);
+
+      batch.readInt32BE(43).should.be.eql(-1);
+      batch.readInt32BE(47).should.be.eql(-1);
+      batch.readInt16BE(51).should.be.eql(-1);
+      batch.readInt32BE(53).should.be.eql(-1);
+    });
+
+    it('should decode records it encoded', function () {
+      const batch = protocol.encodeRecordBatch(
+        [
+          new Message(0, 0, 'key', 'value', 1530000000000),
+          new Message(0, 0, null, Buffer.from([1, 2, 3]), 1530000000005),
+          new Message(0, 0, Buffer.from('binary'), null, 1529999999999)
+        ],
+        0
+      );
+
+      const result = decode(batch);
+      result.set.should.be.eql([2]);
+      result.messages.should.have.length(3);
+
+      result.messages[0].key.toString().should.be.eql('key');
+      result.messages[0].value.toString().should.be.eql('value');
+      result.messages[0].offset.should.be.eql(0);
+      result.messages[0].highWaterOffset.should.be.eql(10);
+      result.messages[0].timestamp.getTime().should.be.eql(1530000000000);
+
+      (result.messages[1].key === null).should.be.true;
+      result.messages[1].value.should.be.eql(Buffer.from([1, 2, 3]));
+      result.messages[1].offset.should.be.eql(1);
+      result.messages[1].timestamp.getTime().should.be.eql(1530000000005);
+
+      (result.messages[2].value === null).should.be.true;
+      result.messages[2].timestamp.getTime().should.be.eql(1529999999999);
+    });
+
+    it('should decode consecutive batches and stop at a partial batch', function () {
+      const first = protocol.encodeRecordBatch([new Message(0, 0, null, 'a', 1)], 0);
+      const second = protocol.encodeRecordBatch([new Message(0, 0, null, 'b', 1)], 0);
+      second.writeInt32BE(0, 0);
+      second.writeInt32BE(1, 4);
+
+      const result = decode(Buffer.concat([first, second, second.slice(0, 30)]));
+      _.map(result.messages, 'offset').should.be.eql([0, 1]);
+      result.set.should.be.eql([0, 1]);
+    });
+
+    it('should decode compressed batches', function (done) {
+      const messages = [new Message(0, 0, 'k1', 'v1', 100), new Message(0, 0, 'k2', 'v2', 101)];
+      const compressed = zlib.gzipSync(protocol.encodeRecords(messages));
+      const batch = protocol.encodeRecordBatch(messages, 1, compressed);
+
+      const received = [];
+      const set = protocol.decodeMessageSet('test-topic', 0, batch, function (error, type, message) {
+        if (error) return done(error);
+        received.push(message);
+        if (received.length === 2) {
+          _.map(received, 'offset').should.be.eql([0, 1]);
+          _.map(received, m => m.value.toString()).should.be.eql(['v1', 'v2']);
+          done();
+        }
+      }, null, 2);
+      set.should.be.eql([1]);
+    });
+
+    it('should encode and decode record headers', function () {
+      const batch = protocol.encodeRecordBatch(
+        [
+          new Message(0, 0, null, 'a', 1, { traceId: 'abc', binary: Buffer.from([0, 1]) }),
+          new Message(0, 0, null, 'b', 1, [{ key: 'tenant', value: 't1' }, { key: 'tenant', value: 't2' }]),
+          new Message(0, 0, null, 'c', 1, { empty: null, repeated: ['x', 'y'] }),
+          new Message(0, 0, null, 'd', 1)
+        ],
+        0
+      );
+
+      const headers = _.map(decode(batch).messages, 'headers');
+      headers[0].traceId.toString().should.be.eql('abc');
+      headers[0].binary.should.be.eql(Buffer.from([0, 1]));
+      headers[1].tenant.map(String).should.be.eql(['t1', 't2']);
+      (headers[2].empty === null).should.be.true;
+      headers[2].repeated.map(String).should.be.eql(['x', 'y']);
+      headers[3].should.be.eql({});
+    });
+
+    it('should normalize headers to key value pairs', function () {
+      protocol.normalizeHeaders(null).should.be.eql([]);
+      protocol.normalizeHeaders({ a: '1', b: ['2', '3'] }).should.be.eql([
+        { key: 'a', value: '1' },
+        { key: 'b', value: '2' },
+        { key: 'b', value: '3' }
+      ]);
+    });
+
+    it('should skip aborted transactional batches', function () {
+      function transactionalBatch (baseOffset, producerId, attributes, key, value) {
+        const batch = protocol.encodeRecordBatch([new Message(0, 0, key, value, 1)], 0);
+        batch.writeInt32BE(baseOffset, 4);
+        batch.writeInt16BE(attributes, 21);
+        batch.writeInt32BE(0, 43);
+        batch.writeInt32BE(producerId, 47);
+        return updateCrc(batch);
+      }
+
+      const messageSet = Buffer.concat([
+        transactionalBatch(0, 5, 16, null, 'aborted'),
+        transactionalBatch(1, 7, 16, null, 'other producer'),
+        transactionalBatch(2, 5, 16 | 32, Buffer.from([0, 0, 0, 0]), null),
+        transactionalBatch(3, 5, 16, null, 'committed'),
+        transactionalBatch(4, 9, 0, null, 'plain')
+      ]);
+
+      const messages = [];
+      const set = protocol.decodeMessageSet(
+        'test-topic',
+        0,
+        messageSet,
+        function (error, type, message) {
+          if (error) throw error;
+          messages.push(message);
+        },
+        null,
+        10,
+        [{ producerId: 5, firstOffset: 0 }]
+      );
+
+      _.map(messages, 'value').map(String).should.be.eql(['other producer', 'committed', 'plain']);
+      set.should.be.eql([0, 1, 2, 3, 4]);
+    });
+
+    it('should skip control batches', function () {
+      const batch = protocol.encodeRecordBatch([new Message(0, 0, null, 'marker', 1)], 0);
+      batch.writeInt16BE(32, 21);
+
+      const result = decode(updateCrc(batch));
+      result.messages.should.be.empty;
+      result.set.should.be.eql([0]);
+    });
+
+    it('should report batches failing the CRC check and stop at them', function () {
+      const first = protocol.encodeRecordBatch([new Message(0, 0, null, 'a', 1)], 0);
+      const second = protocol.encodeRecordBatch([new Message(0, 0, null, 'b', 1)], 0);
+      second.writeInt32BE(1, 4);
+      second[second.length - 1] ^= 0xff;
+
+      const errors = [];
+      const messages = [];
+      const set = protocol.decodeMessageSet('test-topic', 0, Buffer.concat([first, second]), function (error, type, message) {
+        if (error) return errors.push(error);
+        messages.push(message);
+      }, null, 10);
+
+      _.map(messages, 'offset').should.be.eql([0]);
+      set.should.be.eql([0]);
+      errors.should.have.length(1);
+      errors[0].should.be.an.instanceOf(CorruptRecordBatchError);
+      errors[0].message.should.be.eql('Record batch failed the CRC check on topic test-topic partition 0 at offset 1');
+      errors[0].should.have.properties({ topic: 'test-topic', partition: 0, offset: 1, nextOffset: 2 });
+    });
+
+    it('should report truncated records instead of throwing', function () {
+      const messages = [new Message(0, 0, 'key', 'value', 1)];
+      const batch = protocol.encodeRecordBatch(messages, 0, protocol.encodeRecords(messages).slice(0, 4));
+
+      const errors = [];
+      const result = protocol.decodeMessageSet('test-topic', 0, batch, error => errors.push(error), null, 10);
+
+      result.should.be.eql([0]);
+      errors.should.have.length(1);
+      errors[0].should.be.an.instanceOf(CorruptRecordBatchError);
+      errors[0].message.should.startWith('Records could not be decoded: ');
+    });
+
+    it('should report records with a null header key', function () {
+      const messages = [new Message(0, 0, null, 'value', 1, { a: 'x' })];
+      const records = protocol.encodeRecords(messages);
+      // the length of the header key becomes -1
+      records[records.length - 4] = 1;
+
+      const errors = [];
+      protocol.decodeMessageSet('test-topic', 0, protocol.encodeRecordBatch(messages, 0, records), error => {
+        errors.push(error);
+      }, null, 10);
+
+      errors.should.have.length(1);
+      errors[0].message.should.startWith('Records could not be decoded: Record header key is null');
+    });
+
+    it('should report batches that cannot be decompressed', function (done) {
+      const batch = protocol.encodeRecordBatch([new Message(0, 0, null, 'a', 1)], 1, Buffer.from('not gzip'));
+
+      protocol.decodeMessageSet('test-topic', 0, batch, function (error) {
+        should(error).be.an.instanceOf(Error);
+        error.message.should.startWith('Record batch could not be decompressed: ');
+        error.should.have.properties({ topic: 'test-topic', partition: 0, offset: 0 });
+        done();
+      }, null, 10);
+    });
+  });
+
+  describe('produce request', function () {
+    const message = new protocolStruct.Message(0, 0, null, 'value', 1);
+    const payloads = [{ topic: 'topic', partition: 0, messages: [message], attributes: 0 }];
+    // size, api key, version, correlation id and client id
+    const headerSize = 4 + 2 + 2 + 4 + 2 + 'client'.length;
+    // acks, timeout, topics, topic, partitions, partition, message set size
+    const batchOffset = 2 + 4 + 4 + 2 + 'topic'.length + 4 + 4 + 4;
+
+    it('should encode a null transactional id from v3', function () {
+      const request = protocol.encodeProduceV3Request(1, 100)('client', 1, payloads);
+      request.readInt16BE(headerSize).should.be.eql(-1);
+      request.readInt16BE(headerSize + 2 + batchOffset + 21).should.be.eql(0);
+    });
+
+    it('should mark the batches of transactional requests', function () {
+      const request = protocol.encodeProduceV3Request(-1, 100, 'txn')('client', 1, payloads);
+      request.readInt16BE(headerSize).should.be.eql(3);
+      request.slice(headerSize + 2, headerSize + 5).toString().should.be.eql('txn');
+      request.readInt16BE(headerSize + 5 + batchOffset + 21).should.be.eql(16);
+    });
+  });
+
+  describe('produce response', function () {
+    function encodeResponse (errorCode) {
+      const topic = 'topic';
+      const body = Buffer.alloc(4 + 4 + 2 + topic.length + 4 + 4 + 2 + 8 + 8 + 8 + 4);
+      let offset = body.writeInt32BE(1, 0);
+      offset = body.writeInt32BE(1, offset);
+      offset = body.writeInt16BE(topic.length, offset);
+      offset += body.write(topic, offset);
+      offset = body.writeInt32BE(1, offset);
+      offset = body.writeInt32BE(0, offset);
+      offset = body.writeInt16BE(errorCode, offset);
+      offset = body.writeInt32BE(0, offset);
+      offset = body.writeInt32BE(42, offset); // offset
+      offset = body.writeInt32BE(-1, offset);
+      offset = body.writeInt32BE(-1, offset); // timestamp
+      offset = body.writeInt32BE(0, offset);
+      offset = body.writeInt32BE(7, offset); // log start offset
+      body.writeInt32BE(0, offset); // throttle time
+
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should decode v5 responses with the log start offset', function () {
+      protocol.decodeProduceV5Response(encodeResponse(0)).should.be.eql({ topic: { 0: 42 } });
+    });
+
+    it('should return an error for unsupported compression types', function () {
+      const error = protocol.decodeProduceV5Response(encodeResponse(76));
+      error.should.be.an.instanceOf(Error);
+      error.message.should.be.eql('UnsupportedCompressionType');
+    });
+
+    it('should return the errors and offsets of each partition', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(1)
+        .Int16BE(5)
+        .string('topic')
+        .Int32BE(3);
+      [[0, 0, 42], [1, 6, -1], [2, 19, -1]].forEach(function (partition) {
+        body
+          .Int32BE(partition[0])
+          .Int16BE(partition[1])
+          .Int64BE(partition[2])
+          .Int64BE(-1);
+      });
+      const response = body.Int32BE(0).make();
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(response.length);
+
+      const error = protocol.decodeProduceV2Response(Buffer.concat([size, response]));
+      error.message.should.be.eql('NotLeaderForPartition');
+      error.errorCode.should.be.eql(6);
+      error.partitionErrors.should.be.eql([
+        { topic: 'topic', partition: 1, error: 'NotLeaderForPartition', errorCode: 6 },
+        { topic: 'topic', partition: 2, error: 'NotEnoughReplicas', errorCode: 19 }
+      ]);
+      error.offsets.should.be.eql({ topic: { 0: 42 } });
+    });
+  });
+
+  describe('fetch request', function () {
+    const payloads = [{ topic: 'topic', partition: 0, offset: 10, maxBytes: 1024 }];
+
+    it('should encode the isolation level from v4', function () {
+      const request = protocol.encodeFetchRequestV4(100, 1, 1024, 1)('client', 1, payloads);
+      request.readInt16BE(6).should.be.eql(4);
+      request.readInt8(4 + 2 + 2 + 4 + 2 + 'client'.length + 16).should.be.eql(1);
+    });
+
+    it('should encode the log start offset and sessionless fetch fields from v7', function () {
+      const v4 = protocol.encodeFetchRequestV4(100, 1, 1024, 0)('client', 1, payloads);
+      const v7 = protocol.encodeFetchRequestV7(100, 1, 1024, 0)('client', 1, payloads);
+      v7.readInt16BE(6).should.be.eql(7);
+      v7.length.should.be.eql(v4.length + 8 + 8 + 4);
+
+      const sessionOffset = 4 + 2 + 2 + 4 + 2 + 'client'.length + 17;
+      v7.readInt32BE(sessionOffset).should.be.eql(0);
+      v7.readInt32BE(sessionOffset + 4).should.be.eql(-1);
+    });
+
+    it('should encode the current leader epoch from v9', function () {
+      const v8 = protocol.encodeFetchRequestV8(100, 1, 1024, 0)('client', 1, payloads);
+      const v10 = protocol.encodeFetchRequestV10(100, 1, 1024, 0)('client', 1, payloads);
+      v10.readInt16BE(6).should.be.eql(10);
+      v10.length.should.be.eql(v8.length + 4);
+
+      // session id and epoch, topics, topic and partitions
+      const partitionOffset = 4 + 2 + 2 + 4 + 2 + 'client'.length + 17 + 8 + 4 + 2 + 'topic'.length + 4;
+      v10.readInt32BE(partitionOffset).should.be.eql(0);
+      v10.readInt32BE(partitionOffset + 4).should.be.eql(-1);
+      v10.readInt32BE(partitionOffset + 8 + 4).should.be.eql(10);
+    });
+  });
+
+  describe('fetch response', function () {
+    const Message = protocolStruct.Message;
+
+    function encodeResponse (messageSet) {
+      const body = new Buffermaker()
+        .Int32BE(1) // correlation id
+        .Int32BE(0) // throttle time
+        .Int16BE(0)
+        .Int32BE(0) // session id
+        .Int32BE(1)
+        .Int16BE('topic'.length)
+        .string('topic')
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(0)
+        .Int64BE(2) // high water offset
+        .Int64BE(2) // last stable offset
+        .Int64BE(0) // log start offset
+        .Int32BE(-1) // aborted transactions
+        .Int32BE(messageSet.length)
+        .string(messageSet)
+        .make();
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should decode zstd compressed batches of fetch v10', function (done) {
+      if (optional('zstd-napi') == null) {
+        return this.skip();
+      }
+
+      const messages = [new Message(0, 0, 'k1', 'v1', 100), new Message(0, 0, 'k2', 'v2', 101)];
+      getCodec(4).encode(protocol.encodeRecords(messages), function (error, compressed) {
+        if (error) return done(error);
+
+        const decode = versionSupport.apiMap.fetch[10][1];
+        const received = [];
+        decode(function (error, type, message) {
+          if (error) return done(error);
+          if (type === 'message') {
+            received.push(message);
+          }
+        })(encodeResponse(protocol.encodeRecordBatch(messages, 4, compressed)));
+
+        _.map(received, 'offset').should.be.eql([0, 1]);
+        _.map(received, m => m.value.toString()).should.be.eql(['v1', 'v2']);
+        _.map(received, m => m.key.toString()).should.be.eql(['k1', 'k2']);
+        done();
+      });
+    });
+  });
+
+  describe('offset request', function () {
+    const payloads = [{ topic: 'topic', partition: 0, time: 1530000000000, maxNum: 1 }];
+
+    it('should encode v1 requests without the max number of offsets', function () {
+      const v0 = protocol.encodeOffsetRequest('client', 1, payloads);
+      const v1 = protocol.encodeOffsetV1Request('client', 1, payloads);
+      v1.readInt16BE(6).should.be.eql(1);
+      v1.length.should.be.eql(v0.length - 4);
+    });
+
+    it('should encode the isolation level from v2', function () {
+      const v1 = protocol.encodeOffsetV1Request('client', 1, payloads);
+      const v2 = protocol.encodeOffsetV2Request('client', 1, payloads);
+      v2.readInt16BE(6).should.be.eql(2);
+      v2.length.should.be.eql(v1.length + 1);
+    });
+
+    it('should decode the offset and timestamp of v2 responses', function () {
+      const topic = 'topic';
+      const body = Buffer.alloc(4 + 4 + 4 + 2 + topic.length + 4 + 4 + 2 + 8 + 8);
+      let offset = body.writeInt32BE(1, 0); // correlation id
+      offset = body.writeInt32BE(0, offset); // throttle time
+      offset = body.writeInt32BE(1, offset);
+      offset = body.writeInt16BE(topic.length, offset);
+      offset += body.write(topic, offset);
+      offset = body.writeInt32BE(1, offset);
+      offset = body.writeInt32BE(0, offset);
+      offset = body.writeInt16BE(0, offset);
+      offset = body.writeInt32BE(356, offset);
+      offset = body.writeUInt32BE(1530000000000 % 4294967296, offset); // timestamp
+      offset = body.writeInt32BE(0, offset);
+      body.writeInt32BE(42, offset); // offset
+
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      protocol.decodeOffsetV2Response(Buffer.concat([size, body])).should.be.eql({
+        topic: { 0: { offset: 42, timestamp: 1530000000000 } }
+      });
+    });
+
+    it('should decode -1 when no message is after the timestamp', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(1)
+        .Int16BE(1)
+        .string('t')
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(0)
+        .Int64BE(-1)
+        .Int64BE(-1)
+        .make();
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      protocol.decodeOffsetV1Response(Buffer.concat([size, body])).should.be.eql({
+        t: { 0: { offset: -1, timestamp: -1 } }
+      });
+    });
+  });
+
+  describe('metadata', function () {
+    function withSize (body) {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should encode whether topics are auto created from v4', function () {
+      const v3 = protocol.encodeMetadataV3Request('client', 1, ['t']);
+      const v4 = protocol.encodeMetadataV4Request('client', 1, ['t'], false);
+      const v5 = protocol.encodeMetadataV5Request('client', 1, null);
+
+      v3.slice(20).should.be.eql(Buffer.from([0, 0, 0, 1, 0, 1, 116]));
+      v4.readInt16BE(6).should.be.eql(4);
+      v4.slice(20).should.be.eql(Buffer.from([0, 0, 0, 1, 0, 1, 116, 0]));
+      v5.slice(20).should.be.eql(Buffer.from([255, 255, 255, 255, 1]));
+    });
+
+    it('should decode the cluster id, internal flag and offline replicas of v5 responses', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int32BE(1)
+        .Int16BE(9)
+        .string('localhost')
+        .Int32BE(9092)
+        .Int16BE(-1)
+        .Int16BE(7)
+        .string('cluster')
+        .Int32BE(1)
+        .Int32BE(2)
+        .Int16BE(0)
+        .Int16BE(18)
+        .string('__consumer_offsets')
+        .Int8(1)
+        .Int32BE(1)
+        .Int16BE(5)
+        .Int32BE(0)
+        .Int32BE(-1)
+        .Int32BE(2)
+        .Int32BE(1)
+        .Int32BE(2)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int32BE(2)
+        .Int16BE(3)
+        .Int16BE(7)
+        .string('missing')
+        .Int8(0)
+        .Int32BE(0)
+        .make();
+
+      const result = protocol.decodeMetadataV5Response(withSize(body));
+      result[0].should.be.eql({ 1: { nodeId: 1, host: 'localhost', port: 9092, rack: null } });
+      result[1].clusterMetadata.should.be.eql({ controllerId: 1, clusterId: 'cluster' });
+      result[1].metadata.should.be.eql({ __consumer_offsets: {} });
+      result[1].error.should.be.eql(['LeaderNotAvailable', 'UnknownTopicOrPartition']);
+      result[1].topicDetails.should.be.eql({
+        __consumer_offsets: {
+          isInternal: true,
+          error: null,
+          partitions: [
+            { partition: 0, leader: -1, replicas: [1, 2], isr: [], offlineReplicas: [2], error: 'LeaderNotAvailable' }
+          ]
+        },
+        missing: { isInternal: false, error: 'UnknownTopicOrPartition', partitions: [] }
+      });
+    });
+
+    it('should decode v0 responses without cluster metadata', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int16BE(0)
+        .Int16BE(1)
+        .string('t')
+        .Int32BE(1)
+        .Int16BE(0)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int32BE(1)
+        .Int32BE(1)
+        .Int32BE(1)
+        .Int32BE(1)
+        .make();
+
+      const result = protocol.decodeMetadataResponse(withSize(body));
+      result[1].should.not.have.property('clusterMetadata');
+      result[1].metadata.t[0].should.be.eql(new protocolStruct.PartitionMetadata('t', 0, 1, [1], [1]));
+      result[1].topicDetails.t.should.be.eql({
+        isInternal: false,
+        error: null,
+        partitions: [{ partition: 0, leader: 1, replicas: [1], isr: [1], offlineReplicas: [], error: null }]
+      });
+    });
+  });
+
+  describe('offset fetch', function () {
+    it('should fetch all the offsets of the group with a null topic list from v2', function () {
+      const request = protocol.encodeOffsetFetchV2Request('client', 1, 'g', null);
+      request.readInt16BE(6).should.be.eql(2);
+      request.slice(20).should.be.eql(Buffer.from([0, 1, 103, 255, 255, 255, 255]));
+
+      (function () {
+        protocol.encodeOffsetFetchV1Request('client', 1, 'g', null);
+      }.should.throw(/requires a broker supporting OffsetFetch v2/));
+    });
+
+    it('should decode the offsets and group error of v3 responses', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int16BE(1)
+        .string('t')
+        .Int32BE(2)
+        .Int32BE(0)
+        .Int64BE(0)
+        .Int16BE(0)
+        .Int16BE(0)
+        .Int32BE(1)
+        .Int64BE(-1)
+        .Int16BE(-1)
+        .Int16BE(0)
+        .Int16BE(0)
+        .make();
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      const response = Buffer.concat([size, body]);
+
+      protocol.decodeOffsetFetchV3Response(response).should.be.eql({ t: { 0: 0, 1: -1 } });
+
+      response.writeInt16BE(14, response.length - 2);
+      const error = protocol.decodeOffsetFetchV3Response(response);
+      error.should.be.an.instanceOf(Error);
+      error.errorCode.should.be.eql(14);
+    });
+  });
+
+  describe('delete topics', function () {
+    function deleteTopicsResponse (topics) {
+      const parts = [Buffer.alloc(8)];
+      parts[0].writeInt32BE(1, 0); // correlation id
+      parts[0].writeInt32BE(topics.length, 4);
+      topics.forEach(function (topic) {
+        const part = Buffer.alloc(2 + topic.topic.length + 2);
+        part.writeInt16BE(topic.topic.length, 0);
+        part.write(topic.topic, 2);
+        part.writeInt16BE(topic.errorCode, 2 + topic.topic.length);
+        parts.push(part);
+      });
+      const body = Buffer.concat(parts);
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should encode the topic names and timeout', function () {
+      const request = protocol.encodeDeleteTopicsRequest('client', 1, ['a', 'bc'], 5000);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.deleteTopics);
+      request.readInt16BE(6).should.be.eql(0);
+      // after the size prefix and the header with the 6 bytes client id
+      request.slice(20).should.be.eql(Buffer.from([0, 0, 0, 2, 0, 1, 97, 0, 2, 98, 99, 0, 0, 19, 136]));
+    });
+
+    it('should decode per topic errors', function () {
+      protocol
+        .decodeDeleteTopicsResponse(
+          deleteTopicsResponse([{ topic: 'deleted', errorCode: 0 }, { topic: 'missing', errorCode: 3 }])
+        )
+        .should.be.eql([{ topic: 'missing', error: 'UnknownTopicOrPartition' }]);
+    });
+
+    it('should return an error when the broker is not the controller', function () {
+      const error = protocol.decodeDeleteTopicsResponse(deleteTopicsResponse([{ topic: 'topic', errorCode: 41 }]));
+      error.should.be.an.instanceOf(NotControllerError);
+    });
+  });
+
+  describe('init producer id', function () {
+    function withSize (body) {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should encode a null transactional id', function () {
+      const request = protocol.encodeInitProducerIdRequest('client', 1, null, 0);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.initProducerId);
+      request.slice(20).should.be.eql(Buffer.from([255, 255, 0, 0, 0, 0]));
+    });
+
+    it('should decode the producer id and epoch', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(0)
+        .Int64BE(4000)
+        .Int16BE(1)
+        .make();
+      protocol.decodeInitProducerIdResponse(withSize(body)).should.be.eql({ producerId: 4000, producerEpoch: 1 });
+    });
+
+    it('should return errors', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(31)
+        .Int64BE(-1)
+        .Int16BE(-1)
+        .make();
+      const error = protocol.decodeInitProducerIdResponse(withSize(body));
+      error.should.be.an.instanceOf(Error);
+      error.message.should.be.eql('ClusterAuthorizationFailed');
+    });
+  });
+
+  describe('find coordinator', function () {
+    function withSize (body) {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should encode the coordinator type from v1', function () {
+      const request = protocol.encodeGroupCoordinatorV1Request('client', 1, 'txn', 1);
+      request.readInt16BE(6).should.be.eql(1);
+      request.slice(20).should.be.eql(Buffer.from([0, 3, 116, 120, 110, 1]));
+    });
+
+    it('should decode the coordinator of v1 responses', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(0)
+        .Int16BE(-1)
+        .Int32BE(2)
+        .Int16BE(4)
+        .string('host')
+        .Int32BE(9092)
+        .make();
+      protocol.decodeGroupCoordinatorV1Response(withSize(body)).should.be.eql({
+        coordinatorHost: 'host',
+        coordinatorPort: 9092,
+        coordinatorId: 2
+      });
+    });
+
+    it('should return coordinator errors of v1 responses', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(15)
+        .Int16BE(5)
+        .string('error')
+        .Int32BE(-1)
+        .Int16BE(0)
+        .Int32BE(-1)
+        .make();
+      protocol.decodeGroupCoordinatorV1Response(withSize(body)).should.be.an.instanceOf(GroupCoordinatorNotAvailable);
+    });
+  });
+
+  describe('transactions', function () {
+    const producer = { producerId: 4000, producerEpoch: 2 };
+
+    function withSize (body) {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should encode the partitions added to a transaction', function () {
+      const request = protocol.encodeAddPartitionsToTxnRequest('client', 1, 'txn', producer, [
+        { topic: 't', partitions: [0, 1] }
+      ]);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.addPartitionsToTxn);
+      request.slice(20).should.be.eql(
+        new Buffermaker()
+          .Int16BE(3)
+          .string('txn')
+          .Int64BE(4000)
+          .Int16BE(2)
+          .Int32BE(1)
+          .Int16BE(1)
+          .string('t')
+          .Int32BE(2)
+          .Int32BE(0)
+          .Int32BE(1)
+          .make()
+      );
+    });
+
+    function addPartitionsResponse (errorCodes) {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int16BE(1)
+        .string('t')
+        .Int32BE(errorCodes.length);
+      errorCodes.forEach(function (errorCode, partition) {
+        body.Int32BE(partition).Int16BE(errorCode);
+      });
+      return withSize(body.make());
+    }
+
+    it('should decode added partitions', function () {
+      should(protocol.decodeAddPartitionsToTxnResponse(addPartitionsResponse([0, 0]))).be.null;
+    });
+
+    it('should return the error causing the other partitions not to be added', function () {
+      const error = protocol.decodeAddPartitionsToTxnResponse(addPartitionsResponse([55, 51, 55]));
+      error.message.should.be.eql('ConcurrentTransactions');
+    });
+
+    it('should encode the result of a transaction', function () {
+      const commit = protocol.encodeEndTxnRequest('client', 1, 'txn', producer, true);
+      const abort = protocol.encodeEndTxnRequest('client', 1, 'txn', producer, false);
+      commit.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.endTxn);
+      commit.slice(20).should.be.eql(Buffer.from([0, 3, 116, 120, 110, 0, 0, 0, 0, 0, 0, 15, 160, 0, 2, 1]));
+      abort[abort.length - 1].should.be.eql(0);
+    });
+
+    it('should decode the errors of transaction results', function () {
+      const ok = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(0)
+        .make();
+      const fenced = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(47)
+        .make();
+      should(protocol.decodeEndTxnResponse(withSize(ok))).be.null;
+      protocol.decodeEndTxnResponse(withSize(fenced)).message.should.be.eql('InvalidProducerEpoch');
+    });
+
+    it('should encode the group whose offsets are added to a transaction', function () {
+      const request = protocol.encodeAddOffsetsToTxnRequest('client', 1, 'txn', producer, 'g');
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.addOffsetsToTxn);
+      request.slice(20).should.be.eql(
+        new Buffermaker()
+          .Int16BE(3)
+          .string('txn')
+          .Int64BE(4000)
+          .Int16BE(2)
+          .Int16BE(1)
+          .string('g')
+          .make()
+      );
+    });
+
+    const offsets = [{ topic: 't', partition: 0, offset: 10 }, { topic: 't', partition: 1, offset: 20, metadata: 'm' }];
+    const member = { generationId: 5, memberId: 'm-1' };
+
+    it('should encode transactional offset commits', function () {
+      const request = protocol.encodeTxnOffsetCommitRequest('client', 1, 'txn', 'g', producer, member, offsets);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.txnOffsetCommit);
+      request.slice(20).should.be.eql(
+        new Buffermaker()
+          .Int16BE(3)
+          .string('txn')
+          .Int16BE(1)
+          .string('g')
+          .Int64BE(4000)
+          .Int16BE(2)
+          .Int32BE(1)
+          .Int16BE(1)
+          .string('t')
+          .Int32BE(2)
+          .Int32BE(0)
+          .Int64BE(10)
+          .Int16BE(-1)
+          .Int32BE(1)
+          .Int64BE(20)
+          .Int16BE(1)
+          .string('m')
+          .make()
+      );
+
+      const v2 = protocol.encodeTxnOffsetCommitV2Request('client', 1, 'txn', 'g', producer, member, offsets);
+      v2.readInt16BE(6).should.be.eql(2);
+      v2.length.should.be.eql(request.length + 8);
+      v2.readInt32BE(v2.length - 7).should.be.eql(-1);
+    });
+
+    it('should encode the group member of v3 transactional offset commits', function () {
+      const request = protocol.encodeTxnOffsetCommitV3Request('client', 1, 'txn', 'g', producer, member, offsets);
+      request.readInt16BE(6).should.be.eql(3);
+      request.slice(20).should.be.eql(
+        new Buffermaker()
+          .Int8(0)
+          .Int8(4)
+          .string('txn')
+          .Int8(2)
+          .string('g')
+          .Int64BE(4000)
+          .Int16BE(2)
+          .Int32BE(5)
+          .Int8(4)
+          .string('m-1')
+          .Int8(0)
+          .Int8(2)
+          .Int8(2)
+          .string('t')
+          .Int8(3)
+          .Int32BE(0)
+          .Int64BE(10)
+          .Int32BE(-1)
+          .Int8(0)
+          .Int8(0)
+          .Int32BE(1)
+          .Int64BE(20)
+          .Int32BE(-1)
+          .Int8(2)
+          .string('m')
+          .Int8(0)
+          .Int8(0)
+          .Int8(0)
+          .make()
+      );
+    });
+
+    it('should decode the errors of transactional offset commits', function () {
+      function response (errorCode) {
+        return withSize(
+          new Buffermaker()
+            .Int32BE(1)
+            .Int32BE(0)
+            .Int32BE(1)
+            .Int16BE(1)
+            .string('t')
+            .Int32BE(1)
+            .Int32BE(0)
+            .Int16BE(errorCode)
+            .make()
+        );
+      }
+      should(protocol.decodeTxnOffsetCommitResponse(response(0))).be.null;
+      protocol.decodeTxnOffsetCommitResponse(response(16)).should.be.an.instanceOf(NotCoordinatorForGroup);
+    });
+
+    it('should decode the errors of v3 transactional offset commits', function () {
+      function response (errorCode) {
+        return withSize(
+          new Buffermaker()
+            .Int32BE(1)
+            .Int8(0)
+            .Int32BE(0)
+            .Int8(2)
+            .Int8(2)
+            .string('t')
+            .Int8(2)
+            .Int32BE(0)
+            .Int16BE(errorCode)
+            // a tagged field of 2 bytes
+            .Int8(1)
+            .Int8(0)
+            .Int8(2)
+            .Int16BE(0)
+            .Int8(0)
+            .Int8(0)
+            .make()
+        );
+      }
+      should(protocol.decodeTxnOffsetCommitV3Response(response(0))).be.null;
+      protocol.decodeTxnOffsetCommitV3Response(response(22)).should.be.an.instanceOf(IllegalGeneration);
+    });
+  });
+
+  describe('delete groups', function () {
+    it('should encode the group ids', function () {
+      const request = protocol.encodeDeleteGroupsRequest('client', 1, ['g1', 'g2']);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.deleteGroups);
+      request.slice(20).should.be.eql(Buffer.from([0, 0, 0, 2, 0, 2, 103, 49, 0, 2, 103, 50]));
+    });
+
+    it('should decode the error of each group', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(2)
+        .Int16BE(2)
+        .string('g1')
+        .Int16BE(0)
+        .Int16BE(2)
+        .string('g2')
+        .Int16BE(68)
+        .make();
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      protocol.decodeDeleteGroupsResponse(Buffer.concat([size, body])).should.be.eql([
+        { groupId: 'g1', error: null },
+        { groupId: 'g2', error: 'NonEmptyGroup' }
+      ]);
+    });
+  });
+
+  describe('offset delete', function () {
+    function withSize (body) {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should encode the partitions of each topic', function () {
+      const request = protocol.encodeOffsetDeleteRequest('client', 1, 'g', [{ topic: 't', partitions: [0, 1] }]);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.offsetDelete);
+      request.slice(20).should.be.eql(
+        Buffer.from([0, 1, 103, 0, 0, 0, 1, 0, 1, 116, 0, 0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 1])
+      );
+    });
+
+    it('should decode partition errors', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int16BE(0)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int16BE(1)
+        .string('t')
+        .Int32BE(2)
+        .Int32BE(0)
+        .Int16BE(0)
+        .Int32BE(1)
+        .Int16BE(86)
+        .make();
+      protocol.decodeOffsetDeleteResponse(withSize(body)).should.be.eql([
+        { topic: 't', partition: 0, error: null },
+        { topic: 't', partition: 1, error: 'GroupSubscribedToTopic' }
+      ]);
+    });
+
+    it('should return group errors', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int16BE(69)
+        .Int32BE(0)
+        .Int32BE(0)
+        .make();
+      const error = protocol.decodeOffsetDeleteResponse(withSize(body));
+      error.should.be.an.instanceOf(Error);
+      error.message.should.be.eql('GroupIdNotFound');
+    });
+  });
+
+  describe('create partitions', function () {
+    it('should encode the assignment of the new partitions', function () {
+      const request = protocol.encodeCreatePartitionsRequest(
+        'client',
+        1,
+        [{ topic: 'a', count: 3, assignment: [[1, 2]] }, { topic: 'b', count: 2 }],
+        5000,
+        true
+      );
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.createPartitions);
+      // after the size prefix and the header with the 6 bytes client id
+      request.slice(20).should.be.eql(
+        Buffer.from([
+          0, 0, 0, 2,
+          0, 1, 97, 0, 0, 0, 3, 0, 0, 0, 1, 0, 0, 0, 2, 0, 0, 0, 1, 0, 0, 0, 2,
+          0, 1, 98, 0, 0, 0, 2, 255, 255, 255, 255,
+          0, 0, 19, 136, 1
+        ])
+      );
+    });
+
+    it('should decode per topic errors with their message', function () {
+      const topic = 'topic';
+      const message = 'Topic already has 3 partitions.';
+      const body = Buffer.alloc(4 + 4 + 4 + 2 + topic.length + 2 + 2 + message.length);
+      let offset = body.writeInt32BE(1, 0); // correlation id
+      offset = body.writeInt32BE(0, offset); // throttle time
+      offset = body.writeInt32BE(1, offset);
+      offset = body.writeInt16BE(topic.length, offset);
+      offset += body.write(topic, offset);
+      offset = body.writeInt16BE(37, offset);
+      offset = body.writeInt16BE(message.length, offset);
+      body.write(message, offset);
+
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      protocol.decodeCreatePartitionsResponse(Buffer.concat([size, body])).should.be.eql([
+        { topic: 'topic', error: message }
+      ]);
+    });
+
+    it('should name the error of a null error message', function () {
+      const body = new Buffermaker()
+        .Int32BE(1) // correlation id
+        .Int32BE(0) // throttle time
+        .Int32BE(2)
+        .Int16BE(1)
+        .string('a')
+        .Int16BE(39)
+        .Int16BE(-1)
+        .Int16BE(1)
+        .string('b')
+        .Int16BE(38)
+        .Int16BE(-1)
+        .make();
+
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      protocol.decodeCreatePartitionsResponse(Buffer.concat([size, body])).should.be.eql([
+        { topic: 'a', error: 'InvalidReplicaAssignment' },
+        { topic: 'b', error: 'InvalidReplicationFactor' }
+      ]);
+    });
+  });
+
+  describe('configs', function () {
+    function withSize (body) {
+      return new Buffermaker().Int32BE(body.length).string(body).make();
+    }
+
+    function string (buffer, value) {
+      if (value == null) {
+        return buffer.Int16BE(-1);
+      }
+      return buffer.Int16BE(value.length).string(value);
+    }
+
+    it('should encode the include synonyms flag from describe configs v1', function () {
+      const resources = [{ type: 2, name: 'topic', configNames: ['retention.ms'] }, { type: 4, name: '1' }];
+      const v0 = protocol.encodeDescribeConfigsRequest('client', 1, resources, true);
+      const v1 = protocol.encodeDescribeConfigsV1Request('client', 1, resources, true);
+
+      v0.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.describeConfigs);
+      v0.slice(20).should.be.eql(
+        Buffer.concat([
+          Buffer.from([0, 0, 0, 2, 2, 0, 5]),
+          Buffer.from('topic'),
+          Buffer.from([0, 0, 0, 1, 0, 12]),
+          Buffer.from('retention.ms'),
+          Buffer.from([4, 0, 1, 49, 255, 255, 255, 255])
+        ])
+      );
+      v1.readInt16BE(6).should.be.eql(1);
+      v1.slice(20).should.be.eql(Buffer.concat([v0.slice(20), Buffer.from([1])]));
+    });
+
+    it('should decode config entries and synonyms of describe configs v1', function () {
+      const body = new Buffermaker().Int32BE(1).Int32BE(0).Int32BE(1).Int16BE(0);
+      string(body, null).Int8(2);
+      string(body, 'topic').Int32BE(2);
+      string(body, 'retention.ms');
+      string(body, '3600000').Int8(0).Int8(1).Int8(0).Int32BE(1);
+      string(body, 'retention.ms');
+      string(body, '3600000').Int8(1);
+      string(body, 'sasl.jaas.config');
+      string(body, null).Int8(1).Int8(4).Int8(1).Int32BE(0);
+
+      protocol.decodeDescribeConfigsV1Response(withSize(body.make())).should.be.eql([
+        {
+          resourceType: 'topic',
+          resourceName: 'topic',
+          error: null,
+          configEntries: [
+            {
+              configName: 'retention.ms',
+              configValue: '3600000',
+              readOnly: false,
+              isDefault: false,
+              isSensitive: false,
+              configSource: 'topic',
+              synonyms: [{ configName: 'retention.ms', configValue: '3600000', configSource: 'topic' }]
+            },
+            {
+              configName: 'sasl.jaas.config',
+              configValue: null,
+              readOnly: true,
+              isDefault: false,
+              isSensitive: true,
+              configSource: 'staticBroker',
+              synonyms: []
+            }
+          ]
+        }
+      ]);
+    });
+
+    it('should decode the default flag and resource errors of describe configs v0', function () {
+      const body = new Buffermaker().Int32BE(1).Int32BE(0).Int32BE(2).Int16BE(0);
+      string(body, null).Int8(2);
+      string(body, 'topic').Int32BE(1);
+      string(body, 'cleanup.policy');
+      string(body, 'delete').Int8(0).Int8(1).Int8(0);
+      body.Int16BE(3);
+      string(body, null).Int8(2);
+      string(body, 'missing').Int32BE(0);
+
+      const resources = protocol.decodeDescribeConfigsResponse(withSize(body.make()));
+      resources[0].configEntries[0].isDefault.should.be.true;
+      resources[0].configEntries[0].configSource.should.be.eql('default');
+      resources[1].should.be.eql({
+        resourceType: 'topic',
+        resourceName: 'missing',
+        error: 'UnknownTopicOrPartition',
+        configEntries: []
+      });
+    });
+
+    it('should encode the operation of incremental alter configs', function () {
+      const request = protocol.encodeIncrementalAlterConfigsRequest(
+        'client',
+        1,
+        [{ type: 2, name: 't', configEntries: [{ name: 'a', value: 'b', operation: 2 }, { name: 'c', operation: 1 }] }],
+        false
+      );
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.incrementalAlterConfigs);
+      request.slice(20).should.be.eql(
+        Buffer.from([0, 0, 0, 1, 2, 0, 1, 116, 0, 0, 0, 2, 0, 1, 97, 2, 0, 1, 98, 0, 1, 99, 1, 255, 255, 0])
+      );
+    });
+
+    it('should decode alter configs responses', function () {
+      const body = new Buffermaker().Int32BE(1).Int32BE(0).Int32BE(2).Int16BE(0);
+      string(body, null).Int8(4);
+      string(body, '1').Int16BE(40);
+      string(body, 'Invalid value -1 for configuration retention.ms').Int8(2);
+      string(body, 'topic');
+
+      protocol.decodeAlterConfigsResponse(withSize(body.make())).should.be.eql([
+        { resourceType: 'broker', resourceName: '1', error: null },
+        { resourceType: 'topic', resourceName: 'topic', error: 'Invalid value -1 for configuration retention.ms' }
+      ]);
+    });
+
+    it('should name the error of a null error message', function () {
+      const body = new Buffermaker().Int32BE(1).Int32BE(0).Int32BE(1).Int16BE(40);
+      string(body, null).Int8(2);
+      string(body, 'topic');
+
+      protocol.decodeAlterConfigsResponse(withSize(body.make())).should.be.eql([
+        { resourceType: 'topic', resourceName: 'topic', error: 'InvalidConfig' }
+      ]);
+    });
+  });
+
+  describe('delete records', function () {
+    it('should encode the offsets of each partition and the timeout', function () {
+      const payloads = [{ topic: 't', partition: 0, offset: 10 }, { topic: 't', partition: 1, offset: -1 }];
+      const request = protocol.encodeDeleteRecordsRequest(5000)('client', 1, payloads);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.deleteRecords);
+      request.slice(20).should.be.eql(
+        Buffer.from([
+          0, 0, 0, 1, 0, 1, 116, 0, 0, 0, 2,
+          0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 10,
+          0, 0, 0, 1, 255, 255, 255, 255, 255, 255, 255, 255,
+          0, 0, 19, 136
+        ])
+      );
+    });
+
+    it('should decode the low watermark of each partition', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int16BE(1)
+        .string('t')
+        .Int32BE(2)
+        .Int32BE(0)
+        .Int64BE(10)
+        .Int16BE(0)
+        .Int32BE(1)
+        .Int64BE(42)
+        .Int16BE(0)
+        .make();
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      protocol.decodeDeleteRecordsResponse(Buffer.concat([size, body])).should.be.eql([
+        { topic: 't', partition: 0, lowWatermark: 10, error: null },
+        { topic: 't', partition: 1, lowWatermark: 42, error: null }
+      ]);
+    });
+
+    it('should return the errors of the failed partitions with the other results', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int16BE(1)
+        .string('t')
+        .Int32BE(2)
+        .Int32BE(0)
+        .Int64BE(-1)
+        .Int16BE(1)
+        .Int32BE(1)
+        .Int64BE(42)
+        .Int16BE(0)
+        .make();
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      protocol.decodeDeleteRecordsResponse(Buffer.concat([size, body])).should.be.eql([
+        { topic: 't', partition: 0, lowWatermark: null, error: 'OffsetOutOfRange' },
+        { topic: 't', partition: 1, lowWatermark: 42, error: null }
+      ]);
+    });
+  });
+
+  describe('acls', function () {
+    const filter = {
+      resourceType: 2,
+      resourceName: 't',
+      resourcePatternType: 3,
+      principal: null,
+      host: null,
+      operation: 1,
+      permissionType: 1
+    };
+
+    function withSize (body) {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(body.length);
+      return Buffer.concat([size, body]);
+    }
+
+    it('should encode the resource pattern type of describe acls from v1', function () {
+      const v0 = protocol.encodeDescribeAclsRequest('client', 1, filter);
+      const v1 = protocol.encodeDescribeAclsV1Request('client', 1, filter);
+
+      v0.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.describeAcls);
+      v0.slice(20).should.be.eql(Buffer.from([2, 0, 1, 116, 255, 255, 255, 255, 1, 1]));
+      v1.readInt16BE(6).should.be.eql(1);
+      v1.slice(20).should.be.eql(Buffer.from([2, 0, 1, 116, 3, 255, 255, 255, 255, 1, 1]));
+    });
+
+    it('should not encode prefixed acls for v0', function () {
+      const prefixed = Object.assign({}, filter, { resourcePatternType: 4 });
+      (function () {
+        protocol.encodeDescribeAclsRequest('client', 1, prefixed);
+      }.should.throw(/requires a broker supporting ACLs v1/));
+      (function () {
+        protocol.encodeCreateAclsRequest('client', 1, [
+          Object.assign({ resourceName: 't', principal: 'User:a', host: '*' }, prefixed)
+        ]);
+      }.should.throw(/requires a broker supporting ACLs v1/));
+    });
+
+    it('should encode the acls to create', function () {
+      const acl = {
+        resourceType: 3,
+        resourceName: 'g',
+        resourcePatternType: 4,
+        principal: 'User:a',
+        host: '*',
+        operation: 3,
+        permissionType: 3
+      };
+      const request = protocol.encodeCreateAclsV1Request('client', 1, [acl]);
+      request.readInt16BE(4).should.be.eql(protocolStruct.REQUEST_TYPE.createAcls);
+      request.slice(20).should.be.eql(
+        Buffer.concat([
+          Buffer.from([0, 0, 0, 1, 3, 0, 1, 103, 4, 0, 6]),
+          Buffer.from('User:a'),
+          Buffer.from([0, 1, 42, 3, 3])
+        ])
+      );
+    });
+
+    it('should decode the acls of each resource', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(0)
+        .Int16BE(-1)
+        .Int32BE(1)
+        .Int8(2)
+        .Int16BE(1)
+        .string('t')
+        .Int8(4)
+        .Int32BE(1)
+        .Int16BE(6)
+        .string('User:a')
+        .Int16BE(1)
+        .string('*')
+        .Int8(3)
+        .Int8(3)
+        .make();
+
+      protocol.decodeDescribeAclsV1Response(withSize(body)).should.be.eql([
+        {
+          resourceType: 2,
+          resourceName: 't',
+          resourcePatternType: 4,
+          acls: [{ principal: 'User:a', host: '*', operation: 3, permissionType: 3 }]
+        }
+      ]);
+    });
+
+    it('should return an error when acls cannot be described', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int16BE(54)
+        .Int16BE(-1)
+        .Int32BE(0)
+        .make();
+
+      const error = protocol.decodeDescribeAclsResponse(withSize(body));
+      error.should.be.an.instanceOf(Error);
+      error.message.should.be.eql('SecurityDisabled');
+      error.errorCode.should.be.eql(54);
+    });
+
+    it('should decode the result of each acl creation', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(2)
+        .Int16BE(0)
+        .Int16BE(-1)
+        .Int16BE(42)
+        .Int16BE(11)
+        .string('bad request')
+        .make();
+
+      protocol.decodeCreateAclsResponse(withSize(body)).should.be.eql([{ error: null }, { error: 'bad request' }]);
+    });
+
+    it('should decode the deleted acls of v0 responses as literal', function () {
+      const body = new Buffermaker()
+        .Int32BE(1)
+        .Int32BE(0)
+        .Int32BE(1)
+        .Int16BE(0)
+        .Int16BE(-1)
+        .Int32BE(1)
+        .Int16BE(0)
+        .Int16BE(-1)
+        .Int8(2)
+        .Int16BE(1)
+        .string('t')
+        .Int16BE(6)
+        .string('User:a')
+        .Int16BE(1)
+        .string('*')
+        .Int8(4)
+        .Int8(2)
+        .make();
+
+      protocol.decodeDeleteAclsResponse(withSize(body)).should.be.eql([
+        {
+          error: null,
+          matchingAcls: [
+            {
+              error: null,
+              resourceType: 2,
+              resourceName: 't',
+              resourcePatternType: 3,
+              principal: 'User:a',
+              host: '*',
+              operation: 4,
+              permissionType: 2
+            }
+          ]
+        }
+      ]);
+    });
+  });
 });
@@ -0,0 +1,336 @@
+'use strict';
+
+const Buffermaker = require('buffermaker');
+const sasl = require('../lib/sasl');
+const PlainMechanism = require('../lib/sasl/plain');
+const scram = require('../lib/sasl/scram');
+const OAuthBearerMechanism = require('../lib/sasl/oauthbearer');
+const crypto = require('crypto');
+const sinon = require('sinon');
+const protocol = require('../lib/protocol');
+const InvalidConfigError = require('../lib/errors/InvalidConfigError');
+const SaslAuthenticationError = require('../lib/errors/SaslAuthenticationError');
+
+function withSize (body) {
+  return new Buffermaker().Int32BE(body.length).string(body).make();
+}
+
+function handshakeResponse (errorCode, mechanisms) {
+  const body = new Buffermaker().Int32BE(1).Int16BE(errorCode).Int32BE(mechanisms.length);
+  mechanisms.forEach(function (mechanism) {
+    body.Int16BE(mechanism.length).string(mechanism);
+  });
+  return withSize(body.make());
+}
+
+function authenticateResponse (errorCode, errorMessage, authBytes, sessionLifetimeMs) {
+  const body = new Buffermaker().Int32BE(1).Int16BE(errorCode);
+  if (errorMessage == null) {
+    body.Int16BE(-1);
+  } else {
+    body.Int16BE(errorMessage.length).string(errorMessage);
+  }
+  body.Int32BE(authBytes.length).string(authBytes);
+  if (sessionLifetimeMs != null) {
+    body.Int64BE(sessionLifetimeMs);
+  }
+  return withSize(body.make());
+}
+
+function createFakeClient (saslOptions, responses) {
+  const written = [];
+  let correlationId = 0;
+  const socket = { addr: '127.0.0.1:9092' };
+  const client = {
+    clientId: 'test-client',
+    options: { sasl: saslOptions, requestTimeout: 1000 },
+    nextId: function () {
+      return correlationId++;
+    },
+    queueCallback: function (socket, id, handlers) {
+      const response = responses.shift();
+      setImmediate(function () {
+        handlers[1](null, handlers[0](response));
+      });
+    }
+  };
+  const broker = {
+    socket: socket,
+    written: written,
+    write: function (buffer) {
+      written.push(buffer);
+    }
+  };
+  return { client: client, broker: broker };
+}
+
+describe('SASL', function () {
+  const plainOptions = { mechanism: 'plain', username: 'alice', password: 'secret' };
+
+  describe('#validateOptions', function () {
+    it('should accept the PLAIN mechanism in any case', function () {
+      sasl.validateOptions(plainOptions);
+      sasl.validateOptions(Object.assign({}, plainOptions, { mechanism: 'PLAIN' }));
+    });
+
+    it('should throw for an unknown mechanism', function () {
+      (function () {
+        sasl.validateOptions({ mechanism: 'kerberos' });
+      }.should.throw(InvalidConfigError));
+    });
+
+    it('should accept the SCRAM mechanisms', function () {
+      sasl.validateOptions({ mechanism: 'scram-sha-256', username: 'alice', password: 'secret' });
+      sasl.validateOptions({ mechanism: 'SCRAM-SHA-512', username: 'alice', password: 'secret' });
+    });
+
+    it('should throw when SCRAM credentials are missing', function () {
+      (function () {
+        sasl.validateOptions({ mechanism: 'scram-sha-256', password: 'secret' });
+      }.should.throw('SASL/SCRAM requires sasl.username and sasl.password'));
+    });
+
+    it('should throw when the OAUTHBEARER token provider is missing', function () {
+      (function () {
+        sasl.validateOptions({ mechanism: 'oauthbearer' });
+      }.should.throw('SASL/OAUTHBEARER requires a sasl.tokenProvider function'));
+    });
+
+    it('should throw when PLAIN credentials are missing', function () {
+      (function () {
+        sasl.validateOptions({ mechanism: 'plain', username: 'alice' });
+      }.should.throw('SASL/PLAIN requires sasl.username and sasl.password'));
+    });
+  });
+
+  describe('PlainMechanism', function () {
+    it('should send the credentials separated by NUL', function (done) {
+      new PlainMechanism(plainOptions).initialResponse(function (error, authBytes) {
+        authBytes.should.be.eql(Buffer.from('\0alice\0secret'));
+        done(error);
+      });
+    });
+  });
+
+  describe('ScramMechanism', function () {
+    // test vector from RFC 7677
+    const clientNonce = 'rOprNGfwEbeRWgbNEkqO';
+    const serverFirstMessage = 'r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096';
+    const clientFinalMessage =
+      'c=biws,r=rOprNGfwEbeRWgbNEkqO%hvYDpWUa2RaTCAfuxFIlj)hNlF$k0,p=dHzbZapWIk4jUhN+Ute9ytag9zjfMHgsqmmiz7AndVQ=';
+    const serverFinalMessage = 'v=6rriTRBi23WpRR/wtup+mMhUZUn/dB5nLTJRsjl95G4=';
+    let sandbox, mechanism;
+
+    beforeEach(function (done) {
+      sandbox = sinon.sandbox.create();
+      sandbox.stub(crypto, 'randomBytes').returns(Buffer.from(clientNonce, 'base64'));
+      mechanism = new scram.ScramSha256Mechanism({ username: 'user', password: 'pencil' });
+      mechanism.initialResponse(function (error, authBytes) {
+        authBytes.toString().should.be.eql('n,,n=user,r=' + clientNonce);
+        done(error);
+      });
+    });
+
+    afterEach(function () {
+      sandbox.restore();
+    });
+
+    it('should compute the client proof and verify the server signature', function (done) {
+      mechanism.name.should.be.eql('SCRAM-SHA-256');
+      mechanism.evaluateChallenge(Buffer.from(serverFirstMessage), function (error, response) {
+        if (error) return done(error);
+        response.toString().should.be.eql(clientFinalMessage);
+        mechanism.evaluateChallenge(Buffer.from(serverFinalMessage), function (error, response) {
+          (response === null).should.be.true;
+          done(error);
+        });
+      });
+    });
+
+    it('should reject a server signature that does not match', function (done) {
+      mechanism.evaluateChallenge(Buffer.from(serverFirstMessage), function (error) {
+        if (error) return done(error);
+        mechanism.evaluateChallenge(Buffer.from('v=' + Buffer.alloc(32).toString('base64')), function (error) {
+          error.should.be.an.instanceOf(SaslAuthenticationError);
+          error.message.should.containEql('signature does not match');
+          done();
+        });
+      });
+    });
+
+    it('should reject a server nonce that does not extend the client nonce', function (done) {
+      mechanism.evaluateChallenge(Buffer.from('r=other,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=4096'), function (error) {
+        error.should.be.an.instanceOf(SaslAuthenticationError);
+        done();
+      });
+    });
+
+    it('should reject iteration counts below 4096', function (done) {
+      mechanism.evaluateChallenge(Buffer.from('r=' + clientNonce + 'x,s=W22ZaJ0SNY7soEsUEjb6gQ==,i=1'), function (error) {
+        error.should.be.an.instanceOf(SaslAuthenticationError);
+        error.message.should.containEql('iteration count');
+        done();
+      });
+    });
+
+    it('should return server errors', function (done) {
+      mechanism.evaluateChallenge(Buffer.from(serverFirstMessage), function (error) {
+        if (error) return done(error);
+        mechanism.evaluateChallenge(Buffer.from('e=invalid-proof'), function (error) {
+          error.should.be.an.instanceOf(SaslAuthenticationError);
+          error.message.should.be.eql('SCRAM authentication failed: invalid-proof');
+          done();
+        });
+      });
+    });
+
+    it('should escape reserved characters in the username', function (done) {
+      const sha512 = new scram.ScramSha512Mechanism({ username: 'a=b,c', password: 'pencil' });
+      sha512.initialResponse(function (error, authBytes) {
+        authBytes.toString().should.be.eql('n,,n=a=3Db=2Cc,r=' + clientNonce);
+        done(error);
+      });
+    });
+  });
+
+  describe('OAuthBearerMechanism', function () {
+    it('should send the token from the token provider', function (done) {
+      const mechanism = new OAuthBearerMechanism({
+        tokenProvider: function () {
+          return Promise.resolve({ value: 'eyJhbGciOiJub25lIn0.e30.' });
+        }
+      });
+      mechanism.initialResponse(function (error, authBytes) {
+        authBytes.toString().should.be.eql('n,,\x01auth=Bearer eyJhbGciOiJub25lIn0.e30.\x01\x01');
+        done(error);
+      });
+    });
+
+    it('should send the token extensions', function (done) {
+      const mechanism = new OAuthBearerMechanism({
+        tokenProvider: function () {
+          return { value: 'token', extensions: { traceId: 'abc' } };
+        }
+      });
+      mechanism.initialResponse(function (error, authBytes) {
+        authBytes.toString().should.be.eql('n,,\x01auth=Bearer token\x01traceId=abc\x01\x01');
+        done(error);
+      });
+    });
+
+    it('should reject the reserved auth extension', function (done) {
+      const mechanism = new OAuthBearerMechanism({
+        tokenProvider: function () {
+          return Promise.resolve({ value: 'token', extensions: { auth: 'Bearer other' } });
+        }
+      });
+      mechanism.initialResponse(function (error) {
+        error.should.be.an.instanceOf(SaslAuthenticationError);
+        done();
+      });
+    });
+
+    it('should return token provider failures', function (done) {
+      const mechanism = new OAuthBearerMechanism({
+        tokenProvider: function () {
+          return Promise.reject(new Error('identity provider unavailable'));
+        }
+      });
+      mechanism.initialResponse(function (error) {
+        error.should.be.an.instanceOf(SaslAuthenticationError);
+        error.message.should.be.eql('OAUTHBEARER token provider failed: identity provider unavailable');
+        done();
+      });
+    });
+
+    it('should return the error status sent by the broker', function (done) {
+      const mechanism = new OAuthBearerMechanism({ tokenProvider: function () {} });
+      mechanism.evaluateChallenge(Buffer.from('{"status":"invalid_token"}'), function (error) {
+        error.should.be.an.instanceOf(SaslAuthenticationError);
+        error.message.should.containEql('invalid_token');
+        done();
+      });
+    });
+  });
+
+  describe('#authenticate', function () {
+    const handshakeV1Support = { saslHandshake: { min: 0, max: 1, usable: 1 } };
+
+    it('should authenticate with SaslAuthenticate requests when the broker supports handshake v1', function (done) {
+      const fake = createFakeClient(plainOptions, [
+        handshakeResponse(0, ['PLAIN']),
+        authenticateResponse(0, null, Buffer.alloc(0))
+      ]);
+
+      sasl.authenticate(fake.client, fake.broker, handshakeV1Support, function (error) {
+        fake.broker.written.should.have.length(2);
+        fake.broker.written[0].should.be.eql(protocol.encodeSaslHandshakeV1Request('test-client', 0, 'PLAIN'));
+        fake.broker.written[1].should.be.eql(
+          protocol.encodeSaslAuthenticateRequest('test-client', 1, Buffer.from('\0alice\0secret'))
+        );
+        done(error);
+      });
+    });
+
+    it('should return the session lifetime of SaslAuthenticate v1', function (done) {
+      const fake = createFakeClient(plainOptions, [
+        handshakeResponse(0, ['PLAIN']),
+        authenticateResponse(0, null, Buffer.alloc(0), 3600000)
+      ]);
+      const apiSupport = Object.assign({ saslAuthenticate: { min: 0, max: 1, usable: 1 } }, handshakeV1Support);
+
+      sasl.authenticate(fake.client, fake.broker, apiSupport, function (error, sessionLifetimeMs) {
+        fake.broker.written[1].should.be.eql(
+          protocol.encodeSaslAuthenticateV1Request('test-client', 1, Buffer.from('\0alice\0secret'))
+        );
+        sessionLifetimeMs.should.be.eql(3600000);
+        done(error);
+      });
+    });
+
+    it('should return a SaslAuthenticationError when the mechanism is not enabled', function (done) {
+      const fake = createFakeClient(plainOptions, [handshakeResponse(33, ['SCRAM-SHA-256'])]);
+
+      sasl.authenticate(fake.client, fake.broker, handshakeV1Support, function (error) {
+        error.should.be.an.instanceOf(SaslAuthenticationError);
+        error.errorCode.should.be.eql(33);
+        error.message.should.containEql('SCRAM-SHA-256');
+        done();
+      });
+    });
+
+    it('should return a SaslAuthenticationError when the credentials are rejected', function (done) {
+      const fake = createFakeClient(plainOptions, [
+        handshakeResponse(0, ['PLAIN']),
+        authenticateResponse(58, 'Authentication failed: Invalid username or password', Buffer.alloc(0))
+      ]);
+
+      sasl.authenticate(fake.client, fake.broker, handshakeV1Support, function (error) {
+        error.should.be.an.instanceOf(SaslAuthenticationError);
+        error.errorCode.should.be.eql(58);
+        error.message.should.be.eql('Authentication failed: Invalid username or password');
+        done();
+      });
+    });
+
+    it('should send a raw frame after a v0 handshake', function (done) {
+      const fake = createFakeClient(plainOptions, [handshakeResponse(0, ['PLAIN'])]);
+
+      fake.broker.write = function (buffer) {
+        fake.broker.written.push(buffer);
+        if (fake.broker.written.length === 2) {
+          setImmediate(function () {
+            fake.broker.socket.saslFrameCallback(null, Buffer.alloc(0));
+          });
+        }
+      };
+
+      sasl.authenticate(fake.client, fake.broker, null, function (error) {
+        fake.broker.written[0].should.be.eql(protocol.encodeSaslHandshakeRequest('test-client', 0, 'PLAIN'));
+        fake.broker.written[1].should.be.eql(withSize(Buffer.from('\0alice\0secret')));
+        (fake.broker.socket.saslFrameCallback == null).should.be.true;
+        done(error);
+      });
+    });
+  });
+});
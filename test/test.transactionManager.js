@@ -0,0 +1,238 @@
+'use strict';
+
+const sinon = require('sinon');
+const should = require('should');
+const TransactionManager = require('../lib/transactionManager');
+const ProducerFencedError = require('../lib/errors/ProducerFencedError');
+const ProduceError = require('../lib/errors/ProduceError');
+const NotCoordinatorForGroup = require('../lib/errors/NotCoordinatorForGroupError');
+
+describe('TransactionManager', function () {
+  let client, transaction, responses;
+
+  beforeEach(function () {
+    let epoch = 0;
+    responses = {
+      groupCoordinator: (key, coordinatorType) => [null, { coordinatorId: coordinatorType === 1 ? 2 : 3 }],
+      initProducerId: () => [null, { producerId: 7, producerEpoch: epoch++ }],
+      addPartitionsToTxn: () => [null],
+      addOffsetsToTxn: () => [null],
+      txnOffsetCommit: () => [null],
+      endTxn: () => [null]
+    };
+    client = {
+      sendRequestToBroker: sinon.spy(function (brokerId, requestType, args, callback) {
+        setImmediate(callback, ...responses[requestType](...args));
+      })
+    };
+    transaction = new TransactionManager(client, { transactionalId: 'txn', transactionTimeoutMs: 1000 });
+  });
+
+  function requestsOfType (requestType) {
+    return client.sendRequestToBroker.args.filter(args => args[1] === requestType);
+  }
+
+  function beginWithPartition (callback) {
+    transaction.initTransactions(function (error) {
+      if (error) {
+        return callback(error);
+      }
+      transaction.beginTransaction();
+      transaction.addPartitions([{ topic: 't', partition: 0 }], callback);
+    });
+  }
+
+  it('should get the producer id from the transaction coordinator', function (done) {
+    transaction.initTransactions(function (error) {
+      sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'groupCoordinator', ['txn', 1]);
+      sinon.assert.calledWith(client.sendRequestToBroker, 2, 'initProducerId', ['txn', 1000]);
+      transaction.producerIdentity.should.be.eql({ producerId: 7, producerEpoch: 0 });
+      transaction.state.should.be.eql(TransactionManager.STATES.READY);
+      done(error);
+    });
+  });
+
+  it('should find the coordinator again when it moved', function (done) {
+    responses.initProducerId = sinon.stub();
+    responses.initProducerId.onFirstCall().returns([new NotCoordinatorForGroup('Kafka Error Code: 16')]);
+    responses.initProducerId.onSecondCall().returns([null, { producerId: 7, producerEpoch: 0 }]);
+
+    transaction.initTransactions(function (error) {
+      requestsOfType('groupCoordinator').should.have.length(2);
+      requestsOfType('initProducerId').should.have.length(2);
+      done(error);
+    });
+  });
+
+  it('should add each partition once per transaction', function (done) {
+    beginWithPartition(function (error) {
+      if (error) {
+        return done(error);
+      }
+      transaction.addPartitions([{ topic: 't', partition: 0 }, { topic: 't', partition: 1 }], function (error) {
+        const added = requestsOfType('addPartitionsToTxn').map(args => args[2][2]);
+        added.should.be.eql([[{ topic: 't', partitions: [0] }], [{ topic: 't', partitions: [1] }]]);
+        requestsOfType('addPartitionsToTxn')[0][2][1].should.be.eql({ producerId: 7, producerEpoch: 0 });
+        done(error);
+      });
+    });
+  });
+
+  it('should not send outside of a transaction', function (done) {
+    transaction.initTransactions(function (error) {
+      if (error) {
+        return done(error);
+      }
+      transaction.addPartitions([{ topic: 't', partition: 0 }], function (error) {
+        error.message.should.be.eql('Cannot send when the transaction state is ready');
+        done();
+      });
+    });
+  });
+
+  it('should commit transactions', function (done) {
+    beginWithPartition(function (error) {
+      if (error) {
+        return done(error);
+      }
+      transaction.commitTransaction(function (error) {
+        sinon.assert.calledWith(client.sendRequestToBroker, 2, 'endTxn', ['txn', transaction.producerIdentity, true]);
+        transaction.state.should.be.eql(TransactionManager.STATES.READY);
+        Object.keys(transaction.partitions).should.have.length(0);
+        done(error);
+      });
+    });
+  });
+
+  it('should not end transactions without partitions', function (done) {
+    transaction.initTransactions(function (error) {
+      if (error) {
+        return done(error);
+      }
+      transaction.beginTransaction();
+      transaction.commitTransaction(function (error) {
+        requestsOfType('endTxn').should.have.length(0);
+        transaction.state.should.be.eql(TransactionManager.STATES.READY);
+        done(error);
+      });
+    });
+  });
+
+  describe('offsets', function () {
+    const offsets = [{ topic: 'in', partition: 0, offset: 5 }];
+    const group = { groupId: 'g', generationId: 1, memberId: 'm-1' };
+
+    function beginWithOffsets (callback) {
+      transaction.initTransactions(function (error) {
+        if (error) {
+          return callback(error);
+        }
+        transaction.beginTransaction();
+        transaction.sendOffsets(offsets, group, callback);
+      });
+    }
+
+    it('should commit the offsets to the group coordinator', function (done) {
+      beginWithOffsets(function (error) {
+        if (error) {
+          return done(error);
+        }
+        sinon.assert.calledWith(client.sendRequestToBroker, 2, 'addOffsetsToTxn', ['txn', sinon.match.object, 'g']);
+        sinon.assert.calledWith(client.sendRequestToBroker, undefined, 'groupCoordinator', ['g', 0]);
+        sinon.assert.calledWith(client.sendRequestToBroker, 3, 'txnOffsetCommit', [
+          'txn',
+          'g',
+          transaction.producerIdentity,
+          group,
+          offsets
+        ]);
+        done();
+      });
+    });
+
+    it('should add the group once per transaction', function (done) {
+      beginWithOffsets(function (error) {
+        if (error) {
+          return done(error);
+        }
+        transaction.sendOffsets(offsets, group, function (error) {
+          requestsOfType('addOffsetsToTxn').should.have.length(1);
+          requestsOfType('txnOffsetCommit').should.have.length(2);
+          done(error);
+        });
+      });
+    });
+
+    it('should end transactions with offsets only', function (done) {
+      beginWithOffsets(function (error) {
+        if (error) {
+          return done(error);
+        }
+        transaction.commitTransaction(function (error) {
+          requestsOfType('endTxn').should.have.length(1);
+          Object.keys(transaction.groups).should.have.length(0);
+          done(error);
+        });
+      });
+    });
+
+    it('should fail the transaction when the member left the group', function (done) {
+      responses.txnOffsetCommit = () => [new Error('UnknownMemberId')];
+
+      beginWithOffsets(function (error) {
+        error.message.should.be.eql('UnknownMemberId');
+        transaction.state.should.be.eql(TransactionManager.STATES.ABORTABLE_ERROR);
+        done();
+      });
+    });
+  });
+
+  it('should only abort failed transactions and renew the producer epoch afterwards', function (done) {
+    beginWithPartition(function (error) {
+      if (error) {
+        return done(error);
+      }
+      transaction.fail(new Error('NotEnoughReplicas')).message.should.be.eql('NotEnoughReplicas');
+      transaction.commitTransaction(function (error) {
+        error.message.should.be.eql('The transaction has to be aborted after the error: NotEnoughReplicas');
+        transaction.abortTransaction(function (error) {
+          sinon.assert.calledWith(client.sendRequestToBroker, 2, 'endTxn', sinon.match(args => args[2] === false));
+          transaction.producerIdentity.should.be.eql({ producerId: 7, producerEpoch: 1 });
+          transaction.state.should.be.eql(TransactionManager.STATES.READY);
+          done(error);
+        });
+      });
+    });
+  });
+
+  it('should be fenced when a produce request was rejected', function (done) {
+    beginWithPartition(function (error) {
+      if (error) {
+        return done(error);
+      }
+      const produceError = new ProduceError([{ topic: 't', partition: 0, error: new Error('ProducerFenced') }], {});
+      transaction.fail(produceError).should.be.an.instanceOf(ProducerFencedError);
+      transaction.state.should.be.eql(TransactionManager.STATES.FENCED);
+      done();
+    });
+  });
+
+  it('should be fenced by a newer producer', function (done) {
+    responses.endTxn = () => [new Error('InvalidProducerEpoch')];
+
+    beginWithPartition(function (error) {
+      if (error) {
+        return done(error);
+      }
+      transaction.commitTransaction(function (error) {
+        error.should.be.an.instanceOf(ProducerFencedError);
+        transaction.state.should.be.eql(TransactionManager.STATES.FENCED);
+        should.throws(() => transaction.beginTransaction(), ProducerFencedError);
+        transaction.abortTransaction(function (abortError) {
+          abortError.should.be.equal(error);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -17,6 +17,8 @@ export class Client {
 }
 
 export class KafkaClient extends Client {
+  clusterId: string | null;
+
   constructor (options?: KafkaClientOptions);
 
   connect (): void;
@@ -33,10 +35,21 @@ export class Producer {
   createTopics (topics: string[], async: boolean, cb: (error: any, data: any) => any): void;
   createTopics (topics: string[], cb: (error: any, data: any) => any): void;
 
+  flush (cb: () => any): void;
+
   close (cb?: () => any): void;
 }
 
 export class HighLevelProducer extends Producer {
+  initTransactions (cb: (error: any) => any): void;
+
+  beginTransaction (): void;
+
+  sendOffsetsToTransaction (offsets: TransactionOffset[], consumerGroup: ConsumerGroup, cb: (error: any) => any): void;
+
+  commitTransaction (cb: (error: any) => any): void;
+
+  abortTransaction (cb: (error: any) => any): void;
 }
 
 export class Consumer {
@@ -135,10 +148,21 @@ export class Offset {
   fetchLatestOffsets (topics: string[], cb: (error: any, data: any) => any): void;
 
   fetchEarliestOffsets (topics: string[], cb: (error: any, data: any) => any): void;
+
+  fetchOffsetsByTime (
+    topics: string[],
+    timestamp: Date | number,
+    cb: (error: any, data: { [topic: string]: { [partition: number]: OffsetByTime } }) => any
+  ): void;
+}
+
+export interface OffsetByTime {
+  offset: number;
+  timestamp: number;
 }
 
 export class KeyedMessage {
-  constructor (key: string, value: string | Buffer);
+  constructor (key: string, value: string | Buffer, headers?: MessageHeaders);
 }
 
 export class ProducerStream extends Writable {
@@ -153,6 +177,118 @@ export class ProducerStream extends Writable {
   _writev (chunks: Chunk[], cb: (error: any, data: any) => any): void;
 }
 
+export class Admin {
+  constructor (kafkaClient: KafkaClient);
+
+  on (eventName: 'ready' | 'connect', cb: () => any): void;
+  on (eventName: 'error', cb: (error: any) => any): void;
+
+  listGroups (cb: (error: any, data: any) => any): void;
+
+  describeGroups (consumerGroups: string[], cb: (error: any, data: any) => any): void;
+
+  deleteGroups (groupIds: string[], cb: (error: any, data: Array<{ groupId: string; error: string | null }>) => any): void;
+
+  deleteGroupOffsets (
+    groupId: string,
+    topicPartitions: Array<{ topic: string; partitions: number[] }>,
+    cb: (error: any, data: Array<{ topic: string; partition: number; error: string | null }>) => any
+  ): void;
+
+  resetGroupOffsets (
+    groupId: string,
+    topics: string[],
+    strategy: ResetOffsetsStrategy,
+    options: { dryRun?: boolean },
+    cb: (error: any, offsets: { [topic: string]: { [partition: number]: number } }) => any
+  ): void;
+  resetGroupOffsets (
+    groupId: string,
+    topics: string[],
+    strategy: ResetOffsetsStrategy,
+    cb: (error: any, offsets: { [topic: string]: { [partition: number]: number } }) => any
+  ): void;
+
+  getGroupLag (groupId: string, topics: string[], cb: (error: any, data: GroupLag) => any): void;
+  getGroupLag (groupId: string, cb: (error: any, data: GroupLag) => any): void;
+
+  describeCluster (cb: (error: any, data: ClusterDescription) => any): void;
+
+  listTopics (options: { includeInternal?: boolean }, cb: (error: any, topics: string[]) => any): void;
+  listTopics (cb: (error: any, topics: string[]) => any): void;
+
+  describeTopics (topics: string[], options: { includeConfigs?: boolean }, cb: (error: any, data: TopicDescription[]) => any): void;
+  describeTopics (topics: string[], cb: (error: any, data: TopicDescription[]) => any): void;
+
+  createTopics (topics: any[], cb: (error: any, data: any) => any): void;
+
+  deleteTopics (topics: string[], cb: (error: any, data: any) => any): void;
+
+  createPartitions (topicPartitions: any[], options: { validateOnly?: boolean }, cb: (error: any, data: any) => any): void;
+  createPartitions (topicPartitions: any[], cb: (error: any, data: any) => any): void;
+
+  describeConfigs (resources: any[], options: { includeSynonyms?: boolean }, cb: (error: any, data: any) => any): void;
+  describeConfigs (resources: any[], cb: (error: any, data: any) => any): void;
+
+  alterConfigs (resources: any[], options: { validateOnly?: boolean }, cb: (error: any, data: any) => any): void;
+  alterConfigs (resources: any[], cb: (error: any, data: any) => any): void;
+
+  incrementalAlterConfigs (resources: any[], options: { validateOnly?: boolean }, cb: (error: any, data: any) => any): void;
+  incrementalAlterConfigs (resources: any[], cb: (error: any, data: any) => any): void;
+
+  deleteRecords (
+    offsets: { [topic: string]: { [partition: number]: number } },
+    cb: (error: any, data: DeleteRecordsResult[]) => any
+  ): void;
+
+  describeAcls (filter: AclFilter, cb: (error: any, data: AclResource[]) => any): void;
+
+  createAcls (acls: Acl[], cb: (error: any, data: Array<{ error: string | null }>) => any): void;
+
+  deleteAcls (filters: AclFilter[], cb: (error: any, data: DeleteAclsResult[]) => any): void;
+}
+
+export enum AclResourceTypes {
+  UNKNOWN = 0,
+  ANY = 1,
+  TOPIC = 2,
+  GROUP = 3,
+  CLUSTER = 4,
+  TRANSACTIONAL_ID = 5,
+  DELEGATION_TOKEN = 6
+}
+
+export enum AclResourcePatternTypes {
+  UNKNOWN = 0,
+  ANY = 1,
+  MATCH = 2,
+  LITERAL = 3,
+  PREFIXED = 4
+}
+
+export enum AclOperationTypes {
+  UNKNOWN = 0,
+  ANY = 1,
+  ALL = 2,
+  READ = 3,
+  WRITE = 4,
+  CREATE = 5,
+  DELETE = 6,
+  ALTER = 7,
+  DESCRIBE = 8,
+  CLUSTER_ACTION = 9,
+  DESCRIBE_CONFIGS = 10,
+  ALTER_CONFIGS = 11,
+  IDEMPOTENT_WRITE = 12
+}
+
+export enum AclPermissionTypes {
+  UNKNOWN = 0,
+  ANY = 1,
+  DENY = 2,
+  ALLOW = 3
+}
+
 // # Interfaces
 
 export interface Message {
@@ -162,12 +298,38 @@ export interface Message {
   partition?: number;
   highWaterOffset?: number;
   key?: string;
+  timestamp?: Date;
+  headers?: { [key: string]: string | Buffer | Array<string | Buffer> };
+}
+
+export type MessageHeaders = { [key: string]: string | Buffer | null | Array<string | Buffer | null> } | MessageHeader[];
+
+export interface MessageHeader {
+  key: string;
+  value: string | Buffer | null;
+}
+
+export interface TransactionOffset {
+  topic: string;
+  partition: number;
+  offset: number;
+  metadata?: string;
 }
 
 export interface ProducerOptions {
   requireAcks?: number;
   ackTimeoutMs?: number;
   partitionerType?: number;
+  compressionLevel?: number;
+  compressionMinBytes?: number;
+  idempotent?: boolean;
+  retries?: number;
+  retryBackoffMs?: number;
+  deliveryTimeoutMs?: number;
+  transactionalId?: string;
+  transactionTimeoutMs?: number;
+  lingerMs?: number;
+  batchSizeBytes?: number;
 }
 
 export interface KafkaClientOptions {
@@ -177,9 +339,28 @@ export interface KafkaClientOptions {
   autoConnect?: boolean;
   connectRetryOptions?: RetryOptions;
   sslOptions?: any;
+  sasl?: SaslOptions;
   clientId?: string;
 }
 
+export type SaslOptions = PasswordSaslOptions | OAuthBearerSaslOptions;
+
+export interface PasswordSaslOptions {
+  mechanism: 'plain' | 'scram-sha-256' | 'scram-sha-512';
+  username: string;
+  password: string;
+}
+
+export interface OAuthBearerSaslOptions {
+  mechanism: 'oauthbearer';
+  tokenProvider: () => OAuthBearerToken | Promise<OAuthBearerToken>;
+}
+
+export interface OAuthBearerToken {
+  value: string;
+  extensions?: { [key: string]: string };
+}
+
 export interface ProducerStreamOptions {
   kafkaClient?: KafkaClientOptions;
   producer?: ProducerOptions;
@@ -211,8 +392,12 @@ export interface ProduceRequest {
   key?: string;
   partition?: number;
   attributes?: number;
+  timestamp?: number;
+  headers?: MessageHeaders;
 }
 
+export type IsolationLevel = 'read_uncommitted' | 'read_committed';
+
 export interface ConsumerOptions {
   groupId?: string;
   autoCommit?: boolean;
@@ -220,6 +405,8 @@ export interface ConsumerOptions {
   fetchMaxWaitMs?: number;
   fetchMinBytes?: number;
   fetchMaxBytes?: number;
+  fetchMaxResponseBytes?: number;
+  isolationLevel?: IsolationLevel;
   fromOffset?: boolean;
   encoding?: 'buffer' | 'utf8';
   keyEncoding?: 'buffer' | 'utf8';
@@ -275,6 +462,8 @@ export interface ConsumerGroupOptions {
   maxTickMessages?: number;
   fetchMinBytes?: number;
   fetchMaxBytes?: number;
+  fetchMaxResponseBytes?: number;
+  isolationLevel?: IsolationLevel;
   retries?: number;
   retryFactor?: number;
   retryMinTimeout?: number;
@@ -308,6 +497,92 @@ export interface OffsetFetchRequest {
   offset?: number;
 }
 
+export type ResetOffsetsStrategy =
+  { type: 'to-earliest' | 'to-latest' } |
+  { type: 'to-timestamp', timestamp: Date | number } |
+  { type: 'to-explicit-offset' | 'to-offset', offset: number } |
+  { type: 'shift-by-N' | 'shift-by', shift: number };
+
+export interface GroupLag {
+  groupId: string;
+  totalLag: number;
+  partitions: Array<{
+    topic: string;
+    partition: number;
+    offset: number;
+    highWatermark: number;
+    lag: number;
+    member: { memberId: string; clientId: string; clientHost: string } | null;
+  }>;
+}
+
+export interface ClusterDescription {
+  clusterId: string | null;
+  controllerId: number | null;
+  brokers: Array<{ nodeId: number; host: string; port: number; rack: string | null }>;
+}
+
+export interface TopicDescription {
+  topic: string;
+  error: string | null;
+  isInternal: boolean;
+  partitions: PartitionDescription[];
+  configs?: any[];
+}
+
+export interface PartitionDescription {
+  partition: number;
+  leader: number;
+  replicas: number[];
+  isr: number[];
+  offlineReplicas: number[];
+  error: string | null;
+}
+
+export interface AclFilter {
+  resourceType?: AclResourceTypes;
+  resourceName?: string | null;
+  resourcePatternType?: AclResourcePatternTypes;
+  principal?: string | null;
+  host?: string | null;
+  operation?: AclOperationTypes;
+  permissionType?: AclPermissionTypes;
+}
+
+export interface Acl {
+  resourceType: AclResourceTypes;
+  resourceName: string;
+  resourcePatternType?: AclResourcePatternTypes;
+  principal: string;
+  host?: string;
+  operation: AclOperationTypes;
+  permissionType: AclPermissionTypes;
+}
+
+export interface AclResource {
+  resourceType: AclResourceTypes;
+  resourceName: string;
+  resourcePatternType: AclResourcePatternTypes;
+  acls: Array<{
+    principal: string;
+    host: string;
+    operation: AclOperationTypes;
+    permissionType: AclPermissionTypes;
+  }>;
+}
+
+export interface DeleteRecordsResult {
+  topic: string;
+  partition: number;
+  lowWatermark: number | null;
+  error: string | null;
+}
+
+export interface DeleteAclsResult {
+  error: string | null;
+  matchingAcls: Array<Acl & { error: string | null }>;
+}
+
 export interface Chunk {
   chunk: ProduceRequest;
 }
@@ -317,3 +592,11 @@ export class TopicsNotExistError extends Error {
 }
 
 export type CustomPartitioner = (partitions: number[], key: any) => number;
+
+export interface Codec {
+  encode (buffer: Buffer, options: { level?: number }, cb: (error: any, encoded: Buffer) => any): void;
+  decode (buffer: Buffer, cb: (error: any, decoded: Buffer) => any): void;
+  minProduceVersion?: number;
+}
+
+export function registerCodec (attributes: number, codec: Codec): void;
@@ -27,6 +27,7 @@ const optionsKafkaClient = new kafka.KafkaClient({
   requestTimeout: 1000,
   autoConnect: true,
   sslOptions: {},
+  sasl: { mechanism: 'plain', username: 'kafka', password: 'kafka-secret' },
   clientId: 'client id',
   connectRetryOptions: {
     retries: 5, factor: 0, minTimeout: 1000, maxTimeout: 1000, randomize: true
@@ -35,10 +36,33 @@ const optionsKafkaClient = new kafka.KafkaClient({
 
 optionsKafkaClient.connect();
 
+const scramKafkaClient = new kafka.KafkaClient({
+  kafkaHost: 'localhost:9092',
+  sasl: { mechanism: 'scram-sha-512', username: 'kafka', password: 'kafka-secret' }
+});
+
+const oauthKafkaClient = new kafka.KafkaClient({
+  kafkaHost: 'localhost:9092',
+  sasl: {
+    mechanism: 'oauthbearer',
+    tokenProvider: () => Promise.resolve({ value: 'token', extensions: { traceId: 'abc' } })
+  }
+});
+
 /**
  * KAFKA PRODUCER
  */
 const optionsProducer = new kafka.Producer(basicClient, { requireAcks: 0, ackTimeoutMs: 0, partitionerType: 0 });
+const compressingProducer = new kafka.Producer(basicClient, { compressionLevel: 6, compressionMinBytes: 1024 });
+const idempotentProducer = new kafka.HighLevelProducer(basicClient, { idempotent: true, requireAcks: -1, retries: 10 });
+const lingeringProducer = new kafka.Producer(basicClient, { requireAcks: -1, lingerMs: 20, batchSizeBytes: 65536 });
+const retryingProducer = new kafka.Producer(basicClient, { retries: 3, retryBackoffMs: 200, deliveryTimeoutMs: 30000 });
+lingeringProducer.flush(() => { });
+
+kafka.registerCodec(5, {
+  encode: (buffer: Buffer, options: { level?: number }, cb: (error: any, encoded: Buffer) => any) => cb(null, buffer),
+  decode: (buffer: Buffer, cb: (error: any, decoded: Buffer) => any) => cb(null, buffer)
+});
 
 const producer = new kafka.Producer(basicClient);
 producer.on('error', (error: Error) => { });
@@ -72,12 +96,31 @@ highLevelProducer.on('ready', () => {
     { topic: 'topicName', messages: ['message body'], partition: 0 },
     { topic: 'topicName', messages: ['message body'], attributes: 0 },
     { topic: 'topicName', messages: ['message body'] },
-    { topic: 'topicName', messages: [new kafka.KeyedMessage('key', 'message')] }
+    { topic: 'topicName', messages: [new kafka.KeyedMessage('key', 'message')] },
+    { topic: 'topicName', messages: ['message body'], headers: { traceId: 'abc', tenant: ['t1', Buffer.from('t2')] } },
+    { topic: 'topicName', messages: [new kafka.KeyedMessage('key', 'message', [{ key: 'traceId', value: 'abc' }])] }
   ];
 
   highLevelProducer.send(messages, (err: Error) => { });
   highLevelProducer.send(messages, (err: Error, data: any) => { });
 
+  const transactionalProducer = new kafka.HighLevelProducer(basicClient, { transactionalId: 'txn', transactionTimeoutMs: 30000 });
+  transactionalProducer.initTransactions((err: Error) => {
+    transactionalProducer.beginTransaction();
+    transactionalProducer.send(messages, (err: Error) => {
+      if (err) {
+        return transactionalProducer.abortTransaction((err: Error) => { });
+      }
+      transactionalProducer.commitTransaction((err: Error) => { });
+    });
+  });
+
+  const transformGroup = new kafka.ConsumerGroup({ groupId: 'enrichment', autoCommit: false }, 'input');
+  transformGroup.on('message', (message: kafka.Message) => {
+    const offsets = [{ topic: message.topic, partition: message.partition!, offset: message.offset! + 1 }];
+    transactionalProducer.sendOffsetsToTransaction(offsets, transformGroup, (err: Error) => { });
+  });
+
   producer.createTopics(['t'], true, (err: Error, data: any) => { });
   producer.createTopics(['t'], (err: Error, data: any) => { });
   producer.createTopics(['t'], false, () => { });
@@ -89,6 +132,10 @@ highLevelProducer.on('ready', () => {
  */
 const fetchRequests = [{ topic: 'awesome' }];
 const consumer = new kafka.Consumer(basicClient, fetchRequests, { groupId: 'abcde', autoCommit: true });
+const committedConsumer = new kafka.Consumer(basicClient, fetchRequests, {
+  isolationLevel: 'read_committed',
+  fetchMaxResponseBytes: 10 * 1024 * 1024
+});
 
 consumer.on('error', (error: Error) => { });
 consumer.on('offsetOutOfRange', (error: Error) => { });
@@ -168,6 +215,7 @@ const cgOptions: kafka.ConsumerGroupOptions = {
   sessionTimeout: 15000,
   protocol: ['roundrobin'],
   fromOffset: 'latest',
+  isolationLevel: 'read_committed',
   migrateHLC: false,
   migrateRolling: true
 };
@@ -189,3 +237,40 @@ offset.fetchCommits('groupId', [{ topic: 't', partition: 0 }], (err, data) => {
 
 offset.fetchLatestOffsets(['t'], (err, offsets) => { });
 offset.fetchEarliestOffsets(['t'], (err, offsets) => { });
+offset.fetchOffsetsByTime(['t'], new Date(), (err, offsets) => offsets['t'][0].offset);
+offset.fetchOffsetsByTime(['t'], Date.now(), (err, offsets) => { });
+
+/**
+ * ADMIN
+ */
+const admin = new kafka.Admin(basicKafkaClient);
+
+admin.on('ready', () => { });
+admin.listGroups((err, groups) => { });
+admin.deleteGroups(['group'], (err, res) => res.map(r => r.error));
+admin.deleteGroupOffsets('group', [{ topic: 'topic1', partitions: [0] }], (err, res) => res[0].partition);
+admin.resetGroupOffsets('group', ['topic1'], { type: 'shift-by-N', shift: -10 }, { dryRun: true }, (err, offsets) => { });
+admin.resetGroupOffsets('group', ['topic1'], { type: 'to-timestamp', timestamp: new Date() }, (err, offsets) => offsets['topic1'][0]);
+admin.resetGroupOffsets('group', ['topic1'], { type: 'to-explicit-offset', offset: 100 }, (err, offsets) => { });
+admin.getGroupLag('group', (err, lag) => lag.totalLag);
+admin.getGroupLag('group', ['topic1'], (err, lag) => lag.partitions.map(p => p.member ? p.member.memberId : null));
+admin.describeCluster((err, cluster) => cluster.brokers[0].rack || cluster.clusterId || basicKafkaClient.clusterId);
+admin.listTopics({ includeInternal: true }, (err, topics) => topics.length);
+admin.describeTopics(['topic1'], { includeConfigs: true }, (err, topics) => topics[0].partitions[0].offlineReplicas);
+admin.deleteTopics(['topic1'], (err, data) => { });
+admin.createPartitions([{ topic: 'topic1', count: 4 }], { validateOnly: true }, (err, data) => { });
+admin.describeConfigs([{ type: 'topic', name: 'topic1' }], (err, data) => { });
+admin.deleteRecords({ topic1: { 0: 100 } }, (err, results) => results[0].error || results[0].lowWatermark);
+
+admin.describeAcls({ resourceType: kafka.AclResourceTypes.TOPIC, resourceName: 'topic1' }, (err, resources) =>
+  resources[0].acls[0].operation === kafka.AclOperationTypes.READ
+);
+admin.createAcls([{
+  resourceType: kafka.AclResourceTypes.GROUP,
+  resourceName: 'group-',
+  resourcePatternType: kafka.AclResourcePatternTypes.PREFIXED,
+  principal: 'User:alice',
+  operation: kafka.AclOperationTypes.READ,
+  permissionType: kafka.AclPermissionTypes.ALLOW
+}], (err, results) => results[0].error);
+admin.deleteAcls([{ principal: 'User:alice' }], (err, results) => results[0].matchingAcls);